@@ -1,4 +1,69 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
+import QRCode from "qrcode";
+import {
+  buildCsvImport,
+  CSV_DELIMITERS,
+  CSV_IMPORT_FIELDS,
+  DATE_FORMATS,
+  detectDelimiter,
+  formatDateAs,
+  guessMapping,
+  parseCSV,
+} from "./csvImport.js";
+import {
+  applyInvoicePatch,
+  billTo,
+  clientChanges,
+  DOC_LABELS,
+  DOC_TYPES,
+  docLabel,
+  finalizeIfIssued,
+  isLocked,
+  LOCKED_EDITABLE,
+  OPEN_STATUS,
+  QUOTE_STATUS,
+  snapshotParties,
+  STATUS,
+  statusesFor,
+} from "./documents.js";
+import { buildEInvoice, EINVOICE_SYNTAXES, EXEMPTION_REASON_REQUIRED, ZERO_VAT_CATEGORIES } from "./einvoice.js";
+import { epcPayment, isValidIban } from "./epc.js";
+import { DEFAULT_DOC_LANGUAGE, DOC_LANGUAGES, docLanguageOf, docStrings } from "./language.js";
+import { applyMerge, planMerge, reconcileCounters } from "./merge.js";
+import {
+  calcTotals,
+  CURRENCIES,
+  currencyDigits,
+  DEFAULT_ROUNDING,
+  DISCOUNT_TYPES,
+  docCurrency,
+  fDiv,
+  fMul,
+  frac,
+  fxRate,
+  itemVatRate,
+  minorToNumber,
+  money,
+  paymentSummary,
+  roundFrac,
+  ROUNDING_METHODS,
+  ROUNDING_MODES,
+  sumMoney,
+  toBase,
+} from "./money.js";
+import {
+  auditNumbers,
+  clientCode,
+  DEFAULT_NUMBER_TEMPLATE,
+  formatNumber,
+  NUMBER_SERIES,
+  numberTemplateProblem,
+  parseSeq,
+  seriesPrefix,
+  takeNumber,
+} from "./numbering.js";
+import { IMPORT_PROBLEM_LIMIT, migrateData, SCHEMA_VERSION, validateImport } from "./schema.js";
+import { addDaysISO, daysBetweenISO, localISO, safeParse, stableJSON, todayISO, toNumber, uid } from "./util.js";
 
 /**
  * ToolStack — Invoice-It (Styled to match Check-It master)
@@ -6,55 +71,15 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
  * - Normalized Top Actions grid + pinned ? Help (Help Pack v1)
  * - Print Preview modal (prints ONLY invoice sheet)
  * - Export/Import JSON + Export CSV
- * - Autosave to localStorage
+ * - SEPA payment QR code (GiroCode) on the sheet
+ * - Native PDF download (jsPDF) and batch PDF export as ZIP
+ * - Layout templates (Classic / Minimal / DIN 5008) with logo, accent colour and font
+ * - Document language per client (English / German labels, dates and number formats)
+ * - Autosave to IndexedDB (migrates the old localStorage key once)
  */
 
 const LS_KEY = "toolstack_invoiceit_v1";
 
-const uid = () => {
-  try {
-    if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
-  } catch {}
-  return `id_${Math.random().toString(16).slice(2)}_${Date.now()}`;
-};
-
-const safeParse = (s, fallback) => {
-  try {
-    const v = JSON.parse(s);
-    return v ?? fallback;
-  } catch {
-    return fallback;
-  }
-};
-
-const toNumber = (v) => {
-  const n = Number(String(v ?? "").replace(",", "."));
-  return Number.isFinite(n) ? n : 0;
-};
-
-const todayISO = () => new Date().toISOString().slice(0, 10);
-
-const addDaysISO = (iso, days) => {
-  try {
-    const d = new Date(`${iso}T00:00:00`);
-    d.setDate(d.getDate() + Number(days || 0));
-    return d.toISOString().slice(0, 10);
-  } catch {
-    return iso;
-  }
-};
-
-const money = (value, currency = "EUR") => {
-  const v = Number(value) || 0;
-  try {
-    return new Intl.NumberFormat(undefined, { style: "currency", currency }).format(v);
-  } catch {
-    const sign = v < 0 ? "-" : "";
-    const abs = Math.abs(v);
-    return `${sign}${currency} ${abs.toFixed(2)}`;
-  }
-};
-
 /** Master UI primitives (Check-It) */
 const btnSecondary =
   "print:hidden px-3 py-2 rounded-xl text-sm font-medium border border-neutral-200 bg-white shadow-sm hover:bg-neutral-50 active:translate-y-[1px] transition disabled:opacity-50 disabled:cursor-not-allowed";
@@ -121,7 +146,7 @@ function ActionFileButton({ children, onFile, accept = "application/json", tone
 }
 
 /** Help Pack v1 (modal) */
-function HelpModal({ open, onClose }) {
+function HelpModal({ open, backend, onClose }) {
   if (!open) return null;
 
   return (
@@ -147,11 +172,21 @@ function HelpModal({ open, onClose }) {
           <div className="rounded-2xl border border-neutral-200 p-4">
             <div className="font-semibold text-neutral-800">Autosave (default)</div>
             <p className="mt-1 text-neutral-700">
-              Your data saves automatically in this browser on this device (localStorage). If you clear browser data or
-              switch devices, it won’t follow automatically.
+              Your data saves automatically in this browser on this device (IndexedDB; each change writes only the
+              invoices and clients it touched). If you clear browser data or switch devices, it won’t follow
+              automatically. If a save ever fails you’ll see a red message — export a backup right away. Several open tabs
+              stay in sync: changes made in one show up in the others.
             </p>
             <div className="mt-2 text-xs text-neutral-600">
-              Storage key: <span className="font-mono">{LS_KEY}</span>
+              {backend === "indexedDB" ? (
+                <>
+                  Database: <span className="font-mono">{DB_NAME}</span>
+                </>
+              ) : (
+                <>
+                  IndexedDB unavailable — storage key: <span className="font-mono">{LS_KEY}</span>
+                </>
+              )}
             </div>
           </div>
 
@@ -159,22 +194,59 @@ function HelpModal({ open, onClose }) {
             <div className="font-semibold text-neutral-800">Export (backup / move devices)</div>
             <p className="mt-1 text-neutral-700">
               Use <span className="font-medium">Export</span> to download a JSON backup file. Save it somewhere safe
-              (Drive/Dropbox/email to yourself).
+              (Drive/Dropbox). Plain backups contain client addresses, bank details and amounts in readable form — use{" "}
+              <span className="font-medium">Encrypted backup</span> with a passphrase before emailing or uploading one.
             </p>
           </div>
 
           <div className="rounded-2xl border border-neutral-200 p-4">
             <div className="font-semibold text-neutral-800">Import (restore)</div>
             <p className="mt-1 text-neutral-700">
-              Use <span className="font-medium">Import</span> to load a previous JSON backup and continue.
+              Use <span className="font-medium">Import</span> to load a previous JSON backup and continue. The file is
+              checked first and any problems (missing IDs, invalid dates, unknown statuses, missing clients) are listed
+              before you confirm. Backups from older versions are upgraded automatically. Choose{" "}
+              <span className="font-medium">Merge</span> to combine a file with your data instead of replacing it: new
+              records are added and you decide per record which version to keep.
+            </p>
+            <p className="mt-2 text-neutral-700">
+              Coming from a spreadsheet? <span className="font-medium">Import CSV</span> reads clients or invoices (one row
+              per line item), lets you map the columns and shows a preview before anything is added.
+            </p>
+          </div>
+
+          <div className="rounded-2xl border border-neutral-200 p-4">
+            <div className="font-semibold text-neutral-800">Undo / Redo</div>
+            <p className="mt-1 text-neutral-700">
+              Every change can be reverted with <span className="font-medium">Undo</span> (Ctrl+Z) and re-applied with{" "}
+              <span className="font-medium">Redo</span> (Ctrl+Shift+Z) — including deletes and imports. The history lasts
+              until the page is reloaded. Issuing a document cannot be undone: issued documents stay (only their status and
+              payments follow undo) and numbers that were handed out are never reused.
             </p>
           </div>
 
           <div className="rounded-2xl border border-neutral-200 p-4">
             <div className="font-semibold text-neutral-800">Printing invoices</div>
             <p className="mt-1 text-neutral-700">
-              Use <span className="font-medium">Preview</span> first, then <span className="font-medium">Print / Save PDF</span>.
-              This prints only the invoice sheet.
+              <span className="font-medium">Download PDF</span> saves the selected invoice as a PDF file named after its
+              number; <span className="font-medium">PDFs (ZIP)</span> next to the search does the same for every document
+              in the list. To print on paper, use <span className="font-medium">Preview</span> and then{" "}
+              <span className="font-medium">Print</span>, which prints only the invoice sheet. Invoices in EUR with an open amount carry a payment QR code
+              (GiroCode) that banking apps scan into a prefilled transfer; switch it off in Settings.
+            </p>
+            <p className="mt-2 text-neutral-700">
+              Clients that need structured e-invoices get an XML file from{" "}
+              <span className="font-medium">E-invoice (XML)</span>: XRechnung for public-sector clients, ZUGFeRD / Factur-X
+              (CII) otherwise. Missing mandatory details — e.g. the buyer reference (Leitweg-ID) or your VAT ID — are listed
+              before the download.
+            </p>
+            <p className="mt-2 text-neutral-700">
+              The look of the sheet and the PDF is set under <span className="font-medium">Settings → Invoice layout</span>:
+              Classic, Minimal or a DIN 5008 letter whose address shows through a window envelope, plus accent colour, font,
+              the order of the blocks, an optional footer line and your logo (Business profile).
+            </p>
+            <p className="mt-2 text-neutral-700">
+              Documents are printed in each client’s <span className="font-medium">Document language</span> (English or
+              German), falling back to the default in Settings — labels, dates and amounts follow that language.
             </p>
           </div>
 
@@ -195,17 +267,204 @@ function HelpModal({ open, onClose }) {
   );
 }
 
-const STATUS = ["Draft", "Sent", "Paid", "Overdue"];
+const PAYMENT_METHODS = ["Bank transfer", "Cash", "Card", "PayPal", "Direct debit", "Other"];
+
+const DOC_FILTER_LABELS = { invoice: "Invoices", credit: "Credit notes", quote: "Quotes" };
+
+const blankItem = (vatRate = 0) => ({
+  id: uid(),
+  desc: "",
+  qty: 1,
+  unit: "",
+  unitPrice: 0,
+  vatRate: toNumber(vatRate),
+  discountType: "percent",
+  discount: 0,
+});
+
+const vatRatesLabel = (t) => (t.vatBreakdown.length ? t.vatBreakdown.map((b) => `${b.rate}%`).join(" / ") : `${t.vatRate}%`);
+
+/** Status implied by the ledger; with no payments recorded the chosen status stands */
+function statusFromPayments(inv, { hadPayments = false, rounding } = {}) {
+  const p = paymentSummary(inv, calcTotals(inv, rounding));
+  if (p.paid <= 0) {
+    if (inv.status === "Partially paid" || (hadPayments && inv.status === "Paid")) return "Sent";
+    return inv.status;
+  }
+  return p.settled ? "Paid" : "Partially paid";
+}
+
+/** Days past the due date for an issued, unpaid invoice (0 when not overdue) */
+function daysOverdue(inv, today = todayISO()) {
+  if ((inv.docType || "invoice") !== "invoice" || !OPEN_STATUS.includes(inv.status) || !inv.dueDate) return 0;
+  return Math.max(0, daysBetweenISO(inv.dueDate, today));
+}
+
+/** A sent quote past its validity date */
+const isQuoteExpired = (inv, today = todayISO()) =>
+  inv.docType === "quote" && inv.status === "Sent" && !!inv.validUntil && inv.validUntil < today;
+
+/** Stored status with overdue / expiry applied on top */
+const effectiveStatus = (inv, today = todayISO()) => {
+  if (isQuoteExpired(inv, today)) return "Expired";
+  return daysOverdue(inv, today) > 0 ? "Overdue" : inv.status;
+};
+
+/** Copy of an invoice as a new document with a fresh number -> { invoice, settings } */
+function duplicateFrom(src, settings, { issueDate = todayISO(), status = "Draft", client = null } = {}) {
+  const { number, seq, date, settings: next } = takeNumber(settings, src.docType, { date: issueDate, client });
+  return {
+    invoice: {
+      ...src,
+      id: uid(),
+      invoiceNumber: number,
+      numberSeq: seq,
+      numberDate: date,
+      lockedAt: "",
+      clientSnapshot: null,
+      profileSnapshot: null,
+      status,
+      issueDate,
+      dueDate: addDaysISO(issueDate, toNumber(settings.defaultDueDays) || 14),
+      validUntil: src.docType === "quote" ? addDaysISO(issueDate, toNumber(settings.defaultQuoteValidDays) || 30) : "",
+      // a copy is neither the invoice made from a quote nor a correction of another invoice
+      convertedInvoiceId: "",
+      quoteId: "",
+      correctsInvoiceId: "",
+      items: (src.items || []).map((it) => ({ ...it, id: uid() })),
+      payments: [],
+    },
+    settings: next,
+  };
+}
+
+/** Full cancellation (Storno) of an invoice as a draft credit note -> { invoice, settings } */
+function creditNoteFrom(src, settings, { client = null } = {}) {
+  const { number, seq, date, settings: next } = takeNumber(settings, "credit", { client });
+  return {
+    invoice: {
+      ...src,
+      id: uid(),
+      docType: "credit",
+      refInvoiceId: src.id,
+      refInvoiceNumber: src.invoiceNumber,
+      invoiceNumber: number,
+      numberSeq: seq,
+      numberDate: date,
+      lockedAt: "",
+      clientSnapshot: null,
+      profileSnapshot: null,
+      status: "Draft",
+      issueDate: todayISO(),
+      dueDate: todayISO(),
+      items: (src.items || []).map((it) => ({ ...it, id: uid() })),
+      payments: [],
+      notes: `Cancellation of invoice ${src.invoiceNumber} dated ${src.issueDate}.`,
+    },
+    settings: next,
+  };
+}
+
+/** Recurring templates */
+const FREQUENCIES = { weekly: "Weekly", monthly: "Monthly", quarterly: "Quarterly", yearly: "Yearly" };
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+const MONTH_NAMES = [
+  "January",
+  "February",
+  "March",
+  "April",
+  "May",
+  "June",
+  "July",
+  "August",
+  "September",
+  "October",
+  "November",
+  "December",
+];
+
+/** k-th occurrence counted from the start date (month ends clamp, e.g. Jan 31 -> Feb 28 -> Mar 31) */
+function occurrenceISO(startISO, frequency, k) {
+  const d = new Date(`${startISO}T00:00:00`);
+  if (Number.isNaN(d.getTime())) return startISO;
+  if (frequency === "weekly") {
+    d.setDate(d.getDate() + 7 * k);
+    return localISO(d);
+  }
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + (FREQUENCY_MONTHS[frequency] || 1) * k);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return localISO(d);
+}
+
+/** Service-period placeholders: {month} {mm} {year} {quarter} {date} */
+function expandPlaceholders(text, iso) {
+  const d = new Date(`${iso}T00:00:00`);
+  if (!text || Number.isNaN(d.getTime())) return text || "";
+  const values = {
+    month: MONTH_NAMES[d.getMonth()],
+    mm: String(d.getMonth() + 1).padStart(2, "0"),
+    year: String(d.getFullYear()),
+    quarter: `Q${Math.floor(d.getMonth() / 3) + 1}`,
+    date: iso,
+  };
+  return String(text).replace(/\{(month|mm|year|quarter|date)\}/gi, (m, key) => values[key.toLowerCase()]);
+}
+
+/** Most occurrences one schedule generates per run; the rest follow on the next run */
+const RECURRING_BATCH_MAX = 120;
+
+/** Generates every occurrence due up to `today` -> { data, generated, capped: schedules with occurrences left over } */
+function runRecurring(data, today = todayISO()) {
+  let settings = data.settings;
+  const generated = [];
+  const capped = [];
+  const recurring = (data.recurring || []).map((r) => {
+    const src = data.invoices.find((x) => x.id === r.sourceInvoiceId && (x.docType || "invoice") === "invoice");
+    if (!r.active || !src) return r;
+
+    let count = r.count;
+    let next = occurrenceISO(r.startDate, r.frequency, count);
+    // guard against a start date far in the past producing hundreds of documents at once
+    for (let guard = 0; guard < RECURRING_BATCH_MAX && next <= today && (!r.endDate || next <= r.endDate); guard++) {
+      const client = data.clients.find((c) => c.id === src.clientId) || null;
+      const dup = duplicateFrom(src, settings, { issueDate: next, status: r.generateAs, client });
+      settings = dup.settings;
+      generated.push(
+        finalizeIfIssued({
+          ...dup.invoice,
+          recurringId: r.id,
+          items: dup.invoice.items.map((it) => ({ ...it, desc: expandPlaceholders(it.desc, next) })),
+          notes: expandPlaceholders(src.notes, next),
+        }, data)
+      );
+      count += 1;
+      next = occurrenceISO(r.startDate, r.frequency, count);
+    }
+    if (next <= today && (!r.endDate || next <= r.endDate)) capped.push(r);
+    return count === r.count ? r : { ...r, count, lastGenerated: today };
+  });
 
-function calcTotals(inv) {
-  const items = Array.isArray(inv.items) ? inv.items : [];
-  const net = items.reduce((sum, it) => sum + toNumber(it.qty) * toNumber(it.unitPrice), 0);
-  const vatRate = toNumber(inv.vatRate);
-  const vat = net * (vatRate / 100);
-  const gross = net + vat;
-  return { net, vatRate, vat, gross };
+  if (!generated.length) return { data, generated, capped };
+  return {
+    data: { ...data, settings, recurring, invoices: [...generated.reverse(), ...data.invoices] },
+    generated,
+    capped,
+  };
 }
 
+/** Toast text for a recurring run, saying when a long backlog was cut off */
+const recurringMessage = ({ generated, capped }) =>
+  `Generated ${generated.length} recurring invoice${generated.length === 1 ? "" : "s"}` +
+  (capped.length
+    ? ` — ${capped.length} schedule${capped.length === 1 ? " has" : "s have"} more due, use “Generate due now” to continue`
+    : "");
+
+const changedFields = (a, b) =>
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].filter((k) => stableJSON(a[k]) !== stableJSON(b[k]));
+
 function normalizeData(raw) {
   const base = {
     settings: {
@@ -213,11 +472,34 @@ function normalizeData(raw) {
       defaultVatRate: 19,
       invoicePrefix: "INV",
       nextInvoiceNumber: 1,
+      creditPrefix: "CN",
+      nextCreditNumber: 1,
+      quotePrefix: "QUO",
+      nextQuoteNumber: 1,
+      defaultQuoteValidDays: 30,
+      numberTemplate: DEFAULT_NUMBER_TEMPLATE,
+      resetSequenceYearly: false,
+      // series -> year of its last number, for the yearly reset
+      sequenceYears: {},
+      // last used rate per foreign currency (base units per 1 unit), prefilled on new documents
+      exchangeRates: {},
+      // last used CSV export options
+      csvExport: DEFAULT_CSV_EXPORT,
+      // VAT category of 0% lines in e-invoices, and the reason stated for it
+      zeroVatCategory: "E",
+      vatExemptionReason: "",
+      eInvoiceSyntax: "xrechnung",
+      // EPC payment QR code in the sheet's Payment block
+      paymentQr: true,
+      layout: DEFAULT_LAYOUT,
+      // language of documents for clients without their own
+      documentLanguage: DEFAULT_DOC_LANGUAGE,
       defaultDueDays: 14,
     },
     profile: {
       businessName: "",
       address: "",
+      countryCode: "DE",
       email: "",
       phone: "",
       taxId: "",
@@ -226,307 +508,1851 @@ function normalizeData(raw) {
       iban: "",
       bic: "",
       footerNotes: "",
+      // { src, width, height } from readLogo; not part of the issue-time snapshot
+      logo: null,
     },
     clients: [],
     invoices: [],
+    recurring: [],
   };
 
-  const d = raw && typeof raw === "object" ? raw : base;
+  // a shallow copy is enough: every slice below is replaced, never modified in place
+  const d = raw && typeof raw === "object" ? { ...migrateData(raw) } : base;
+  d.schemaVersion = SCHEMA_VERSION;
   d.settings = { ...base.settings, ...(d.settings || {}) };
+  d.settings.currency = CURRENCIES.includes(d.settings.currency) ? d.settings.currency : "EUR";
+  d.settings.exchangeRates = d.settings.exchangeRates && typeof d.settings.exchangeRates === "object" ? d.settings.exchangeRates : {};
+  d.settings.csvExport = {
+    ...DEFAULT_CSV_EXPORT,
+    ...(d.settings.csvExport || {}),
+    columns: { ...DEFAULT_CSV_EXPORT.columns, ...(d.settings.csvExport?.columns || {}) },
+  };
+  d.settings.paymentQr = d.settings.paymentQr !== false;
+  // a template that would repeat numbers is never kept; a yearly restart without the year in the number is dropped
+  if (numberTemplateProblem(d.settings.numberTemplate)) d.settings.numberTemplate = DEFAULT_NUMBER_TEMPLATE;
+  if (numberTemplateProblem(d.settings.numberTemplate, d.settings)) d.settings.resetSequenceYearly = false;
+  d.settings.layout = normalizeLayout(d.settings.layout);
+  d.settings.documentLanguage = DOC_LANGUAGES[d.settings.documentLanguage] ? d.settings.documentLanguage : DEFAULT_DOC_LANGUAGE;
+  d.settings.zeroVatCategory = ZERO_VAT_CATEGORIES[d.settings.zeroVatCategory] ? d.settings.zeroVatCategory : "E";
+  d.settings.eInvoiceSyntax = EINVOICE_SYNTAXES[d.settings.eInvoiceSyntax] ? d.settings.eInvoiceSyntax : "xrechnung";
+  d.settings.rounding = {
+    mode: ROUNDING_MODES[d.settings.rounding?.mode] ? d.settings.rounding.mode : DEFAULT_ROUNDING.mode,
+    method: ROUNDING_METHODS[d.settings.rounding?.method] ? d.settings.rounding.method : DEFAULT_ROUNDING.method,
+  };
   d.profile = { ...base.profile, ...(d.profile || {}) };
+  d.profile.logo = /^data:image\//.test(d.profile.logo?.src || "") ? d.profile.logo : null;
   d.clients = Array.isArray(d.clients) ? d.clients : [];
   d.invoices = Array.isArray(d.invoices) ? d.invoices : [];
+  d.recurring = Array.isArray(d.recurring) ? d.recurring : [];
 
-  d.invoices = d.invoices.map((inv) => ({
-    id: inv.id || uid(),
-    invoiceNumber: inv.invoiceNumber || "",
-    issueDate: inv.issueDate || todayISO(),
-    dueDate: inv.dueDate || addDaysISO(inv.issueDate || todayISO(), d.settings.defaultDueDays),
-    clientId: inv.clientId || "",
-    status: STATUS.includes(inv.status) ? inv.status : "Draft",
-    vatRate: Number.isFinite(toNumber(inv.vatRate)) ? toNumber(inv.vatRate) : d.settings.defaultVatRate,
-    items: Array.isArray(inv.items)
-      ? inv.items.map((it) => ({
-          id: it.id || uid(),
-          desc: it.desc || "",
-          qty: Number.isFinite(toNumber(it.qty)) ? toNumber(it.qty) : 1,
-          unit: it.unit || "",
-          unitPrice: Number.isFinite(toNumber(it.unitPrice)) ? toNumber(it.unitPrice) : 0,
-        }))
-      : [{ id: uid(), desc: "", qty: 1, unit: "", unitPrice: 0 }],
-    notes: typeof inv.notes === "string" ? inv.notes : "",
+  d.invoices = d.invoices.map((inv) => {
+    const vatRate = Number.isFinite(toNumber(inv.vatRate)) ? toNumber(inv.vatRate) : d.settings.defaultVatRate;
+    return {
+      id: inv.id || uid(),
+      docType: DOC_TYPES.includes(inv.docType) ? inv.docType : "invoice",
+      refInvoiceId: inv.refInvoiceId || "",
+      refInvoiceNumber: inv.refInvoiceNumber || "",
+      recurringId: inv.recurringId || "",
+      correctsInvoiceId: inv.correctsInvoiceId || "",
+      quoteId: inv.quoteId || "",
+      convertedInvoiceId: inv.convertedInvoiceId || "",
+      invoiceNumber: inv.invoiceNumber || "",
+      numberSeq: toNumber(inv.numberSeq) || parseSeq(inv.invoiceNumber),
+      numberDate: inv.numberDate || inv.issueDate || todayISO(),
+      issueDate: inv.issueDate || todayISO(),
+      dueDate: inv.dueDate || addDaysISO(inv.issueDate || todayISO(), d.settings.defaultDueDays),
+      validUntil: inv.validUntil || "",
+      currency: CURRENCIES.includes(inv.currency) ? inv.currency : d.settings.currency,
+      exchangeRate: toNumber(inv.exchangeRate) > 0 ? toNumber(inv.exchangeRate) : 1,
+      // base currency the exchange rate refers to
+      rateBase: CURRENCIES.includes(inv.rateBase) ? inv.rateBase : d.settings.currency,
+      clientId: inv.clientId || "",
+      buyerReference: typeof inv.buyerReference === "string" ? inv.buyerReference : "",
+      // a manually picked "Overdue" was an issued, unpaid invoice
+      status: statusesFor(inv).includes(inv.status) ? inv.status : inv.status === "Overdue" ? "Sent" : "Draft",
+      vatRate,
+      items: Array.isArray(inv.items)
+        ? inv.items.map((it) => ({
+            id: it.id || uid(),
+            desc: it.desc || "",
+            qty: Number.isFinite(toNumber(it.qty)) ? toNumber(it.qty) : 1,
+            unit: it.unit || "",
+            unitPrice: Number.isFinite(toNumber(it.unitPrice)) ? toNumber(it.unitPrice) : 0,
+            // older data has no per-line rate -> inherit the invoice-level rate
+            vatRate: itemVatRate(it, { vatRate }),
+            discountType: DISCOUNT_TYPES.includes(it.discountType) ? it.discountType : "percent",
+            discount: Math.max(0, toNumber(it.discount)),
+          }))
+        : [blankItem(vatRate)],
+      discountType: DISCOUNT_TYPES.includes(inv.discountType) ? inv.discountType : "percent",
+      discount: Math.max(0, toNumber(inv.discount)),
+      payments: Array.isArray(inv.payments)
+        ? inv.payments.map((p) => ({
+            id: p.id || uid(),
+            date: p.date || todayISO(),
+            amount: toNumber(p.amount),
+            method: p.method || PAYMENT_METHODS[0],
+            reference: p.reference || "",
+          }))
+        : [],
+      notes: typeof inv.notes === "string" ? inv.notes : "",
+      lockedAt: typeof inv.lockedAt === "string" ? inv.lockedAt : "",
+      clientSnapshot: inv.clientSnapshot && typeof inv.clientSnapshot === "object" ? inv.clientSnapshot : null,
+      profileSnapshot: inv.profileSnapshot && typeof inv.profileSnapshot === "object" ? inv.profileSnapshot : null,
+    };
+  });
+
+  // Issued documents are finalized whatever version the data claims; a locked one is never a Draft
+  d.invoices = d.invoices.map((inv) => {
+    if (inv.lockedAt && inv.status === "Draft") return { ...inv, status: "Sent" };
+    if (!inv.lockedAt && inv.status !== "Draft" && inv.docType !== "quote") return { ...inv, lockedAt: `${inv.issueDate}T00:00:00.000Z` };
+    return inv;
+  });
+
+  d.recurring = d.recurring.map((r) => ({
+    id: r.id || uid(),
+    sourceInvoiceId: r.sourceInvoiceId || "",
+    frequency: FREQUENCIES[r.frequency] ? r.frequency : "monthly",
+    startDate: r.startDate || todayISO(),
+    endDate: r.endDate || "",
+    generateAs: r.generateAs === "Sent" ? "Sent" : "Draft",
+    count: Math.max(0, Math.floor(toNumber(r.count))),
+    lastGenerated: r.lastGenerated || "",
+    active: r.active !== false,
   }));
 
   d.clients = d.clients.map((c) => ({
     id: c.id || uid(),
     name: c.name || "",
+    code: c.code || "",
     address: c.address || "",
+    // blank = same country as the business
+    countryCode: c.countryCode || "",
     email: c.email || "",
     phone: c.phone || "",
     contact: c.contact || "",
+    vatId: c.vatId || "",
+    // blank = the default document language from settings
+    language: DOC_LANGUAGES[c.language] ? c.language : "",
     notes: c.notes || "",
   }));
 
+  // finalized documents print the parties as they were when finalized
+  d.invoices = d.invoices.map((inv) => (!inv.lockedAt || inv.profileSnapshot ? inv : { ...inv, ...snapshotParties(inv, d) }));
+
   return d;
 }
 
-export default function InvoiceItApp() {
-  const fileRef = useRef(null);
-  const toastTimer = useRef(null);
-
-  const [helpOpen, setHelpOpen] = useState(false);
+/**
+ * Persistence: IndexedDB with one store per record type, so a save writes only the records that changed.
+ * Data from the old single localStorage key is moved over once; without IndexedDB the app stays on that key.
+ */
+const DB_NAME = "toolstack_invoiceit";
+const DB_VERSION = 1;
+const RECORD_STORES = ["invoices", "clients"];
+const META_KEYS = ["settings", "profile", "recurring", "schemaVersion"];
+
+const idbRequest = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
 
-  const [app, setApp] = useState(() => {
-    const saved = typeof window !== "undefined" ? localStorage.getItem(LS_KEY) : null;
-    return normalizeData(saved ? safeParse(saved, null) : null);
+const idbDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Write aborted"));
   });
 
-  const [toast, setToast] = useState(null);
-  const notify = (msg) => {
-    setToast(msg);
-    if (toastTimer.current) clearTimeout(toastTimer.current);
-    toastTimer.current = setTimeout(() => setToast(null), 2200);
-  };
+function openDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      RECORD_STORES.forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: "id" });
+      });
+      if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error("Database upgrade is blocked by another open tab"));
+  });
+}
 
-  useEffect(() => {
-    localStorage.setItem(LS_KEY, JSON.stringify(app));
-  }, [app]);
+const idOrder = (data) => Object.fromEntries(RECORD_STORES.map((name) => [name, (data[name] || []).map((r) => r.id)]));
 
-  const currency = app.settings.currency || "EUR";
+const sameIds = (a = [], b = []) => a.length === b.length && a.every((id, i) => id === b[i]);
 
-  const [q, setQ] = useState("");
-  const [statusFilter, setStatusFilter] = useState("All");
-  const [activeInvoiceId, setActiveInvoiceId] = useState(null);
+/** Records come back keyed by id; the saved id order restores the list order */
+const inOrder = (list, ids = []) => {
+  const pos = new Map(ids.map((id, i) => [id, i]));
+  return list.slice().sort((a, b) => (pos.get(a.id) ?? ids.length) - (pos.get(b.id) ?? ids.length));
+};
 
-  const [settingsOpen, setSettingsOpen] = useState(false);
-  const [clientModalOpen, setClientModalOpen] = useState(false);
-  const [invoiceModalOpen, setInvoiceModalOpen] = useState(false);
-  const [previewOpen, setPreviewOpen] = useState(false);
+/** -> raw app data, or null when nothing has been stored yet */
+async function idbLoad(db) {
+  const tx = db.transaction([...RECORD_STORES, "meta"], "readonly");
+  const meta = tx.objectStore("meta");
+  const [records, values, order] = await Promise.all([
+    Promise.all(RECORD_STORES.map((name) => idbRequest(tx.objectStore(name).getAll()))),
+    Promise.all(META_KEYS.map((k) => idbRequest(meta.get(k)))),
+    idbRequest(meta.get("order")),
+  ]);
+  if (!values[0]) return null;
+  return {
+    ...Object.fromEntries(META_KEYS.map((k, i) => [k, values[i]])),
+    ...Object.fromEntries(RECORD_STORES.map((name, i) => [name, inOrder(records[i], order?.[name])])),
+  };
+}
 
-  const [editingClientId, setEditingClientId] = useState(null); // null or id or "__new__"
+/** -> { settings, recurring } as stored, to read the counters without loading every record */
+async function idbLoadMeta(db) {
+  const meta = db.transaction("meta", "readonly").objectStore("meta");
+  const [settings, recurring] = await Promise.all([idbRequest(meta.get("settings")), idbRequest(meta.get("recurring"))]);
+  return { settings, recurring };
+}
 
-  const clientsById = useMemo(() => {
-    const m = new Map();
-    for (const c of app.clients) m.set(c.id, c);
-    return m;
-  }, [app.clients]);
+/**
+ * What differs between two app states -> { full, put, del, meta, order? }; prev = null means everything.
+ * Records are compared by identity, which the immutable updates guarantee changes with every edit.
+ */
+function diffApp(prev, next) {
+  const patch = { full: !prev, put: {}, del: {}, meta: {} };
+  RECORD_STORES.forEach((name) => {
+    const before = new Map((prev?.[name] || []).map((r) => [r.id, r]));
+    const ids = new Set((next[name] || []).map((r) => r.id));
+    patch.put[name] = (next[name] || []).filter((r) => before.get(r.id) !== r);
+    patch.del[name] = [...before.keys()].filter((id) => !ids.has(id));
+  });
+  META_KEYS.forEach((k) => {
+    if (!prev || prev[k] !== next[k]) patch.meta[k] = next[k];
+  });
+  const order = idOrder(next);
+  const prevOrder = prev ? idOrder(prev) : null;
+  if (!prevOrder || RECORD_STORES.some((name) => !sameIds(prevOrder[name], order[name]))) patch.order = order;
+  return patch;
+}
 
-  const activeInvoice = useMemo(
-    () => app.invoices.find((x) => x.id === activeInvoiceId) || null,
-    [app.invoices, activeInvoiceId]
-  );
+const isEmptyPatch = (patch) =>
+  !patch.full &&
+  !patch.order &&
+  !Object.keys(patch.meta).length &&
+  RECORD_STORES.every((name) => !patch.put[name].length && !patch.del[name].length);
 
-  const totalsByStatus = useMemo(() => {
-    const base = { Draft: 0, Sent: 0, Paid: 0, Overdue: 0 };
-    for (const inv of app.invoices) {
-      const t = calcTotals(inv);
-      base[inv.status] = (base[inv.status] || 0) + t.gross;
-    }
-    return base;
-  }, [app.invoices]);
+/** A patch that writes only the given meta values */
+const metaPatch = (meta) => ({
+  full: false,
+  put: Object.fromEntries(RECORD_STORES.map((name) => [name, []])),
+  del: Object.fromEntries(RECORD_STORES.map((name) => [name, []])),
+  meta,
+});
 
-  const filteredInvoices = useMemo(() => {
-    const needle = q.trim().toLowerCase();
-    return app.invoices
-      .filter((inv) => {
-        if (statusFilter !== "All" && inv.status !== statusFilter) return false;
-        if (!needle) return true;
-        const client = clientsById.get(inv.clientId);
-        const blob = [
-          inv.invoiceNumber,
-          inv.issueDate,
-          inv.dueDate,
-          inv.status,
-          client?.name,
-          client?.email,
-          inv.notes,
-          ...(inv.items || []).map((i) => i.desc),
-        ]
-          .filter(Boolean)
-          .join(" ")
-          .toLowerCase();
-        return blob.includes(needle);
-      })
-      .sort((a, b) => String(b.issueDate || "").localeCompare(String(a.issueDate || "")));
-  }, [app.invoices, q, statusFilter, clientsById]);
+/**
+ * What is already stored, in terms of the loaded (normalized) state, as the starting point for diffApp:
+ * records and meta that normalizing or migrating changed are stand-ins, so the first save writes just those.
+ * null (write everything) when nothing is stored yet or records had to be given ids.
+ */
+function storedBaseline(raw, loaded) {
+  if (!raw || typeof raw !== "object") return null;
+  const same = (a, b) => a !== undefined && stableJSON(a) === stableJSON(b);
+  const base = { ...loaded };
+  for (const name of RECORD_STORES) {
+    const rawById = new Map((Array.isArray(raw[name]) ? raw[name] : []).map((r) => [r?.id, r]));
+    if (rawById.size !== loaded[name].length || loaded[name].some((r) => !rawById.has(r.id))) return null;
+    base[name] = loaded[name].map((r) => (same(rawById.get(r.id), r) ? r : { ...r }));
+  }
+  META_KEYS.forEach((k) => {
+    if (!same(raw[k], loaded[k])) base[k] = undefined;
+  });
+  return base;
+}
 
-  const exportJSON = () => {
-    const blob = new Blob([JSON.stringify(app, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `toolstack-invoiceit-${todayISO()}.json`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-    notify("Exported");
-  };
+/** Writes a diffApp patch in one transaction */
+function idbSave(db, patch) {
+  const tx = db.transaction([...RECORD_STORES, "meta"], "readwrite");
+  RECORD_STORES.forEach((name) => {
+    const store = tx.objectStore(name);
+    if (patch.full) store.clear();
+    patch.put[name].forEach((r) => store.put(r));
+    patch.del[name].forEach((id) => store.delete(id));
+  });
+  const meta = tx.objectStore("meta");
+  Object.entries(patch.meta).forEach(([k, v]) => meta.put(v, k));
+  if (patch.order) meta.put(patch.order, "order");
+  return idbDone(tx);
+}
 
-  const importJSON = async (file) => {
-    if (!file) return;
-    const text = await file.text();
-    const parsed = safeParse(text, null);
-    if (!parsed || (!parsed.clients && !parsed.invoices && !parsed.settings)) {
-      notify("Invalid JSON");
-      return;
-    }
-    setApp(normalizeData(parsed));
-    setActiveInvoiceId(null);
-    notify("Imported");
+/** Applies a patch saved by another tab; records and values that did not really change keep their identity */
+function applyPatch(data, patch) {
+  let changed = false;
+  const keep = (mine, theirs) => {
+    if (mine !== undefined && stableJSON(mine) === stableJSON(theirs)) return mine;
+    changed = true;
+    return theirs;
   };
+  const next = { ...data };
+  Object.entries(patch.meta).forEach(([k, v]) => {
+    next[k] = keep(data[k], v);
+  });
+  RECORD_STORES.forEach((name) => {
+    const list = data[name] || [];
+    const current = new Map(list.map((r) => [r.id, r]));
+    const gone = new Set(patch.del[name]);
+    const incoming = new Map(patch.put[name].map((r) => [r.id, keep(current.get(r.id), r)]));
+    const kept = patch.full ? [] : list.filter((r) => !gone.has(r.id) && !incoming.has(r.id));
+    if (kept.length + incoming.size !== list.length) changed = true;
+    const merged = [...kept, ...incoming.values()];
+    next[name] = patch.order ? inOrder(merged, patch.order[name]) : merged;
+    if (!sameIds(next[name].map((r) => r.id), list.map((r) => r.id))) changed = true;
+  });
+  return changed ? next : data;
+}
 
-  const exportCSV = () => {
-    const header = ["invoiceNumber", "issueDate", "dueDate", "client", "status", "net", "vatRate", "vat", "gross", "currency"];
-
-    const rows = app.invoices
-      .slice()
-      .sort((a, b) => String(b.issueDate || "").localeCompare(String(a.issueDate || "")))
-      .map((inv) => {
-        const client = clientsById.get(inv.clientId);
-        const t = calcTotals(inv);
-        const vals = {
-          invoiceNumber: inv.invoiceNumber || "",
-          issueDate: inv.issueDate || "",
-          dueDate: inv.dueDate || "",
-          client: client?.name || "",
-          status: inv.status || "",
-          net: t.net.toFixed(2),
-          vatRate: String(t.vatRate),
-          vat: t.vat.toFixed(2),
-          gross: t.gross.toFixed(2),
-          currency,
-        };
-        return header.map((k) => vals[k]);
-      });
+const loadLegacy = () => {
+  const saved = typeof localStorage !== "undefined" ? localStorage.getItem(LS_KEY) : null;
+  return saved ? safeParse(saved, null) : null;
+};
 
-    const esc = (v) => {
-      const s = String(v ?? "");
-      return /[\",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+/** -> { backend, data, migrated, load(), loadMeta(), save(patch, next) } */
+async function openStorage() {
+  let db;
+  try {
+    db = await openDB();
+  } catch {
+    return {
+      backend: "localStorage",
+      data: loadLegacy(),
+      migrated: false,
+      load: async () => loadLegacy(),
+      loadMeta: async () => loadLegacy() || {},
+      save: async (_patch, next) => localStorage.setItem(LS_KEY, JSON.stringify(next)),
     };
-
-    const lines = [header.join(","), ...rows.map((r) => r.map(esc).join(","))];
-    const csv = lines.join("\n");
-
-    const blob = new Blob([csv], { type: "text/csv" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `toolstack-invoiceit-invoices-${todayISO()}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    a.remove();
-    URL.revokeObjectURL(url);
-    notify("CSV exported");
+  }
+  const stored = await idbLoad(db);
+  const legacy = stored ? null : loadLegacy();
+  return {
+    backend: "indexedDB",
+    data: stored || legacy,
+    migrated: !!legacy,
+    load: () => idbLoad(db),
+    loadMeta: () => idbLoadMeta(db),
+    save: (patch) => idbSave(db, patch),
   };
+}
 
-  const createInvoice = () => {
-    setApp((a) => {
-      const n = Math.max(1, toNumber(a.settings.nextInvoiceNumber));
-      const prefix = String(a.settings.invoicePrefix || "INV").trim() || "INV";
-      const issueDate = todayISO();
-      const dueDate = addDaysISO(issueDate, toNumber(a.settings.defaultDueDays) || 14);
-      const invoiceNumber = `${prefix}-${String(n).padStart(4, "0")}`;
+/** Tabs of the app announce their saved changes to each other on this channel */
+const SYNC_CHANNEL = "toolstack_invoiceit_sync";
+const TAB_ID = uid();
 
-      const inv = {
-        id: uid(),
-        invoiceNumber,
-        issueDate,
-        dueDate,
-        clientId: "",
-        status: "Draft",
-        vatRate: toNumber(a.settings.defaultVatRate),
-        items: [{ id: uid(), desc: "", qty: 1, unit: "", unitPrice: 0 }],
-        notes: "",
-      };
+/** Sends a saved patch to the other tabs from outside the workspace */
+function announce(patch) {
+  if (typeof BroadcastChannel === "undefined") return;
+  const channel = new BroadcastChannel(SYNC_CHANNEL);
+  channel.postMessage({ tabId: TAB_ID, patch });
+  channel.close();
+}
 
-      // UI open
-      setActiveInvoiceId(inv.id);
-      setInvoiceModalOpen(true);
+/** Taking numbers and generating recurring documents is serialized across tabs with this lock */
+const NUMBER_LOCK = "toolstack_invoiceit_numbers";
+
+/** Runs fn holding a lock shared by all tabs (Web Locks); browsers without the API just run it */
+const withLock = (name, fn) =>
+  typeof navigator !== "undefined" && navigator.locks ? navigator.locks.request(name, fn) : Promise.resolve().then(fn);
+
+/** Schedule counts only move forward too: one another tab already ran keeps its higher count */
+function forwardRecurring(mine = [], stored) {
+  const byId = new Map((Array.isArray(stored) ? stored : []).map((r) => [r.id, r]));
+  let changed = false;
+  const out = mine.map((r) => {
+    const s = byId.get(r.id);
+    if (!s || toNumber(s.count) <= toNumber(r.count)) return r;
+    changed = true;
+    return { ...r, count: s.count, lastGenerated: s.lastGenerated };
+  });
+  return changed ? out : mine;
+}
 
-      return {
-        ...a,
-        settings: { ...a.settings, nextInvoiceNumber: n + 1 },
-        invoices: [inv, ...(a.invoices || [])],
-      };
-    });
+/**
+ * storage plus the workspace's opening state in `boot`. Due recurring occurrences are generated on load;
+ * when there are any, that happens again under the number lock on a fresh read and is stored before the
+ * lock is released, so a tab opening at the same time does not generate them a second time.
+ */
+async function bootStorage(storage) {
+  const prepare = (raw) => {
+    const loaded = normalizeData(raw);
+    return { ...runRecurring(loaded), stored: storage.migrated ? null : storedBaseline(raw, loaded) };
   };
+  let boot = prepare(storage.data);
+  if (boot.generated.length && !storage.migrated) {
+    boot = await withLock(NUMBER_LOCK, async () => {
+      const run = prepare(await storage.load());
+      if (!run.generated.length) return run;
+      const patch = diffApp(run.stored, run.data);
+      try {
+        await storage.save(patch, run.data);
+      } catch {
+        return run; // autosave writes it again and reports the failure
+      }
+      announce(patch);
+      return { ...run, stored: run.data };
+    });
+  }
+  return { ...storage, boot };
+}
 
-  const duplicateInvoice = (id) => {
-    setApp((a) => {
-      const src = a.invoices.find((x) => x.id === id);
-      if (!src) return a;
-      const n = Math.max(1, toNumber(a.settings.nextInvoiceNumber));
-      const prefix = String(a.settings.invoicePrefix || "INV").trim() || "INV";
-      const invoiceNumber = `${prefix}-${String(n).padStart(4, "0")}`;
+/** Saves a blob as a download */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
 
-      const copy = {
-        ...src,
-        id: uid(),
-        invoiceNumber,
-        status: "Draft",
-        issueDate: todayISO(),
-        dueDate: addDaysISO(todayISO(), toNumber(a.settings.defaultDueDays) || 14),
-        items: (src.items || []).map((it) => ({ ...it, id: uid() })),
-      };
+/**
+ * Encrypted backups: PBKDF2-SHA-256 derives an AES-256-GCM key from the passphrase; GCM authenticates the
+ * data, so a wrong passphrase or a damaged file fails to decrypt instead of producing garbage.
+ */
+const ENCRYPTED_FORMAT = "toolstack-invoiceit-encrypted";
+const KDF_ITERATIONS = 600000;
+const MAX_KDF_ITERATIONS = 10 * KDF_ITERATIONS;
+const MIN_PASSPHRASE = 8;
+
+const toBase64 = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
 
-      notify("Duplicated");
-      return {
-        ...a,
-        settings: { ...a.settings, nextInvoiceNumber: n + 1 },
-        invoices: [copy, ...(a.invoices || [])],
-      };
-    });
-  };
+const fromBase64 = (b64) => Uint8Array.from(atob(b64), (ch) => ch.charCodeAt(0));
 
-  const deleteInvoice = (id) => {
-    const ok = window.confirm("Delete this invoice?");
-    if (!ok) return;
-    setApp((a) => ({ ...a, invoices: (a.invoices || []).filter((x) => x.id !== id) }));
-    if (activeInvoiceId === id) setActiveInvoiceId(null);
-    notify("Deleted");
-  };
+const isEncryptedBackup = (v) => v?.format === ENCRYPTED_FORMAT && typeof v.data === "string";
 
-  const upsertInvoice = (patch) => {
-    setApp((a) => ({
-      ...a,
-      invoices: (a.invoices || []).map((x) => (x.id === patch.id ? { ...x, ...patch } : x)),
-    }));
-  };
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
 
-  const upsertClient = (client) => {
-    setApp((a) => {
-      const list = [...(a.clients || [])];
-      const idx = list.findIndex((c) => c.id === client.id);
-      if (idx >= 0) list[idx] = client;
-      else list.unshift(client);
-      return { ...a, clients: list };
-    });
+async function encryptBackup(data, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, KDF_ITERATIONS);
+  const cipher = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(JSON.stringify(data)));
+  return {
+    format: ENCRYPTED_FORMAT,
+    version: 1,
+    kdf: { name: "PBKDF2", hash: "SHA-256", iterations: KDF_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: "AES-GCM", iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(cipher)),
   };
+}
 
-  const deleteClient = (id) => {
-    const c = app.clients.find((x) => x.id === id);
-    const name = (c?.name || "this client").trim();
-    const ok = window.confirm(`Delete “${name}”? Invoices will keep but client will be blank.`);
-    if (!ok) return;
+/** -> parsed backup; throws "Wrong passphrase…" when authentication fails */
+async function decryptBackup(envelope, passphrase) {
+  // the count comes from the file; a huge one would keep PBKDF2 busy for hours
+  const iterations = envelope.kdf?.iterations;
+  if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_KDF_ITERATIONS) {
+    throw new Error("This backup uses unsupported encryption settings.");
+  }
+  let plain;
+  try {
+    const key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), iterations);
+    plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(envelope.cipher.iv) }, key, fromBase64(envelope.data));
+  } catch {
+    throw new Error("Wrong passphrase, or the file is damaged.");
+  }
+  return safeParse(new TextDecoder().decode(plain), undefined);
+}
 
-    setApp((a) => {
-      const invoices = (a.invoices || []).map((inv) => (inv.clientId === id ? { ...inv, clientId: "" } : inv));
-      return { ...a, clients: (a.clients || []).filter((x) => x.id !== id), invoices };
-    });
+/**
+ * Export columns per level. Invoice rows report amounts in the base currency (the document's own gross is
+ * a separate column); item rows are in the document currency. "rates" expands to net_X/vat_X per VAT rate.
+ */
+const CSV_EXPORT_COLUMNS = {
+  invoices: [
+    { key: "invoiceNumber", label: "Number", on: true },
+    { key: "docType", label: "Document type", on: true },
+    { key: "refInvoiceNumber", label: "Original invoice", on: true },
+    { key: "issueDate", label: "Issue date", type: "date", on: true },
+    { key: "dueDate", label: "Due date", type: "date", on: true },
+    { key: "client", label: "Client", on: true },
+    { key: "clientAddress", label: "Client address" },
+    { key: "clientEmail", label: "Client email" },
+    { key: "clientVatId", label: "Client VAT ID" },
+    { key: "status", label: "Status", on: true },
+    { key: "subtotal", label: "Subtotal", type: "amount", on: true },
+    { key: "discount", label: "Discount", type: "amount", on: true },
+    { key: "net", label: "Net", type: "amount", on: true },
+    { key: "vatRate", label: "VAT rates", on: true },
+    { key: "vat", label: "VAT", type: "amount", on: true },
+    { key: "gross", label: "Gross", type: "amount", on: true },
+    { key: "paid", label: "Paid", type: "amount", on: true },
+    { key: "balance", label: "Balance", type: "amount", on: true },
+    { key: "rates", label: "Net / VAT per rate", type: "amount", on: true },
+    { key: "currency", label: "Base currency", on: true },
+    { key: "docCurrency", label: "Document currency", on: true },
+    { key: "exchangeRate", label: "Exchange rate", type: "amount", on: true },
+    { key: "grossDocCurrency", label: "Gross (document currency)", type: "amount", on: true },
+    { key: "notes", label: "Notes" },
+  ],
+  items: [
+    { key: "invoiceNumber", label: "Number", on: true },
+    { key: "docType", label: "Document type", on: true },
+    { key: "issueDate", label: "Issue date", type: "date", on: true },
+    { key: "dueDate", label: "Due date", type: "date" },
+    { key: "client", label: "Client", on: true },
+    { key: "clientAddress", label: "Client address" },
+    { key: "clientVatId", label: "Client VAT ID" },
+    { key: "status", label: "Status" },
+    { key: "position", label: "Position", on: true },
+    { key: "description", label: "Description", on: true },
+    { key: "qty", label: "Quantity", type: "amount", on: true },
+    { key: "unit", label: "Unit", on: true },
+    { key: "unitPrice", label: "Unit price", type: "amount", on: true },
+    { key: "lineDiscount", label: "Line discount", type: "amount", on: true },
+    { key: "vatRate", label: "VAT %", type: "amount", on: true },
+    { key: "lineNet", label: "Net", type: "amount", on: true },
+    { key: "lineVat", label: "VAT", type: "amount", on: true },
+    { key: "lineGross", label: "Gross", type: "amount", on: true },
+    { key: "docCurrency", label: "Currency", on: true },
+    { key: "notes", label: "Notes" },
+  ],
+};
 
-    notify("Client deleted");
-  };
+const DEFAULT_CSV_EXPORT = {
+  level: "invoices",
+  columns: {
+    invoices: CSV_EXPORT_COLUMNS.invoices.filter((c) => c.on).map((c) => c.key),
+    items: CSV_EXPORT_COLUMNS.items.filter((c) => c.on).map((c) => c.key),
+  },
+  delimiter: ",",
+  decimal: ".",
+  dateFormat: "iso",
+  bom: false,
+  includeQuotes: false,
+};
 
-  /** Print/Save PDF should print ONLY invoice sheet -> open preview then print */
-  const printInvoicePDF = () => {
-    if (!activeInvoice) return;
-    setPreviewOpen(true);
-    // small delay so CSS kicks in
-    setTimeout(() => window.print(), 80);
+/** Values shared by invoice and item rows */
+function csvDocValues(inv, ctx) {
+  const client = billTo(inv, ctx.clientsById);
+  return {
+    invoiceNumber: inv.invoiceNumber || "",
+    docType: inv.docType || "invoice",
+    refInvoiceNumber: inv.refInvoiceNumber || "",
+    issueDate: inv.issueDate || "",
+    dueDate: inv.docType === "quote" ? inv.validUntil || "" : inv.dueDate || "",
+    client: client?.name || "",
+    clientAddress: client?.address || "",
+    clientEmail: client?.email || "",
+    clientVatId: client?.vatId || "",
+    status: effectiveStatus(inv, ctx.today),
+    docCurrency: docCurrency(inv, ctx.currency),
+    notes: inv.notes || "",
   };
+}
 
-  return (
+function invoiceCsvValues(inv, t, ctx) {
+  const { currency, rounding, rates } = ctx;
+  const p = paymentSummary(inv, t);
+  const digits = currencyDigits(currency);
+  const amt = (v) => toBase(v, inv, currency, rounding.method, rates).toFixed(digits);
+  const vals = {
+    ...csvDocValues(inv, ctx),
+    subtotal: amt(t.beforeDiscounts),
+    discount: amt(t.discount),
+    net: amt(t.net),
+    vatRate: t.vatBreakdown.map((b) => b.rate).join("/"),
+    vat: amt(t.vat),
+    gross: amt(t.gross),
+    paid: amt(p.paid),
+    balance: amt(p.balance),
+    currency,
+    exchangeRate: String(fxRate(inv, currency, rates)),
+    grossDocCurrency: t.gross.toFixed(t.digits),
+  };
+  for (const b of t.vatBreakdown) {
+    vals[`net_${b.rate}`] = amt(b.net);
+    vals[`vat_${b.rate}`] = amt(b.vat);
+  }
+  return vals;
+}
+
+/** One row per line item; line VAT is the line's own share before any invoice-level discount */
+function itemCsvValues(inv, t, ctx) {
+  const base = csvDocValues(inv, ctx);
+  const method = ctx.rounding.method;
+  return (inv.items || []).map((it, idx) => {
+    const line = t.lines[idx];
+    const vat = minorToNumber(roundFrac(fDiv(fMul(frac(line.net), frac(line.rate)), frac(100)), t.digits, method), t.digits);
+    return {
+      ...base,
+      position: String(idx + 1),
+      description: it.desc || "",
+      qty: String(toNumber(it.qty)),
+      unit: it.unit || "",
+      unitPrice: (toNumber(it.unitPrice) * t.sign).toFixed(Math.max(t.digits, 2)),
+      lineDiscount: line.discount.toFixed(t.digits),
+      vatRate: String(line.rate),
+      lineNet: line.net.toFixed(t.digits),
+      lineVat: vat.toFixed(t.digits),
+      lineGross: (line.net + vat).toFixed(t.digits),
+    };
+  });
+}
+
+/**
+ * Builds the CSV text. opts: { level, columns, delimiter, decimal, dateFormat, bom };
+ * ctx: { clientsById, currency (base), rounding, today }.
+ */
+function buildCsvExport(docs, opts, ctx) {
+  const level = opts.level === "items" ? "items" : "invoices";
+  const defs = new Map(CSV_EXPORT_COLUMNS[level].map((c) => [c.key, c]));
+  const chosen = (opts.columns?.[level] || DEFAULT_CSV_EXPORT.columns[level]).filter((k) => defs.has(k));
+  const sorted = docs.slice().sort((a, b) => String(b.issueDate || "").localeCompare(String(a.issueDate || "")));
+  const totals = new Map(sorted.map((inv) => [inv.id, calcTotals(inv, ctx.rounding)]));
+
+  // One net/VAT column pair per VAT rate used anywhere in the export
+  const rates = [...new Set([...totals.values()].flatMap((t) => t.vatBreakdown.map((b) => b.rate)))].sort((a, b) => b - a);
+  const header = chosen.flatMap((k) => (k === "rates" ? rates.flatMap((r) => [`net_${r}`, `vat_${r}`]) : [k]));
+  const typeOf = (k) => (/^(net|vat)_/.test(k) ? "amount" : defs.get(k)?.type);
+
+  const records = sorted.flatMap((inv) =>
+    level === "items" ? itemCsvValues(inv, totals.get(inv.id), ctx) : [invoiceCsvValues(inv, totals.get(inv.id), ctx)]
+  );
+
+  const format = (k, v) => {
+    const text = String(v ?? "");
+    if (typeOf(k) === "date") return formatDateAs(text, opts.dateFormat);
+    if (typeOf(k) === "amount" && opts.decimal === ",") return text.replace(".", ",");
+    return text;
+  };
+  const esc = (v) => (v.includes(opts.delimiter) || /["\n\r]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+
+  const lines = [header, ...records.map((vals) => header.map((k) => format(k, vals[k])))].map((r) => r.map(esc).join(opts.delimiter));
+  return `${opts.bom ? "\uFEFF" : ""}${lines.join("\r\n")}`;
+}
+
+/**
+ * Sheet layout: template, brand colour, font and the order/visibility of the sheet's blocks.
+ * Used by the on-screen sheet and the PDF alike.
+ */
+const SHEET_TEMPLATES = { classic: "Classic", minimal: "Minimal", din5008: "DIN 5008 letter (window envelope)" };
+const SHEET_FONTS = {
+  sans: { label: "Sans-serif", css: "ui-sans-serif, system-ui, Helvetica, Arial, sans-serif", pdf: "helvetica" },
+  serif: { label: "Serif", css: "Georgia, 'Times New Roman', serif", pdf: "times" },
+  mono: { label: "Monospace", css: "ui-monospace, Menlo, Consolas, monospace", pdf: "courier" },
+};
+/** Blocks of the sheet body in their default order */
+const SHEET_BLOCKS = { parties: "From / Bill to", items: "Line items", totals: "Notes & totals", payment: "Payment details" };
+/** Parts that can be switched off */
+const SHEET_TOGGLES = { generated: "“Generated:” timestamp", status: "Status", payment: "Payment details" };
+
+const DEFAULT_LAYOUT = {
+  template: "classic",
+  accent: "#a3e635",
+  font: "sans",
+  order: Object.keys(SHEET_BLOCKS),
+  show: { generated: true, status: true, payment: true },
+  footerText: "",
+};
+
+function normalizeLayout(l) {
+  const order = (Array.isArray(l?.order) ? l.order : []).filter((k, i, list) => SHEET_BLOCKS[k] && list.indexOf(k) === i);
+  return {
+    template: SHEET_TEMPLATES[l?.template] ? l.template : DEFAULT_LAYOUT.template,
+    accent: /^#[0-9a-f]{6}$/i.test(l?.accent || "") ? l.accent : DEFAULT_LAYOUT.accent,
+    font: SHEET_FONTS[l?.font] ? l.font : DEFAULT_LAYOUT.font,
+    order: [...order, ...DEFAULT_LAYOUT.order.filter((k) => !order.includes(k))],
+    show: Object.fromEntries(Object.keys(SHEET_TOGGLES).map((k) => [k, l?.show?.[k] !== false])),
+    footerText: typeof l?.footerText === "string" ? l.footerText : "",
+  };
+}
+
+const LOGO_MAX_PX = 600;
+
+/** Image file -> { src: PNG data URL, width, height }, scaled down so the profile stays small */
+function readLogo(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      // SVGs without a size report 0
+      const w = img.naturalWidth || 300;
+      const h = img.naturalHeight || 150;
+      const scale = Math.min(1, LOGO_MAX_PX / Math.max(w, h));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.max(1, Math.round(w * scale));
+      canvas.height = Math.max(1, Math.round(h * scale));
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      resolve({ src: canvas.toDataURL("image/png"), width: canvas.width, height: canvas.height });
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("The file is not an image this browser can read."));
+    };
+    img.src = url;
+  });
+}
+
+/**
+ * Native PDF of the invoice sheet (A4, mm), drawn with jsPDF in the sheet's layout and wording.
+ * The library is passed in by the caller, which loads it on demand.
+ */
+const PDF_PAGE = { w: 210, h: 297, margin: 18 };
+const PDF_GRAY = { dark: 38, text: 64, muted: 115, line: 220, fill: 245 };
+
+/** The built-in PDF fonts only cover Windows-1252; anything else would print as garbage */
+const pdfText = (v) =>
+  String(v ?? "")
+    .replace(/\u2212/g, "-")
+    .replace(/[\u00a0\u2007\u2009\u202f]/g, " ")
+    .replace(/[^\n\x20-\x7e\xa1-\xff\u20ac\u2013\u2014\u2018\u2019\u201c\u201d\u201e\u2022\u2026]/g, "?");
+
+/** "INV-2025/0042" -> "INV-2025_0042" */
+const fileNameOf = (inv) => String(inv.invoiceNumber || "invoice").replace(/[^\w.-]+/g, "_");
+
+/** "#a3e635" -> [163, 230, 53] */
+const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+/** ctx: { profile, client, currency, rounding, paymentQr, layout, language } as for InvoiceSheet -> jsPDF document */
+function invoicePdf(
+  JsPDF,
+  invoice,
+  { profile: liveProfile, client: liveClient, currency, rounding, paymentQr, layout = DEFAULT_LAYOUT, language = DEFAULT_DOC_LANGUAGE }
+) {
+  const profile = invoice.profileSnapshot || liveProfile;
+  const client = invoice.clientSnapshot || liveClient;
+  const logo = liveProfile?.logo || null;
+  const t = calcTotals(invoice, rounding);
+  const p = paymentSummary(invoice, t);
+  const qr = paymentQr ? epcPayment({ profile, invoice, currency, amount: p.balance }) : { payload: "" };
+
+  const lang = docStrings(language);
+  const tr = lang.t;
+  const { show } = layout;
+  const din = layout.template === "din5008";
+  const boxed = layout.template === "classic";
+  const accent = hexToRgb(layout.accent);
+  const family = SHEET_FONTS[layout.font].pdf;
+
+  const doc = new JsPDF({ unit: "mm", format: "a4" });
+  // DIN 5008: 25 mm left / 20 mm right margin, business details in the footer of every page
+  const left = din ? 25 : PDF_PAGE.margin;
+  const right = PDF_PAGE.w - (din ? 20 : PDF_PAGE.margin);
+  const bottom = PDF_PAGE.h - PDF_PAGE.margin - (din ? 22 : 6) - (layout.footerText ? 4 : 0);
+  const colW = (right - left - 6) / 2;
+  let y = PDF_PAGE.margin;
+
+  const font = (size, style = "normal", gray = PDF_GRAY.text) => {
+    doc.setFont(family, style);
+    doc.setFontSize(size);
+    if (gray === "accent") doc.setTextColor(...accent);
+    else doc.setTextColor(gray);
+  };
+  // arrays are lines already wrapped by `wrap`
+  const text = (s, x, at, opts) => doc.text(Array.isArray(s) ? s : pdfText(s), x, at, opts);
+  const wrap = (s, w) => (s ? doc.splitTextToSize(pdfText(s), w) : []);
+  const rule = (x1, at, x2, color = PDF_GRAY.line, width = 0.3) => {
+    if (Array.isArray(color)) doc.setDrawColor(...color);
+    else doc.setDrawColor(color);
+    doc.setLineWidth(width);
+    doc.line(x1, at, x2, at);
+  };
+  const frame = (x, at, w, h) => {
+    if (!boxed) return;
+    doc.setDrawColor(PDF_GRAY.line);
+    doc.setLineWidth(0.3);
+    doc.roundedRect(x, at, w, h, 3, 3);
+  };
+  /** Section heading; returns the height it takes */
+  const heading = (title, x, at, w) => {
+    if (boxed) {
+      font(10, "bold", PDF_GRAY.dark);
+      text(title, x + 4, at + 5);
+      rule(x, at + 7, x + w);
+      return 12;
+    }
+    font(7.5, "bold", "accent");
+    text(title.toUpperCase(), x, at + 4);
+    rule(x, at + 5.5, x + w, accent);
+    return 10;
+  };
+  const logoSize = (maxW, maxH) => {
+    const scale = Math.min(maxW / logo.width, maxH / logo.height);
+    return [logo.width * scale, logo.height * scale];
+  };
+  const newPageIfNeeded = (h) => {
+    if (y + h <= bottom) return false;
+    doc.addPage();
+    y = PDF_PAGE.margin;
+    return true;
+  };
+
+  const meta = [
+    [tr(`${DOC_LABELS[invoice.docType] ? invoice.docType : "invoice"}.no`), invoice.invoiceNumber],
+    invoice.docType === "credit" && invoice.refInvoiceNumber ? [tr("originalInvoice"), invoice.refInvoiceNumber] : null,
+    [tr("issue"), lang.date(invoice.issueDate)],
+    invoice.docType === "quote" ? [tr("validUntil"), lang.date(invoice.validUntil)] : [tr("due"), lang.date(invoice.dueDate)],
+    invoice.buyerReference && invoice.docType !== "quote" ? [tr("buyerReference"), invoice.buyerReference] : null,
+    din && client?.vatId ? [tr("yourVatId"), client.vatId] : null,
+    show.status ? [tr("status"), lang.status(effectiveStatus(invoice))] : null,
+    din && show.generated ? [tr("generated"), lang.now()] : null,
+  ].filter(Boolean);
+  const drawMeta = (x, at, w) =>
+    meta.forEach(([label, value], i) => {
+      font(9, "normal", PDF_GRAY.muted);
+      text(label, x, at + i * 5);
+      font(9, "bold", PDF_GRAY.dark);
+      text(value, x + w, at + i * 5, { align: "right" });
+    });
+
+  // Header
+  if (din) {
+    // fold marks (form B) and the punch mark
+    [105, 148.5, 210].forEach((mm) => rule(0, mm, mm === 148.5 ? 7 : 5, PDF_GRAY.muted, 0.2));
+    if (logo) {
+      const [w, h] = logoSize(70, 22);
+      doc.addImage(logo.src, "PNG", right - w, 12, w, h);
+    } else {
+      font(13, "bold", PDF_GRAY.dark);
+      text(profile.businessName || "Your Business", right, 20, { align: "right" });
+    }
+    // address field 45 mm from the top, 20 mm from the left edge, 85 × 45 mm
+    const sender = [profile.businessName, ...String(profile.address || "").split("\n")]
+      .map((s) => String(s || "").trim())
+      .filter(Boolean)
+      .join(" · ");
+    font(7, "normal", PDF_GRAY.muted);
+    const senderLine = doc.splitTextToSize(pdfText(sender), 80)[0] || "";
+    text(senderLine, 25, 50);
+    rule(25, 50.8, 25 + doc.getTextWidth(senderLine), PDF_GRAY.muted, 0.15);
+    font(10, "normal", PDF_GRAY.dark);
+    const addressLines = [client?.name || "—", ...String(client?.address || "").split("\n")].filter((s) => String(s).trim()).slice(0, 7);
+    addressLines.forEach((l, i) => text(l, 25, 57 + i * 4.6));
+    drawMeta(125, 54, right - 125);
+    y = 98.5;
+    font(16, "bold", "accent");
+    text(`${lang.docLabel(invoice)} ${invoice.invoiceNumber}`, left, y + 6);
+    y += 8;
+    if (invoice.docType === "credit" && invoice.refInvoiceNumber) {
+      font(10, "bold", PDF_GRAY.dark);
+      text(tr("creditFor", { ref: invoice.refInvoiceNumber }), left, y + 4);
+      y += 6;
+    }
+    y += 4;
+  } else {
+    let hy = y;
+    if (logo) {
+      const [w, h] = logoSize(60, 16);
+      doc.addImage(logo.src, "PNG", left, hy, w, h);
+      hy += h + 4;
+    }
+    font(20, "bold", boxed ? PDF_GRAY.dark : "accent");
+    text(lang.docLabel(invoice), left, hy + 7);
+    hy += 13;
+    if (invoice.docType === "credit" && invoice.refInvoiceNumber) {
+      font(10, "bold", PDF_GRAY.dark);
+      text(tr("creditFor", { ref: invoice.refInvoiceNumber }), left, hy);
+      hy += 5;
+    }
+    if (show.generated) {
+      font(9);
+      text(`${tr("generated")}: ${lang.now()}`, left, hy);
+      hy += 4;
+    }
+    if (boxed) rule(left, hy, left + 64, accent, 0.6);
+
+    const boxW = 72;
+    const boxH = meta.length * 5 + 5;
+    frame(right - boxW, y, boxW, boxH);
+    drawMeta(right - boxW + 4, y + 6, boxW - 8);
+    y = Math.max(hy + 8, y + boxH + 8);
+  }
+
+  const blocks = {
+    parties: () => {
+      if (din) return;
+      const partyLines = (name, lines) => [
+        { s: name, bold: true },
+        ...lines.filter(Boolean).flatMap((l) => wrap(l, colW - 8).map((s) => ({ s }))),
+      ];
+      const from = partyLines(profile.businessName || "Your Business", [
+        ...String(profile.address || "").split("\n"),
+        profile.email,
+        profile.phone,
+        profile.taxId ? `${tr("taxId")}: ${profile.taxId}` : "",
+        profile.vatId ? `${tr("vatId")}: ${profile.vatId}` : "",
+      ]);
+      const to = partyLines(client?.name || "—", [
+        ...String(client?.address || "").split("\n"),
+        client?.email,
+        client?.phone,
+        client?.vatId ? `${tr("vatId")}: ${client.vatId}` : "",
+      ]);
+      const partyH = 12 + Math.max(from.length, to.length) * 4.2;
+      newPageIfNeeded(partyH);
+      [
+        [tr("from"), from, left],
+        [tr("billTo"), to, left + colW + 6],
+      ].forEach(([title, lines, x]) => {
+        frame(x, y, colW, partyH);
+        const top = heading(title, x, y, colW);
+        const pad = boxed ? 4 : 0;
+        lines.forEach((l, i) => {
+          font(9, l.bold ? "bold" : "normal", l.bold ? PDF_GRAY.dark : PDF_GRAY.text);
+          text(l.s, x + pad, y + top + i * 4.2);
+        });
+      });
+      y += partyH + 6;
+    },
+
+    items: () => {
+      const hasLineDiscounts = t.lineDiscount !== 0;
+      const cols = [
+        { key: "desc", label: tr("description"), w: 0 },
+        { key: "qty", label: tr("qty"), w: 13, align: "right" },
+        { key: "unit", label: tr("unit"), w: 15 },
+        { key: "price", label: tr("unitPrice"), w: 25, align: "right" },
+        hasLineDiscounts ? { key: "discount", label: tr("discount"), w: 24, align: "right" } : null,
+        { key: "vat", label: tr("vat"), w: 12, align: "right" },
+        { key: "total", label: tr("lineTotal"), w: 26, align: "right" },
+      ].filter(Boolean);
+      cols[0].w = right - left - cols.slice(1).reduce((sum, c) => sum + c.w, 0);
+      let cx = left;
+      for (const c of cols) {
+        c.x = cx;
+        cx += c.w;
+      }
+      const cellX = (c) => (c.align === "right" ? c.x + c.w - 2 : c.x + 2);
+      const tableHeader = () => {
+        if (boxed) {
+          doc.setFillColor(PDF_GRAY.fill);
+          doc.rect(left, y, right - left, 7, "F");
+        }
+        font(8, "bold", PDF_GRAY.muted);
+        cols.forEach((c) => text(c.label, cellX(c), y + 4.7, { align: c.align || "left" }));
+        if (!boxed) rule(left, y + 7, right, accent, 0.6);
+        y += 7;
+      };
+      newPageIfNeeded(20);
+      tableHeader();
+      (invoice.items || []).forEach((it, idx) => {
+        const line = t.lines[idx];
+        font(9);
+        const desc = wrap(it.desc || "—", cols[0].w - 4);
+        // wrapped lines are set 1.15 × 9 pt ≈ 3.65 mm apart
+        const h = Math.max(desc.length * 3.65, line.discount ? 8.2 : 4.2) + 2.6;
+        if (newPageIfNeeded(h)) tableHeader();
+        if (idx) rule(left, y, right);
+        const values = {
+          desc,
+          qty: lang.number(it.qty),
+          unit: it.unit || "",
+          price: lang.money(toNumber(it.unitPrice) * t.sign, currency),
+          discount: line.discount ? `-${lang.discount(it.discountType, it.discount, currency)}` : "",
+          vat: lang.percent(itemVatRate(it, invoice)),
+          total: lang.money(line.net, currency),
+        };
+        cols.forEach((c) => {
+          font(9, c.key === "total" ? "bold" : "normal", c.key === "total" ? PDF_GRAY.dark : PDF_GRAY.text);
+          text(values[c.key], cellX(c), y + 4.6, { align: c.align || "left" });
+        });
+        if (line.discount) {
+          const c = cols.find((x) => x.key === "discount");
+          const base = pdfText(lang.money(line.base, currency));
+          font(8, "normal", PDF_GRAY.muted);
+          text(base, cellX(c), y + 8.6, { align: "right" });
+          rule(cellX(c) - doc.getTextWidth(base), y + 7.7, cellX(c), PDF_GRAY.muted, 0.2);
+        }
+        y += h;
+      });
+      rule(left, y, right);
+      y += 8;
+    },
+
+    totals: () => {
+      const rows = [];
+      if (t.lineDiscount || t.invoiceDiscount) {
+        rows.push([tr("subtotalBeforeDiscounts"), t.beforeDiscounts]);
+        if (t.lineDiscount) rows.push([tr("lineDiscounts"), -t.lineDiscount]);
+        if (t.invoiceDiscount) {
+          rows.push([`${tr("discount")}${invoice.discountType === "percent" ? ` (${lang.percent(invoice.discount)})` : ""}`, -t.invoiceDiscount]);
+        }
+      }
+      rows.push([tr("net"), t.net]);
+      t.vatBreakdown.forEach((b) => rows.push([tr("vatOn", { rate: lang.percent(b.rate), net: lang.money(b.net, currency) }), b.vat]));
+      const after = p.paid
+        ? [
+            [tr(t.sign < 0 ? "refundedToDate" : "paidToDate"), p.paid],
+            [tr("balanceDue"), p.balance, true],
+          ]
+        : [];
+      const pad = boxed ? 4 : 0;
+      const h = rows.length * 5 + 9 + after.length * 5 + pad * 2;
+      newPageIfNeeded(h);
+      const top = y;
+      const tx = left + colW + 6;
+      frame(tx, top, colW, h);
+      let ty = top + pad + 4;
+      rows.forEach(([label, value]) => {
+        font(9, "normal", PDF_GRAY.muted);
+        text(label, tx + pad, ty);
+        font(9, "bold", PDF_GRAY.dark);
+        text(lang.money(value, currency), right - pad, ty, { align: "right" });
+        ty += 5;
+      });
+      rule(tx + pad, ty - 2, right - pad, boxed ? PDF_GRAY.line : accent);
+      ty += 3;
+      font(10, "bold", PDF_GRAY.dark);
+      text(tr("total"), tx + pad, ty);
+      font(12, "bold", PDF_GRAY.dark);
+      text(lang.money(t.gross, currency), right - pad, ty, { align: "right" });
+      ty += 6;
+      after.forEach(([label, value, strong]) => {
+        font(9, strong ? "bold" : "normal", strong ? PDF_GRAY.dark : PDF_GRAY.muted);
+        text(label, tx + pad, ty);
+        font(9, "bold", PDF_GRAY.dark);
+        text(lang.money(value, currency), right - pad, ty, { align: "right" });
+        ty += 5;
+      });
+
+      // notes on the left, continuing on further pages when long
+      const notes = [invoice.notes, profile.footerNotes].filter(Boolean).join("\n\n");
+      y = top + pad + 4;
+      font(9);
+      wrap(notes, colW - pad * 2).forEach((l) => {
+        if (newPageIfNeeded(4.2)) font(9);
+        text(l, left + pad, y);
+        y += 4.2;
+      });
+      if (doc.getCurrentPageInfo().pageNumber === doc.getNumberOfPages() && y < top + h) y = top + h;
+      y += 6;
+    },
+
+    payment: () => {
+      if (!show.payment || invoice.docType === "quote" || !(profile.bank || profile.iban || profile.bic)) return;
+      const lines = [profile.bank ? `${tr("bank")}: ${profile.bank}` : "", profile.iban ? `IBAN: ${profile.iban}` : "", profile.bic ? `BIC: ${profile.bic}` : ""].filter(
+        Boolean
+      );
+      const qrSize = 28;
+      const pad = boxed ? 4 : 0;
+      const h = Math.max(lines.length * 4.2 + 8, qr.payload ? qrSize + 4 : 0) + pad * 2;
+      newPageIfNeeded(h);
+      frame(left, y, right - left, h);
+      font(7.5, "bold", boxed ? PDF_GRAY.muted : "accent");
+      text(tr("payment").toUpperCase(), left + pad, y + pad + 3);
+      font(9);
+      lines.forEach((l, i) => text(l, left + pad, y + pad + 7.5 + i * 4.2));
+      if (qr.payload) {
+        const { modules } = QRCode.create(qr.payload, { errorCorrectionLevel: "M" });
+        const cell = qrSize / (modules.size + 8);
+        const qx = right - pad - qrSize;
+        const qy = y + pad - 2;
+        doc.setFillColor(0);
+        for (let r = 0; r < modules.size; r++) {
+          // one rectangle per run of dark modules
+          for (let c = 0; c < modules.size; c++) {
+            if (!modules.get(r, c)) continue;
+            let run = 1;
+            while (c + run < modules.size && modules.get(r, c + run)) run++;
+            doc.rect(qx + (c + 4) * cell, qy + (r + 4) * cell, run * cell, cell, "F");
+            c += run - 1;
+          }
+        }
+        font(7, "normal", PDF_GRAY.muted);
+        text(tr("scanToPay"), qx + qrSize / 2, qy + qrSize + 1, { align: "center" });
+      }
+      y += h + 6;
+    },
+  };
+  layout.order.forEach((key) => blocks[key]());
+
+  // Footer on every page: DIN business details, the footer line and page numbers
+  const pages = doc.getNumberOfPages();
+  const footerY = PDF_PAGE.h - PDF_PAGE.margin + 4;
+  const footerLines = wrap(layout.footerText, right - left - 30).slice(0, 2);
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    if (din) {
+      const top = footerY - 22 - (footerLines.length ? 4 : 0);
+      rule(left, top, right, accent);
+      const third = (right - left) / 3;
+      const columns = [
+        [profile.businessName, ...String(profile.address || "").split("\n")],
+        [profile.email, profile.phone, profile.taxId ? `${tr("taxId")}: ${profile.taxId}` : "", profile.vatId ? `${tr("vatId")}: ${profile.vatId}` : ""],
+        [profile.bank, profile.iban ? `IBAN: ${profile.iban}` : "", profile.bic ? `BIC: ${profile.bic}` : ""],
+      ];
+      font(7, "normal", PDF_GRAY.muted);
+      columns.forEach((col, c) =>
+        col
+          .filter((s) => String(s || "").trim())
+          .slice(0, 5)
+          .forEach((s, r) => text(doc.splitTextToSize(pdfText(s), third - 3)[0], left + c * third, top + 4 + r * 3.3))
+      );
+    }
+    font(8, "normal", PDF_GRAY.muted);
+    footerLines.forEach((l, r) => text(l, left, footerY - (footerLines.length - 1 - r) * 3.6));
+    if (pages > 1) text(`${invoice.invoiceNumber} · ${i} / ${pages}`, right, footerY, { align: "right" });
+  }
+  return doc;
+}
+
+/**
+ * Undo history around the app state. Changes landing within HISTORY_MERGE_MS of each other form one step,
+ * so typing into a settings field or a save that touches several slices undoes as a whole.
+ */
+const HISTORY_LIMIT = 100;
+const HISTORY_MERGE_MS = 800;
+
+function pushHistory(h, next) {
+  if (next === h.present) return h;
+  const now = Date.now();
+  if (now - h.at < HISTORY_MERGE_MS && h.past.length) return { ...h, present: next, future: [], at: now };
+  return { past: [...h.past, h.present].slice(-HISTORY_LIMIT), present: next, future: [], at: now };
+}
+
+/** Number counters only move forward: per series the later year wins, within the same year the higher counter */
+function forwardCounters(target, present) {
+  const out = { ...target, sequenceYears: { ...(target.sequenceYears || {}) } };
+  for (const [docType, { counterKey }] of Object.entries(NUMBER_SERIES)) {
+    const targetYear = toNumber(target.sequenceYears?.[docType]);
+    const presentYear = toNumber(present.sequenceYears?.[docType]);
+    if (presentYear > targetYear || (presentYear === targetYear && toNumber(present[counterKey]) > toNumber(target[counterKey]))) {
+      out[counterKey] = present[counterKey];
+      if (presentYear) out.sequenceYears[docType] = presentYear;
+    }
+  }
+  return out;
+}
+
+/**
+ * State an undo/redo step lands on: `target`, except that it never reaches past an issue. Documents
+ * finalized in `present` stay (only status and payments follow the step when the document was already
+ * final in `target`), counters never go back, and schedules keep the count of issued documents they made.
+ */
+function historyTarget(target, present) {
+  const finals = new Map(present.invoices.filter(isLocked).map((inv) => [inv.id, inv]));
+  const targetIds = new Set(target.invoices.map((inv) => inv.id));
+  const invoices = target.invoices.map((inv) => {
+    const final = finals.get(inv.id);
+    if (!final) return inv;
+    if (inv.lockedAt !== final.lockedAt) return final;
+    return { ...final, ...Object.fromEntries(LOCKED_EDITABLE.map((k) => [k, inv[k]])) };
+  });
+  const added = present.invoices.filter((inv) => isLocked(inv) && !targetIds.has(inv.id));
+  const schedules = new Set(added.map((inv) => inv.recurringId).filter(Boolean));
+  const recurring = (target.recurring || []).map((r) =>
+    schedules.has(r.id) ? (present.recurring || []).find((x) => x.id === r.id) || r : r
+  );
+  return {
+    ...target,
+    settings: forwardCounters(target.settings, present.settings),
+    invoices: [...added, ...invoices],
+    recurring,
+  };
+}
+
+function undoHistory(h) {
+  if (!h.past.length) return h;
+  const present = historyTarget(h.past[h.past.length - 1], h.present);
+  return { past: h.past.slice(0, -1), present, future: [h.present, ...h.future], at: 0 };
+}
+
+function redoHistory(h) {
+  if (!h.future.length) return h;
+  return { past: [...h.past, h.present], present: historyTarget(h.future[0], h.present), future: h.future.slice(1), at: 0 };
+}
+
+export default function InvoiceItApp() {
+  const [storage, setStorage] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    let alive = true;
+    openStorage()
+      .then(bootStorage)
+      .then((s) => alive && setStorage(s))
+      .catch((err) => alive && setLoadError(err));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen bg-neutral-50 text-neutral-800 flex items-center justify-center p-6">
+        <div className={`${card} ${cardPad} max-w-lg text-sm`}>
+          <div className="font-semibold text-neutral-800">Could not open the invoice database</div>
+          <p className="mt-1 text-neutral-700">
+            {String(loadError?.message || loadError)}. Nothing has been changed; close other Invoice-It tabs and reload.
+          </p>
+        </div>
+      </div>
+    );
+  }
+  if (!storage) return <div className="min-h-screen bg-neutral-50" />;
+  return <InvoiceItWorkspace storage={storage} />;
+}
+
+function InvoiceItWorkspace({ storage }) {
+  const fileRef = useRef(null);
+  const toastTimer = useRef(null);
+
+  const [helpOpen, setHelpOpen] = useState(false);
+
+  // Due recurring occurrences are generated once, on load (see bootStorage)
+  const boot = storage.boot;
+
+  const [history, setHistory] = useState(() => ({ past: [], present: boot.data, future: [], at: 0 }));
+  const app = history.present;
+  /** Drop-in for a plain state setter: every change becomes an undoable step */
+  const setApp = (update) => setHistory((h) => pushHistory(h, typeof update === "function" ? update(h.present) : update));
+  /** Remembered choices such as export formats: kept in settings, but applied to every step so undo never reverts them */
+  const setPreference = (update) =>
+    setHistory((h) => ({ ...h, past: h.past.map(update), present: update(h.present), future: h.future.map(update) }));
+  const undo = () => setHistory(undoHistory);
+  const redo = () => setHistory(redoHistory);
+
+  const [toast, setToast] = useState(() =>
+    boot.generated.length
+      ? { msg: recurringMessage(boot), undoable: false }
+      : null
+  );
+  /** Pass { undoable: true } after destructive actions to offer Undo in the toast; errors stay up longer */
+  const notify = (msg, { undoable = false, error = false } = {}) => {
+    setToast({ msg, undoable, error });
+    if (toastTimer.current) clearTimeout(toastTimer.current);
+    toastTimer.current = setTimeout(() => setToast(null), error ? 10000 : undoable ? 6000 : 2200);
+  };
+
+  useEffect(() => {
+    if (boot.generated.length) toastTimer.current = setTimeout(() => setToast(null), boot.capped.length ? 10000 : 3500);
+  }, [boot]);
+
+  // Incremental autosave: only records that changed since the last write; after a failed write the next one is a full rewrite
+  const savedRef = useRef(boot.stored);
+  const migrationRef = useRef(storage.migrated);
+  const channelRef = useRef(null);
+  useEffect(() => {
+    const patch = diffApp(savedRef.current, app);
+    savedRef.current = app;
+    if (isEmptyPatch(patch)) return;
+    storage
+      .save(patch, app)
+      .then(() => {
+        channelRef.current?.postMessage({ tabId: TAB_ID, patch });
+        if (!migrationRef.current) return;
+        migrationRef.current = false;
+        localStorage.removeItem(LS_KEY);
+        notify("Data moved to the new browser database");
+      })
+      .catch((err) => {
+        savedRef.current = null;
+        notify(`Saving failed: ${err?.message || err}. Your latest changes are not stored — export a backup now.`, {
+          error: true,
+        });
+      });
+  }, [app, storage]);
+
+  /**
+   * Other open tabs announce what they saved; their changes are applied here (and rebased into the undo
+   * history, so undo only reverts this tab's own changes). Counters are moved past any number the other tab used.
+   */
+  useEffect(() => {
+    if (typeof BroadcastChannel === "undefined") return;
+    const channel = new BroadcastChannel(SYNC_CHANNEL);
+    channelRef.current = channel;
+    channel.onmessage = (e) => {
+      const { tabId, patch } = e.data || {};
+      if (!patch || tabId === TAB_ID) return;
+      // what is stored now: the patch on top of what we stored; our pending changes stay a diff against it
+      if (savedRef.current) savedRef.current = applyPatch(savedRef.current, patch);
+      setHistory((h) => {
+        let present = applyPatch(h.present, patch);
+        if (present === h.present) return h;
+        const settings = reconcileCounters(present.settings, present.invoices);
+        if (stableJSON(settings) !== stableJSON(present.settings)) present = { ...present, settings };
+        return {
+          past: h.past.map((d) => applyPatch(d, patch)),
+          present,
+          future: h.future.map((d) => applyPatch(d, patch)),
+          at: 0,
+        };
+      });
+    };
+    return () => {
+      channel.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y); text fields keep their own native undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== "z" && key !== "y") return;
+      const el = e.target;
+      if (el && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName))) return;
+      e.preventDefault();
+      setHistory(key === "y" || e.shiftKey ? redoHistory : undoHistory);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const currency = app.settings.currency || "EUR";
+  const rounding = app.settings.rounding;
+
+  const [q, setQ] = useState("");
+  const [statusFilter, setStatusFilter] = useState("All");
+  const [docTypeFilter, setDocTypeFilter] = useState("All");
+  const [activeInvoiceId, setActiveInvoiceId] = useState(null);
+
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [clientModalOpen, setClientModalOpen] = useState(false);
+  const [invoiceModalOpen, setInvoiceModalOpen] = useState(false);
+  const [previewOpen, setPreviewOpen] = useState(false);
+  const [paymentsInvoiceId, setPaymentsInvoiceId] = useState(null);
+  const [recurringOpen, setRecurringOpen] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, incoming, report }
+  const [csvImportOpen, setCsvImportOpen] = useState(false);
+  const [csvExportOpen, setCsvExportOpen] = useState(false);
+  const [eInvoiceOpen, setEInvoiceOpen] = useState(false);
+  const [pdfBusy, setPdfBusy] = useState(false);
+  const [baseSwitch, setBaseSwitch] = useState(null); // currency the base is about to change to
+  const [passphrasePrompt, setPassphrasePrompt] = useState(null); // { mode: "export" } | { mode: "import", fileName, envelope }
+
+  const [editingClientId, setEditingClientId] = useState(null); // null or id or "__new__"
+
+  const clientsById = useMemo(() => {
+    const m = new Map();
+    for (const c of app.clients) m.set(c.id, c);
+    return m;
+  }, [app.clients]);
+
+  const creditsByInvoice = useMemo(() => {
+    const m = new Map();
+    for (const inv of app.invoices) {
+      if (inv.docType !== "credit" || !inv.refInvoiceId) continue;
+      m.set(inv.refInvoiceId, [...(m.get(inv.refInvoiceId) || []), inv]);
+    }
+    return m;
+  }, [app.invoices]);
+
+  const activeInvoice = useMemo(
+    () => app.invoices.find((x) => x.id === activeInvoiceId) || null,
+    [app.invoices, activeInvoiceId]
+  );
+  const activeClientChanges = activeInvoice ? clientChanges(activeInvoice, clientsById.get(activeInvoice.clientId), app.settings) : [];
+  const activeQrProblem =
+    activeInvoice && app.settings.paymentQr && app.settings.layout.show.payment
+      ? epcPayment({
+          profile: activeInvoice.profileSnapshot || app.profile,
+          invoice: activeInvoice,
+          currency: docCurrency(activeInvoice, currency),
+          amount: paymentSummary(activeInvoice, calcTotals(activeInvoice, rounding)).balance,
+        }).problem
+      : "";
+
+  const today = todayISO();
+
+  const totalsByStatus = useMemo(() => {
+    const base = Object.fromEntries(STATUS.map((s) => [s, { gross: 0, open: 0 }]));
+    for (const inv of app.invoices) {
+      if (inv.docType === "quote") continue;
+      const t = calcTotals(inv, rounding);
+      const p = paymentSummary(inv, t);
+      const status = effectiveStatus(inv, today);
+      const row = base[status] || (base[status] = { gross: 0, open: 0 });
+      const digits = currencyDigits(currency);
+      row.gross = sumMoney([row.gross, toBase(t.gross, inv, currency, rounding.method, app.settings.exchangeRates)], digits);
+      row.open = sumMoney([row.open, toBase(p.balance, inv, currency, rounding.method, app.settings.exchangeRates)], digits);
+    }
+    return base;
+  }, [app.invoices, app.settings.exchangeRates, today, currency, rounding]);
+
+  const filteredInvoices = useMemo(() => {
+    const needle = q.trim().toLowerCase();
+    return app.invoices
+      .filter((inv) => {
+        const status = effectiveStatus(inv, today);
+        if (docTypeFilter !== "All" && (inv.docType || "invoice") !== docTypeFilter) return false;
+        if (statusFilter !== "All" && status !== statusFilter) return false;
+        if (!needle) return true;
+        const client = billTo(inv, clientsById);
+        const blob = [
+          inv.invoiceNumber,
+          docLabel(inv),
+          inv.refInvoiceNumber,
+          inv.issueDate,
+          inv.dueDate,
+          status,
+          client?.name,
+          client?.email,
+          inv.notes,
+          ...(inv.items || []).map((i) => i.desc),
+        ]
+          .filter(Boolean)
+          .join(" ")
+          .toLowerCase();
+        return blob.includes(needle);
+      })
+      .sort((a, b) => String(b.issueDate || "").localeCompare(String(a.issueDate || "")));
+  }, [app.invoices, q, statusFilter, docTypeFilter, clientsById, today]);
+
+  const exportJSON = () => {
+    downloadBlob(new Blob([JSON.stringify(app, null, 2)], { type: "application/json" }), `toolstack-invoiceit-${todayISO()}.json`);
+    notify("Exported");
+  };
+
+  const exportEncrypted = async (passphrase) => {
+    const envelope = await encryptBackup(app, passphrase);
+    downloadBlob(
+      new Blob([JSON.stringify(envelope, null, 2)], { type: "application/json" }),
+      `toolstack-invoiceit-${todayISO()}.encrypted.json`
+    );
+    setPassphrasePrompt(null);
+    notify("Encrypted backup exported");
+  };
+
+  /** Import is two-step: the file is checked and the report shown, the data only replaces the app's on confirm */
+  const importJSON = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    const parsed = safeParse(text, undefined);
+    if (isEncryptedBackup(parsed)) {
+      setPassphrasePrompt({ mode: "import", fileName: file.name, envelope: parsed });
+      return;
+    }
+    reviewImport(file.name, parsed);
+  };
+
+  const importEncrypted = async (passphrase) => {
+    const { fileName, envelope } = passphrasePrompt;
+    const parsed = await decryptBackup(envelope, passphrase);
+    setPassphrasePrompt(null);
+    reviewImport(fileName, parsed);
+  };
+
+  const reviewImport = (fileName, parsed) => {
+    const report = parsed === undefined ? { errors: ["The file is not valid JSON."], warnings: [], counts: {} } : validateImport(parsed);
+    setPendingImport({ fileName, incoming: report.errors.length ? null : normalizeData(parsed), report });
+  };
+
+  const mergePlan = useMemo(() => (pendingImport?.incoming ? planMerge(app, pendingImport.incoming) : null), [app, pendingImport]);
+
+  const confirmImport = (mode, choices) => {
+    if (!pendingImport?.incoming) return;
+    if (mode === "merge") {
+      setApp((a) => applyMerge(a, planMerge(a, pendingImport.incoming), choices));
+    } else {
+      setApp(pendingImport.incoming);
+      setActiveInvoiceId(null);
+    }
+    setPendingImport(null);
+    notify(mode === "merge" ? "Merged" : "Imported", { undoable: true });
+  };
+
+  const importCsvRecords = ({ clients: newClients, invoices: newInvoices }) => {
+    setApp((a) => {
+      const clients = [...a.clients, ...newClients];
+      // issued rows are finalized as of their issue date, with the parties as they are now
+      const docs = normalizeData({ schemaVersion: SCHEMA_VERSION, settings: a.settings, profile: a.profile, clients, invoices: newInvoices }).invoices;
+      const invoices = [...docs, ...a.invoices];
+      return { ...a, clients, invoices, settings: reconcileCounters(a.settings, invoices) };
+    });
+    setCsvImportOpen(false);
+    notify(`Imported ${newInvoices.length} invoice(s) and ${newClients.length} new client(s)`, { undoable: true });
+  };
+
+  /** scope: "all" | "filtered" | "range" (issue date from/to, inclusive) */
+  const exportCSV = (opts) => {
+    const pool = opts.scope === "filtered" ? filteredInvoices : app.invoices;
+    const docs = pool.filter(
+      (inv) =>
+        (opts.includeQuotes || inv.docType !== "quote") &&
+        (opts.scope !== "range" || ((!opts.from || inv.issueDate >= opts.from) && (!opts.to || inv.issueDate <= opts.to)))
+    );
+    if (!docs.length) return notify("Nothing to export");
+    const { scope: _scope, from: _from, to: _to, ...prefs } = opts;
+    const csv = buildCsvExport(docs, prefs, { clientsById, currency, rounding, rates: app.settings.exchangeRates, today });
+    downloadBlob(new Blob([csv], { type: "text/csv;charset=utf-8" }), `toolstack-invoiceit-${prefs.level}-${todayISO()}.csv`);
+    setPreference((a) => ({ ...a, settings: { ...a.settings, csvExport: prefs } }));
+    setCsvExportOpen(false);
+    notify(`CSV exported (${docs.length} document${docs.length === 1 ? "" : "s"})`);
+  };
+
+  const eInvoiceFor = (syntax) =>
+    buildEInvoice(activeInvoice, syntax, { profile: app.profile, clientsById, settings: app.settings, rounding, baseCurrency: currency });
+
+  const exportEInvoice = (syntax, xml) => {
+    downloadBlob(new Blob([xml], { type: "application/xml" }), `${fileNameOf(activeInvoice)}-${syntax}.xml`);
+    setPreference((a) => ({ ...a, settings: { ...a.settings, eInvoiceSyntax: syntax } }));
+    setEInvoiceOpen(false);
+    notify(`${EINVOICE_SYNTAXES[syntax]} exported`);
+  };
+
+  const appRef = useRef(app);
+  useEffect(() => {
+    appRef.current = app;
+  }, [app]);
+
+  /**
+   * setApp for changes that take document numbers. Under the number lock the counters and schedule counts
+   * first move past what another tab stored, and the new ones are stored before the lock is released.
+   * Resolves to whether anything changed.
+   */
+  const withNumbers = (update) =>
+    withLock(NUMBER_LOCK, async () => {
+      const stored = await storage.loadMeta();
+      const current = appRef.current;
+      const base = {
+        ...current,
+        settings: stored.settings ? forwardCounters(current.settings, stored.settings) : current.settings,
+        recurring: forwardRecurring(current.recurring, stored.recurring),
+      };
+      const next = update(base);
+      if (next === base) return false;
+      appRef.current = next;
+      setApp(next);
+      await storage.save(metaPatch({ settings: next.settings, recurring: next.recurring }), next);
+      return true;
+    }).catch((err) => {
+      notify(`Saving failed: ${err?.message || err}. Check the document numbers before issuing.`, { error: true });
+      return false;
+    });
+
+  const createInvoice = (docType = "invoice") => {
+    withNumbers((a) => {
+      const issueDate = todayISO();
+      const { number: invoiceNumber, seq, settings } = takeNumber(a.settings, docType, { date: issueDate });
+      const dueDate = addDaysISO(issueDate, toNumber(a.settings.defaultDueDays) || 14);
+      const validUntil = docType === "quote" ? addDaysISO(issueDate, toNumber(a.settings.defaultQuoteValidDays) || 30) : "";
+
+      const inv = {
+        id: uid(),
+        docType,
+        refInvoiceId: "",
+        refInvoiceNumber: "",
+        invoiceNumber,
+        numberSeq: seq,
+        numberDate: issueDate,
+        issueDate,
+        dueDate,
+        validUntil,
+        currency: a.settings.currency,
+        exchangeRate: 1,
+        rateBase: a.settings.currency,
+        clientId: "",
+        buyerReference: "",
+        status: "Draft",
+        vatRate: toNumber(a.settings.defaultVatRate),
+        items: [blankItem(a.settings.defaultVatRate)],
+        discountType: "percent",
+        discount: 0,
+        notes: "",
+      };
+
+      // UI open
+      setActiveInvoiceId(inv.id);
+      setInvoiceModalOpen(true);
+
+      return {
+        ...a,
+        settings,
+        invoices: [inv, ...(a.invoices || [])],
+      };
+    });
+  };
+
+  const duplicateInvoice = (id) => {
+    withNumbers((a) => {
+      const src = a.invoices.find((x) => x.id === id);
+      if (!src) return a;
+      const client = a.clients.find((c) => c.id === src.clientId) || null;
+      const { invoice: copy, settings } = duplicateFrom(src, a.settings, { client });
+
+      return {
+        ...a,
+        settings,
+        invoices: [copy, ...(a.invoices || [])],
+      };
+    }).then((done) => done && notify("Duplicated", { undoable: true }));
+  };
+
+  /** Full cancellation of the source invoice; reduce lines/qty in the editor for a partial credit */
+  const createCreditNote = (id) => {
+    withNumbers((a) => {
+      const src = a.invoices.find((x) => x.id === id);
+      if (!src || (src.docType || "invoice") !== "invoice") return a;
+      const client = a.clients.find((c) => c.id === src.clientId) || null;
+      const { invoice: note, settings } = creditNoteFrom(src, a.settings, { client });
+
+      // UI open
+      setActiveInvoiceId(note.id);
+      setInvoiceModalOpen(true);
+
+      return {
+        ...a,
+        settings,
+        invoices: [note, ...(a.invoices || [])],
+      };
+    }).then((done) => done && notify("Credit note created"));
+  };
+
+  /** Correction of an issued invoice: full credit note plus a new draft to fix and issue instead */
+  const correctInvoice = (id) => {
+    const src = app.invoices.find((x) => x.id === id);
+    if (!src || !isLocked(src) || src.docType !== "invoice") return;
+    const ok = window.confirm(`Cancel ${src.invoiceNumber} with a credit note and start a corrected copy?`);
+    if (!ok) return;
+
+    withNumbers((a) => {
+      const client = a.clients.find((c) => c.id === src.clientId) || null;
+      const storno = creditNoteFrom(src, a.settings, { client });
+      const copy = duplicateFrom(src, storno.settings, { client });
+      const corrected = { ...copy.invoice, correctsInvoiceId: src.id, notes: `Replaces invoice ${src.invoiceNumber}.\n${src.notes || ""}`.trim() };
+
+      // UI open
+      setActiveInvoiceId(corrected.id);
+      setInvoiceModalOpen(true);
+
+      return {
+        ...a,
+        settings: copy.settings,
+        invoices: [corrected, storno.invoice, ...(a.invoices || [])],
+      };
+    }).then((done) => done && notify("Credit note and corrected draft created", { undoable: true }));
+  };
+
+  const deleteInvoice = (id) => {
+    const target = app.invoices.find((x) => x.id === id);
+    if (isLocked(target)) {
+      alert("Issued documents cannot be deleted. Create a credit note instead.");
+      return;
+    }
+    const ok = window.confirm("Delete this invoice?");
+    if (!ok) return;
+    setApp((a) => ({ ...a, invoices: (a.invoices || []).filter((x) => x.id !== id) }));
+    if (activeInvoiceId === id) setActiveInvoiceId(null);
+    notify("Deleted", { undoable: true });
+  };
+
+  const upsertInvoice = (patch) => {
+    setApp((a) => ({
+      ...a,
+      invoices: (a.invoices || []).map((x) => (x.id === patch.id ? applyInvoicePatch(x, patch, a) : x)),
+    }));
+  };
+
+  /** New invoice from an accepted quote; both documents keep a link to each other */
+  const convertQuote = (id) => {
+    withNumbers((a) => {
+      const quote = a.invoices.find((x) => x.id === id);
+      if (!quote || quote.docType !== "quote") return a;
+      const issueDate = todayISO();
+      const client = a.clients.find((c) => c.id === quote.clientId) || null;
+      const { number: invoiceNumber, seq, settings } = takeNumber(a.settings, "invoice", { date: issueDate, client });
+
+      const inv = {
+        ...quote,
+        id: uid(),
+        lockedAt: "",
+        clientSnapshot: null,
+        profileSnapshot: null,
+        docType: "invoice",
+        invoiceNumber,
+        numberSeq: seq,
+        numberDate: issueDate,
+        quoteId: quote.id,
+        convertedInvoiceId: "",
+        status: "Draft",
+        issueDate,
+        dueDate: addDaysISO(issueDate, toNumber(a.settings.defaultDueDays) || 14),
+        validUntil: "",
+        items: (quote.items || []).map((it) => ({ ...it, id: uid() })),
+        payments: [],
+      };
+
+      // UI open
+      setActiveInvoiceId(inv.id);
+      setInvoiceModalOpen(true);
+
+      return {
+        ...a,
+        settings,
+        invoices: [
+          inv,
+          ...(a.invoices || []).map((x) => (x.id === quote.id ? { ...x, status: "Accepted", convertedInvoiceId: inv.id } : x)),
+        ],
+      };
+    }).then((done) => done && notify("Converted to invoice"));
+  };
+
+  /**
+   * Recorded exchange rates are relative to the base currency, so once there are documents the switch
+   * asks for the rate between the old and the new base. Issued documents keep the rate they were issued
+   * with and are converted with it only for reporting; drafts and quotes are moved to the new base.
+   */
+  const setBaseCurrency = (next) => {
+    if (next === currency) return;
+    if (app.invoices.length) return setBaseSwitch(next);
+    applyBaseCurrency(next, 0);
+  };
+
+  /** rate: new-base units per 1 unit of the old base; 0 when there are no documents to convert */
+  const applyBaseCurrency = (next, rate) => {
+    setApp((a) => {
+      const from = a.settings.currency;
+      const convert = (c, r) => (c === next ? 1 : Number(((c === from ? 1 : toNumber(r) || 1) * rate).toFixed(6)));
+      const exchangeRates = rate
+        ? Object.fromEntries([
+            ...Object.entries(a.settings.exchangeRates || {})
+              .filter(([c]) => c !== next && c !== from)
+              .map(([c, r]) => [c, convert(c, r)]),
+            [from, rate],
+          ])
+        : {};
+      return {
+        ...a,
+        settings: { ...a.settings, currency: next, exchangeRates },
+        invoices: a.invoices.map((inv) => {
+          if (isLocked(inv)) return inv;
+          // documents without their own currency keep the one they were shown in
+          const c = docCurrency(inv, from);
+          const inFrom = fxRate({ ...inv, currency: c }, from, a.settings.exchangeRates);
+          return { ...inv, currency: c, exchangeRate: c === next ? 1 : Number((inFrom * rate).toFixed(6)), rateBase: next };
+        }),
+      };
+    });
+    setBaseSwitch(null);
+    notify(`Base currency set to ${next}`, { undoable: true });
+  };
+
+  const generateRecurringNow = () => {
+    let run = null;
+    withNumbers((a) => {
+      run = runRecurring(a);
+      return run.generated.length ? run.data : a;
+    }).then((done) => {
+      if (done) notify(recurringMessage(run), { undoable: true });
+      else if (run && !run.generated.length) notify("Nothing due");
+    });
+  };
+
+  const savePayments = (id, payments) => {
+    setApp((a) => ({
+      ...a,
+      invoices: (a.invoices || []).map((x) => {
+        if (x.id !== id) return x;
+        const next = { ...x, payments };
+        return applyInvoicePatch(x, {
+          payments,
+          status: statusFromPayments(next, { hadPayments: (x.payments || []).length > 0, rounding: a.settings.rounding }),
+        }, a);
+      }),
+    }));
+  };
+
+  /** Drafts are numbered before a client is picked; re-render the number once {CLIENT} can be filled */
+  const withClientNumber = (inv) => {
+    const template = app.settings.numberTemplate || "";
+    const prev = app.invoices.find((x) => x.id === inv.id);
+    if (!template.includes("{CLIENT}") || inv.status !== "Draft" || !prev || prev.clientId === inv.clientId) return inv;
+    const number = formatNumber(template, {
+      prefix: seriesPrefix(app.settings, inv.docType),
+      seq: inv.numberSeq,
+      date: inv.numberDate,
+      client: clientsById.get(inv.clientId) || null,
+    });
+    return { ...inv, invoiceNumber: number };
+  };
+
+  const upsertClient = (client) => {
+    setApp((a) => {
+      const list = [...(a.clients || [])];
+      const idx = list.findIndex((c) => c.id === client.id);
+      if (idx >= 0) list[idx] = client;
+      else list.unshift(client);
+      return { ...a, clients: list };
+    });
+  };
+
+  const deleteClient = (id) => {
+    const c = app.clients.find((x) => x.id === id);
+    const name = (c?.name || "this client").trim();
+    const ok = window.confirm(`Delete “${name}”? Issued documents keep the client details they were issued with; drafts will have no client.`);
+    if (!ok) return;
+
+    setApp((a) => {
+      const invoices = (a.invoices || []).map((inv) => (inv.clientId === id && !isLocked(inv) ? { ...inv, clientId: "" } : inv));
+      return { ...a, clients: (a.clients || []).filter((x) => x.id !== id), invoices };
+    });
+
+    notify("Client deleted", { undoable: true });
+  };
+
+  const pdfOf = (JsPDF, inv) =>
+    invoicePdf(JsPDF, inv, {
+      profile: app.profile,
+      client: clientsById.get(inv.clientId) || null,
+      currency: docCurrency(inv, currency),
+      rounding,
+      paymentQr: app.settings.paymentQr,
+      layout: app.settings.layout,
+      language: docLanguageOf(billTo(inv, clientsById), app.settings),
+    });
+
+  /** PDF files are generated directly, so they look the same in every browser; jsPDF/JSZip load on first use */
+  const downloadPDF = async () => {
+    if (!activeInvoice) return;
+    try {
+      const { jsPDF } = await import("jspdf");
+      downloadBlob(pdfOf(jsPDF, activeInvoice).output("blob"), `${fileNameOf(activeInvoice)}.pdf`);
+      notify("PDF downloaded");
+    } catch (err) {
+      notify(`PDF could not be created: ${err?.message || err}`, { error: true });
+    }
+  };
+
+  /** One PDF per invoice in the current list, as a ZIP */
+  const exportPdfZip = async () => {
+    if (!filteredInvoices.length) return notify("Nothing to export");
+    setPdfBusy(true);
+    try {
+      const [{ jsPDF }, { default: JSZip }] = await Promise.all([import("jspdf"), import("jszip")]);
+      const zip = new JSZip();
+      const used = new Set();
+      for (const inv of filteredInvoices) {
+        let name = fileNameOf(inv);
+        for (let n = 2; used.has(name); n++) name = `${fileNameOf(inv)}-${n}`;
+        used.add(name);
+        zip.file(`${name}.pdf`, pdfOf(jsPDF, inv).output("arraybuffer"));
+      }
+      downloadBlob(await zip.generateAsync({ type: "blob" }), `toolstack-invoiceit-pdf-${todayISO()}.zip`);
+      notify(`${filteredInvoices.length} PDF(s) exported`);
+    } catch (err) {
+      notify(`PDF export failed: ${err?.message || err}`, { error: true });
+    } finally {
+      setPdfBusy(false);
+    }
+  };
+
+  return (
     <div className="min-h-screen bg-neutral-50 text-neutral-800">
       {/* Print rules */}
       <style>{`
@@ -550,7 +2376,7 @@ export default function InvoiceItApp() {
         `}</style>
       ) : null}
 
-      <HelpModal open={helpOpen} onClose={() => setHelpOpen(false)} />
+      <HelpModal open={helpOpen} backend={storage.backend} onClose={() => setHelpOpen(false)} />
 
       {/* Print Preview Modal */}
       {previewOpen ? (
@@ -562,7 +2388,10 @@ export default function InvoiceItApp() {
               <div className="text-lg font-semibold text-neutral-800">Print preview</div>
               <div className="flex items-center gap-2">
                 <button className={btnSecondary} onClick={() => window.print()}>
-                  Print / Save PDF
+                  Print
+                </button>
+                <button className={btnSecondary} onClick={downloadPDF}>
+                  Download PDF
                 </button>
                 <button className={btnPrimary} onClick={() => setPreviewOpen(false)}>
                   Close
@@ -570,472 +2399,1785 @@ export default function InvoiceItApp() {
               </div>
             </div>
 
-            <div className="rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-auto max-h-[80vh]">
-              <div id="invoice-print-preview" className="p-6">
-                {activeInvoice ? (
-                  <InvoiceSheet
-                    profile={app.profile}
-                    invoice={activeInvoice}
-                    client={clientsById.get(activeInvoice.clientId) || null}
-                    currency={currency}
-                  />
-                ) : (
-                  <div className="text-sm text-neutral-600">Select an invoice first.</div>
-                )}
+            {activeClientChanges.length ? (
+              <div className="mb-3 rounded-2xl border border-neutral-200 bg-white p-3 text-sm text-neutral-700">
+                {activeClientChanges[0] === "deleted"
+                  ? "The client record has been deleted since this document was issued."
+                  : `The client record has changed since this document was issued (${activeClientChanges.join(", ")}).`}{" "}
+                The sheet shows the details as issued.
+              </div>
+            ) : null}
+
+            {activeQrProblem ? (
+              <div className="mb-3 rounded-2xl border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800">{activeQrProblem}</div>
+            ) : null}
+
+            <div className="rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-auto max-h-[80vh]">
+              <div id="invoice-print-preview" className="p-6">
+                {activeInvoice ? (
+                  <InvoiceSheet
+                    rounding={rounding}
+                    profile={app.profile}
+                    invoice={activeInvoice}
+                    client={clientsById.get(activeInvoice.clientId) || null}
+                    currency={docCurrency(activeInvoice, currency)}
+                    paymentQr={app.settings.paymentQr}
+                    layout={app.settings.layout}
+                    language={docLanguageOf(billTo(activeInvoice, clientsById), app.settings)}
+                  />
+                ) : (
+                  <div className="text-sm text-neutral-600">Select an invoice first.</div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      <div className="max-w-6xl mx-auto p-4 sm:p-6">
+        {/* Header */}
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+          <div>
+            <div className="text-4xl sm:text-5xl font-black tracking-tight text-neutral-700">
+              <span>Invoice</span>
+              <span className="text-[#D5FF00]">It</span>
+            </div>
+            <div className="text-sm text-neutral-700">Create simple invoices for your small business</div>
+            <div className="mt-3 h-[2px] w-80 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
+          </div>
+
+          {/* Normalized Top Actions (Preview / PDF / Export / Import) + pinned Help */}
+          <div className="w-full sm:w-[680px]">
+            <div className="relative">
+              <div className="grid grid-cols-2 gap-2 sm:grid-cols-4 pr-12">
+                <ActionButton
+                  onClick={() => setPreviewOpen(true)}
+                  disabled={!activeInvoice}
+                  title={!activeInvoice ? "Select an invoice first" : ""}
+                >
+                  Preview
+                </ActionButton>
+                <ActionButton
+                  onClick={downloadPDF}
+                  disabled={!activeInvoice}
+                  title={!activeInvoice ? "Select an invoice first" : "Download the selected invoice as a PDF file"}
+                >
+                  Download PDF
+                </ActionButton>
+                <ActionButton onClick={exportJSON}>Export</ActionButton>
+                <ActionFileButton
+                  onFile={(f) => importJSON(f)}
+                  tone="primary"
+                  title="Import a JSON backup (plain or encrypted)"
+                >
+                  Import
+                </ActionFileButton>
+              </div>
+
+              <button
+                type="button"
+                title="Help"
+                onClick={() => setHelpOpen(true)}
+                className="print:hidden absolute right-0 top-0 h-10 w-10 rounded-xl border border-neutral-200 bg-white hover:bg-neutral-50 shadow-sm flex items-center justify-center font-bold text-neutral-800"
+                aria-label="Help"
+              >
+                ?
+              </button>
+            </div>
+
+            {/* App-specific quick actions (kept separate so Top Actions stays consistent) */}
+            <div className="mt-2 flex flex-wrap gap-2 justify-end">
+              <SmallButton onClick={undo} disabled={!history.past.length} title="Undo (Ctrl+Z)">
+                Undo
+              </SmallButton>
+              <SmallButton onClick={redo} disabled={!history.future.length} title="Redo (Ctrl+Shift+Z)">
+                Redo
+              </SmallButton>
+              <SmallButton onClick={() => setPassphrasePrompt({ mode: "export" })} title="Password-protected JSON backup">
+                Encrypted backup
+              </SmallButton>
+              <SmallButton onClick={() => setCsvExportOpen(true)}>Export CSV</SmallButton>
+              <SmallButton onClick={() => setCsvImportOpen(true)} title="Import clients or invoices from a spreadsheet">
+                Import CSV
+              </SmallButton>
+              <SmallButton tone="primary" onClick={() => createInvoice("invoice")}>
+                + New invoice
+              </SmallButton>
+              <SmallButton onClick={() => createInvoice("quote")}>+ New quote</SmallButton>
+              <SmallButton
+                onClick={() => {
+                  setEditingClientId("__new__");
+                  setClientModalOpen(true);
+                }}
+              >
+                + Client
+              </SmallButton>
+              <SmallButton onClick={() => setRecurringOpen(true)}>Recurring</SmallButton>
+              <SmallButton onClick={() => setSettingsOpen(true)}>Settings</SmallButton>
+            </div>
+          </div>
+        </div>
+
+        {/* Totals row */}
+        <div className="mt-5 grid grid-cols-1 md:grid-cols-5 gap-3">
+          {STATUS.map((s) => (
+            <div key={s} className={`${card} print:shadow-none`}>
+              <div className={cardHead}>
+                <div className="font-semibold text-neutral-800">{s}</div>
+              </div>
+              <div className={cardPad}>
+                <div className="text-2xl font-semibold text-neutral-800">{money(totalsByStatus[s].open, currency)}</div>
+                <div className="text-xs text-neutral-600 mt-1">
+                  Outstanding · Gross {money(totalsByStatus[s].gross, currency)}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {/* Filters */}
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div className={`${card} md:col-span-2`}>
+            <div className={`${cardHead} flex items-center justify-between gap-3`}>
+              <div className="font-semibold text-neutral-800">Search</div>
+              <div className="flex items-center gap-3">
+                <div className="text-sm text-neutral-600">{filteredInvoices.length} shown</div>
+                <SmallButton
+                  onClick={exportPdfZip}
+                  disabled={!filteredInvoices.length || pdfBusy}
+                  title="Download a PDF of every document in the list, as a ZIP"
+                >
+                  {pdfBusy ? "Creating PDFs…" : "PDFs (ZIP)"}
+                </SmallButton>
+              </div>
+            </div>
+            <div className={`${cardPad} grid grid-cols-1 md:grid-cols-3 gap-3`}>
+              <input
+                className={inputBase}
+                value={q}
+                onChange={(e) => setQ(e.target.value)}
+                placeholder="Search invoices (client, number, items, notes…)"
+              />
+              <select
+                className={inputBase}
+                value={docTypeFilter}
+                onChange={(e) => setDocTypeFilter(e.target.value)}
+              >
+                <option value="All">All documents</option>
+                {DOC_TYPES.map((dt) => (
+                  <option key={dt} value={dt}>
+                    {DOC_FILTER_LABELS[dt]}
+                  </option>
+                ))}
+              </select>
+              <select
+                className={inputBase}
+                value={statusFilter}
+                onChange={(e) => setStatusFilter(e.target.value)}
+              >
+                <option value="All">All statuses</option>
+                {[...new Set([...STATUS, ...QUOTE_STATUS])].map((st) => (
+                  <option key={st} value={st}>
+                    {st}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className={card}>
+            <div className={cardHead}>
+              <div className="font-semibold text-neutral-800">Base currency</div>
+            </div>
+            <div className={cardPad}>
+              <CurrencySelect className={inputBase} value={app.settings.currency} onChange={setBaseCurrency} />
+              <div className="text-xs text-neutral-600 mt-1">Dashboard and CSV totals. Each document keeps its own currency.</div>
+            </div>
+          </div>
+        </div>
+
+        {/* Main */}
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
+          {/* Clients */}
+          <div className={card}>
+            <div className={`${cardHead} flex items-center justify-between`}>
+              <div className="font-semibold text-neutral-800">Clients</div>
+              <SmallButton
+                tone="primary"
+                onClick={() => {
+                  setEditingClientId("__new__");
+                  setClientModalOpen(true);
+                }}
+              >
+                + Add
+              </SmallButton>
+            </div>
+            <div className={`${cardPad} space-y-2`}>
+              {app.clients.length === 0 ? (
+                <div className="text-sm text-neutral-600">No clients yet.</div>
+              ) : (
+                app.clients
+                  .slice()
+                  .sort((a, b) => (a.name || "").localeCompare(b.name || ""))
+                  .map((c) => (
+                    <div key={c.id} className="rounded-2xl border border-neutral-200">
+                      <div className="px-3 py-2 border-b border-neutral-100 flex items-center justify-between">
+                        <div className="min-w-0">
+                          <div className="font-semibold text-neutral-800 truncate">{c.name || "(unnamed)"}</div>
+                          <div className="text-xs text-neutral-600 truncate">{c.email || ""}</div>
+                        </div>
+                        <div className="text-xs text-neutral-600">
+                          {app.invoices.filter((i) => i.clientId === c.id).length} inv
+                        </div>
+                      </div>
+                      <div className="p-3 flex items-center gap-2">
+                        <SmallButton
+                          onClick={() => {
+                            setEditingClientId(c.id);
+                            setClientModalOpen(true);
+                          }}
+                        >
+                          Edit
+                        </SmallButton>
+                        <SmallButton tone="danger" onClick={() => deleteClient(c.id)}>
+                          Delete
+                        </SmallButton>
+                      </div>
+                    </div>
+                  ))
+              )}
+            </div>
+          </div>
+
+          {/* Invoices list */}
+          <div className="md:col-span-2 rounded-2xl bg-white shadow-sm border border-neutral-200">
+            <div className={`${cardHead} flex items-center justify-between`}>
+              <div className="font-semibold text-neutral-800">Invoices</div>
+              <SmallButton tone="primary" onClick={() => createInvoice("invoice")}>
+                + New
+              </SmallButton>
+            </div>
+
+            <div className="p-4 overflow-auto">
+              {filteredInvoices.length === 0 ? (
+                <div className="text-sm text-neutral-600">No invoices match your filters.</div>
+              ) : (
+                <table className="min-w-full text-sm">
+                  <thead className="bg-neutral-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Invoice</th>
+                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Client</th>
+                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Dates</th>
+                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Status</th>
+                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Total</th>
+                      <th className="px-3 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredInvoices.map((inv) => {
+                      const client = billTo(inv, clientsById);
+                      const t = calcTotals(inv, rounding);
+                      const p = paymentSummary(inv, t);
+                      const overdue = daysOverdue(inv, today);
+                      const expired = isQuoteExpired(inv, today);
+                      const isQuote = inv.docType === "quote";
+                      const converted = isQuote && app.invoices.find((x) => x.id === inv.convertedInvoiceId);
+                      const fromQuote = inv.quoteId ? app.invoices.find((x) => x.id === inv.quoteId) : null;
+                      const cur = docCurrency(inv, currency);
+                      const selected = inv.id === activeInvoiceId;
+                      return (
+                        <tr
+                          key={inv.id}
+                          className={`border-t border-neutral-200 ${selected ? "bg-lime-50" : overdue ? "bg-red-50" : ""}`}
+                        >
+                          <td className="px-3 py-2">
+                            <button className="text-left" onClick={() => setActiveInvoiceId(inv.id)} title="Select">
+                              <div className="font-semibold text-neutral-800">
+                                {inv.invoiceNumber || "(no number)"}
+                                {isLocked(inv) ? (
+                                  <span
+                                    className="ml-2 rounded-md border border-neutral-200 px-1.5 py-0.5 text-[10px] font-medium uppercase tracking-wide text-neutral-600"
+                                    title={`Finalized ${String(inv.lockedAt).slice(0, 10)}`}
+                                  >
+                                    Locked
+                                  </span>
+                                ) : null}
+                              </div>
+                              {inv.docType === "credit" ? (
+                                <div className="text-xs font-medium text-red-700">
+                                  Credit note{inv.refInvoiceNumber ? ` for ${inv.refInvoiceNumber}` : ""}
+                                </div>
+                              ) : null}
+                              {isQuote ? <div className="text-xs font-medium text-sky-700">Quote</div> : null}
+                              {converted ? (
+                                <div className="text-xs text-neutral-600">Converted to {converted.invoiceNumber}</div>
+                              ) : null}
+                              {fromQuote ? <div className="text-xs text-neutral-600">From quote {fromQuote.invoiceNumber}</div> : null}
+                              {creditsByInvoice.has(inv.id) ? (
+                                <div className="text-xs text-neutral-600">
+                                  Credited: {creditsByInvoice.get(inv.id).map((c) => c.invoiceNumber).join(", ")}
+                                </div>
+                              ) : null}
+                              <div className="text-xs text-neutral-600">VAT: {vatRatesLabel(t)}</div>
+                            </button>
+                          </td>
+                          <td className="px-3 py-2">
+                            <div className="font-medium text-neutral-800">{client?.name || "—"}</div>
+                            <div className="text-xs text-neutral-600">{client?.email || ""}</div>
+                          </td>
+                          <td className="px-3 py-2">
+                            <div className="text-xs text-neutral-600">
+                              Issue: <span className="text-neutral-800">{inv.issueDate}</span>
+                            </div>
+                            {isQuote ? (
+                              <div className="text-xs text-neutral-600">
+                                Valid until:{" "}
+                                <span className={expired ? "font-semibold text-red-700" : "text-neutral-800"}>{inv.validUntil || "—"}</span>
+                              </div>
+                            ) : (
+                              <div className="text-xs text-neutral-600">
+                                Due: <span className={overdue ? "font-semibold text-red-700" : "text-neutral-800"}>{inv.dueDate}</span>
+                              </div>
+                            )}
+                          </td>
+                          <td className="px-3 py-2">
+                            <select
+                              className={inputBase}
+                              value={inv.status}
+                              onChange={(e) => upsertInvoice({ id: inv.id, status: e.target.value })}
+                            >
+                              {statusesFor(inv)
+                                .filter((st) => !isLocked(inv) || st !== "Draft")
+                                .map((st) => (
+                                  <option key={st} value={st}>
+                                    {st}
+                                  </option>
+                                ))}
+                            </select>
+                            {expired ? <div className="mt-1 text-xs font-semibold text-red-700">Expired</div> : null}
+                            {overdue ? (
+                              <div className="mt-1 text-xs font-semibold text-red-700">
+                                Overdue · {overdue} {overdue === 1 ? "day" : "days"}
+                              </div>
+                            ) : null}
+                          </td>
+                          <td className="px-3 py-2">
+                            <div className="font-semibold text-neutral-800">{money(t.gross, cur)}</div>
+                            <div className="text-xs text-neutral-600">Net {money(t.net, cur)}</div>
+                            {cur !== currency ? (
+                              <div className="text-xs text-neutral-600">≈ {money(toBase(t.gross, inv, currency, rounding.method, app.settings.exchangeRates), currency)}</div>
+                            ) : null}
+                            {p.paid ? (
+                              <div className="text-xs text-neutral-600">
+                                Paid {money(p.paid, cur)} · Open{" "}
+                                <span className="font-semibold text-neutral-800">{money(p.balance, cur)}</span>
+                              </div>
+                            ) : null}
+                          </td>
+                          <td className="px-3 py-2">
+                            <div className="flex items-center gap-2 justify-end">
+                              <SmallButton onClick={() => { setActiveInvoiceId(inv.id); setInvoiceModalOpen(true); }}>
+                                {isLocked(inv) ? "View" : "Edit"}
+                              </SmallButton>
+                              {isQuote ? (
+                                <SmallButton
+                                  tone="primary"
+                                  onClick={() => convertQuote(inv.id)}
+                                  disabled={!!converted || inv.status === "Declined"}
+                                  title={converted ? `Already converted to ${converted.invoiceNumber}` : "Copy client, items and notes into a new invoice"}
+                                >
+                                  Convert to invoice
+                                </SmallButton>
+                              ) : (
+                                <SmallButton onClick={() => setPaymentsInvoiceId(inv.id)}>Payments</SmallButton>
+                              )}
+                              <SmallButton onClick={() => duplicateInvoice(inv.id)}>Duplicate</SmallButton>
+                              {(inv.docType || "invoice") === "invoice" ? (
+                                <SmallButton
+                                  onClick={() => createCreditNote(inv.id)}
+                                  disabled={inv.status === "Draft"}
+                                  title={inv.status === "Draft" ? "Drafts can still be edited directly" : "Cancel or partially credit this invoice"}
+                                >
+                                  Create credit note
+                                </SmallButton>
+                              ) : null}
+                              {isLocked(inv) && inv.docType === "invoice" ? (
+                                <SmallButton onClick={() => correctInvoice(inv.id)} title="Cancel with a credit note and re-issue a corrected copy">
+                                  Correct
+                                </SmallButton>
+                              ) : null}
+                              <SmallButton
+                                tone="danger"
+                                onClick={() => deleteInvoice(inv.id)}
+                                disabled={isLocked(inv)}
+                                title={isLocked(inv) ? "Issued documents cannot be deleted" : ""}
+                              >
+                                Delete
+                              </SmallButton>
+                            </div>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+
+              <div className="mt-3 flex items-center justify-between gap-3">
+                <div className="text-sm text-neutral-600">
+                  {activeInvoice ? (
+                    <>
+                      Selected: <span className="font-semibold text-neutral-800">{activeInvoice.invoiceNumber}</span>
+                      {" · "}
+                      <span className="text-neutral-800">{billTo(activeInvoice, clientsById)?.name || "No client"}</span>
+                    </>
+                  ) : (
+                    "Select an invoice to preview."
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <SmallButton onClick={() => setPreviewOpen(true)} disabled={!activeInvoice}>
+                    Preview
+                  </SmallButton>
+                  <SmallButton onClick={() => setInvoiceModalOpen(true)} disabled={!activeInvoice}>
+                    Open editor
+                  </SmallButton>
+                  <SmallButton
+                    onClick={() => setEInvoiceOpen(true)}
+                    disabled={!activeInvoice || activeInvoice.docType === "quote"}
+                    title="XRechnung / ZUGFeRD XML of the selected invoice"
+                  >
+                    E-invoice (XML)
+                  </SmallButton>
+                </div>
               </div>
             </div>
           </div>
         </div>
-      ) : null}
-
-      <div className="max-w-6xl mx-auto p-4 sm:p-6">
-        {/* Header */}
-        <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
-          <div>
-            <div className="text-4xl sm:text-5xl font-black tracking-tight text-neutral-700">
-              <span>Invoice</span>
-              <span className="text-[#D5FF00]">It</span>
-            </div>
-            <div className="text-sm text-neutral-700">Create simple invoices for your small business</div>
-            <div className="mt-3 h-[2px] w-80 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
-          </div>
-
-          {/* Normalized Top Actions (Preview / Print / Export / Import) + pinned Help */}
-          <div className="w-full sm:w-[680px]">
-            <div className="relative">
-              <div className="grid grid-cols-2 gap-2 sm:grid-cols-4 pr-12">
-                <ActionButton
-                  onClick={() => setPreviewOpen(true)}
-                  disabled={!activeInvoice}
-                  title={!activeInvoice ? "Select an invoice first" : ""}
-                >
-                  Preview
-                </ActionButton>
-                <ActionButton
-                  onClick={printInvoicePDF}
-                  disabled={!activeInvoice}
-                  title={!activeInvoice ? "Select an invoice first" : "Print only the invoice sheet"}
-                >
-                  Print / Save PDF
-                </ActionButton>
-                <ActionButton onClick={exportJSON}>Export</ActionButton>
-                <ActionFileButton
-                  onFile={(f) => importJSON(f)}
-                  tone="primary"
-                  title="Import a JSON backup"
-                >
-                  Import
-                </ActionFileButton>
-              </div>
 
+        {toast ? (
+          <div
+            className={`fixed bottom-6 right-6 max-w-md rounded-2xl ${toast.error ? "bg-red-700" : "bg-neutral-800"} text-white px-4 py-3 shadow-xl print:hidden flex items-center gap-4`}
+          >
+            <div className="text-sm">{toast.msg}</div>
+            {toast.undoable ? (
               <button
                 type="button"
-                title="Help"
-                onClick={() => setHelpOpen(true)}
-                className="print:hidden absolute right-0 top-0 h-10 w-10 rounded-xl border border-neutral-200 bg-white hover:bg-neutral-50 shadow-sm flex items-center justify-center font-bold text-neutral-800"
-                aria-label="Help"
-              >
-                ?
-              </button>
-            </div>
-
-            {/* App-specific quick actions (kept separate so Top Actions stays consistent) */}
-            <div className="mt-2 flex flex-wrap gap-2 justify-end">
-              <SmallButton onClick={exportCSV}>Export CSV</SmallButton>
-              <SmallButton tone="primary" onClick={createInvoice}>
-                + New invoice
-              </SmallButton>
-              <SmallButton
+                className="text-sm font-semibold text-lime-300 hover:text-lime-200"
                 onClick={() => {
-                  setEditingClientId("__new__");
-                  setClientModalOpen(true);
+                  undo();
+                  notify("Undone");
                 }}
               >
-                + Client
-              </SmallButton>
-              <SmallButton onClick={() => setSettingsOpen(true)}>Settings</SmallButton>
-            </div>
+                Undo
+              </button>
+            ) : null}
           </div>
+        ) : null}
+      </div>
+
+      {/* Encrypted backup passphrase */}
+      {passphrasePrompt ? (
+        <PassphraseModal
+          mode={passphrasePrompt.mode}
+          fileName={passphrasePrompt.fileName}
+          onClose={() => setPassphrasePrompt(null)}
+          onSubmit={passphrasePrompt.mode === "export" ? exportEncrypted : importEncrypted}
+        />
+      ) : null}
+
+      {/* CSV export options */}
+      {csvExportOpen ? (
+        <CsvExportModal
+          prefs={app.settings.csvExport}
+          filteredCount={filteredInvoices.length}
+          onClose={() => setCsvExportOpen(false)}
+          onExport={exportCSV}
+        />
+      ) : null}
+
+      {/* E-invoice export */}
+      {eInvoiceOpen && activeInvoice ? (
+        <EInvoiceModal
+          invoice={activeInvoice}
+          syntax={app.settings.eInvoiceSyntax}
+          build={eInvoiceFor}
+          onClose={() => setEInvoiceOpen(false)}
+          onExport={exportEInvoice}
+        />
+      ) : null}
+
+      {/* CSV import wizard */}
+      {csvImportOpen ? <CsvImportModal app={app} onClose={() => setCsvImportOpen(false)} onImport={importCsvRecords} /> : null}
+
+      {/* Import review */}
+      {pendingImport ? (
+        <ImportReviewModal
+          fileName={pendingImport.fileName}
+          report={pendingImport.report}
+          plan={mergePlan}
+          onClose={() => setPendingImport(null)}
+          onConfirm={confirmImport}
+        />
+      ) : null}
+
+      {/* Recurring modal */}
+      {recurringOpen ? (
+        <ModalLight title="Recurring invoices" onClose={() => setRecurringOpen(false)}>
+          <RecurringPanel app={app} setApp={setApp} notify={notify} onGenerate={generateRecurringNow} />
+        </ModalLight>
+      ) : null}
+
+      {/* Settings modal */}
+      {settingsOpen ? (
+        <ModalLight title="Settings" onClose={() => setSettingsOpen(false)}>
+          <SettingsPanel app={app} setApp={setApp} notify={notify} onBaseCurrency={setBaseCurrency} />
+        </ModalLight>
+      ) : null}
+
+      {/* Base currency switch */}
+      {baseSwitch ? (
+        <BaseCurrencyModal
+          from={currency}
+          to={baseSwitch}
+          count={app.invoices.length}
+          onClose={() => setBaseSwitch(null)}
+          onConfirm={(rate) => applyBaseCurrency(baseSwitch, rate)}
+        />
+      ) : null}
+
+      {/* Client modal */}
+      {clientModalOpen ? (
+        <ClientModal
+          open={clientModalOpen}
+          onClose={() => setClientModalOpen(false)}
+          clientId={editingClientId}
+          clients={app.clients}
+          defaultLanguage={app.settings.documentLanguage}
+          onSave={(c) => {
+            upsertClient(c);
+            setClientModalOpen(false);
+            notify("Saved");
+          }}
+        />
+      ) : null}
+
+      {/* Payments modal */}
+      {paymentsInvoiceId ? (
+        <PaymentsModal
+          rounding={rounding}
+          invoice={app.invoices.find((x) => x.id === paymentsInvoiceId) || null}
+          currency={docCurrency(app.invoices.find((x) => x.id === paymentsInvoiceId), currency)}
+          onClose={() => setPaymentsInvoiceId(null)}
+          onSave={(payments) => {
+            savePayments(paymentsInvoiceId, payments);
+            setPaymentsInvoiceId(null);
+            notify("Payments saved");
+          }}
+        />
+      ) : null}
+
+      {/* Invoice modal */}
+      {invoiceModalOpen ? (
+        <InvoiceModal
+          rounding={rounding}
+          open={invoiceModalOpen}
+          onClose={() => setInvoiceModalOpen(false)}
+          invoice={activeInvoice}
+          clients={app.clients}
+          baseCurrency={currency}
+          exchangeRates={app.settings.exchangeRates}
+          defaultVat={app.settings.defaultVatRate}
+          onSave={(saved) => {
+            const inv = withClientNumber(saved);
+            // totals may have changed under existing payments
+            upsertInvoice((inv.payments || []).length ? { ...inv, status: statusFromPayments(inv, { rounding }) } : inv);
+            if (inv.currency && inv.currency !== currency) {
+              setApp((a) => ({
+                ...a,
+                settings: { ...a.settings, exchangeRates: { ...a.settings.exchangeRates, [inv.currency]: inv.exchangeRate } },
+              }));
+            }
+            setInvoiceModalOpen(false);
+            notify("Saved");
+          }}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+function ModalLight({ title, onClose, children }) {
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
+      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
+      <div className="relative w-full max-w-4xl">
+        <div className="mb-3 rounded-2xl bg-white border border-neutral-200 shadow-sm p-3 flex items-center justify-between gap-3">
+          <div className="text-lg font-semibold text-neutral-800">{title}</div>
+          <button className={btnSecondary} onClick={onClose}>
+            Close
+          </button>
         </div>
+        <div className="rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-auto max-h-[80vh]">
+          <div className="p-6">{children}</div>
+        </div>
+      </div>
+    </div>
+  );
+}
 
-        {/* Totals row */}
-        <div className="mt-5 grid grid-cols-1 md:grid-cols-4 gap-3">
-          {(["Draft", "Sent", "Paid", "Overdue"]).map((s) => (
-            <div key={s} className={`${card} print:shadow-none`}>
-              <div className={cardHead}>
-                <div className="font-semibold text-neutral-800">{s}</div>
-              </div>
-              <div className={cardPad}>
-                <div className="text-2xl font-semibold text-neutral-800">{money(totalsByStatus[s], currency)}</div>
-                <div className="text-xs text-neutral-600 mt-1">Gross total</div>
+function SettingsPanel({ app, setApp, notify, onBaseCurrency }) {
+  const s = app.settings;
+  const p = app.profile;
+  const L = s.layout;
+  const setLayout = (patch) => setApp((a) => ({ ...a, settings: { ...a.settings, layout: { ...a.settings.layout, ...patch } } }));
+  const moveBlock = (idx, dir) => {
+    const order = [...L.order];
+    [order[idx], order[idx + dir]] = [order[idx + dir], order[idx]];
+    setLayout({ order });
+  };
+  const uploadLogo = async (file) => {
+    if (!file) return;
+    try {
+      const logo = await readLogo(file);
+      setApp((a) => ({ ...a, profile: { ...a.profile, logo } }));
+    } catch (err) {
+      notify(err.message, { error: true });
+    }
+  };
+  const audit = useMemo(() => auditNumbers(app.invoices, app.settings), [app.invoices, app.settings]);
+  // settings only take a template that can no longer repeat numbers; anything else stays a draft over the last valid one
+  const [templateDraft, setTemplateDraft] = useState(null); // { value, over }
+  const templateText = templateDraft && templateDraft.over === s.numberTemplate ? templateDraft.value : s.numberTemplate;
+  const templateProblem = numberTemplateProblem(templateText, s);
+  const resetProblem = numberTemplateProblem(s.numberTemplate, { resetSequenceYearly: true });
+  const editTemplate = (v) => {
+    if (numberTemplateProblem(v, s)) return setTemplateDraft({ value: v, over: s.numberTemplate });
+    setTemplateDraft(null);
+    setApp((a) => ({ ...a, settings: { ...a.settings, numberTemplate: v } }));
+  };
+  const preview = formatNumber(s.numberTemplate, {
+    prefix: seriesPrefix(s, "invoice"),
+    seq: Math.max(1, toNumber(s.nextInvoiceNumber)),
+    date: todayISO(),
+    client: { name: "Acme Corp" },
+  });
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      <div className="rounded-2xl border border-neutral-200">
+        <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">Invoice defaults</div>
+        <div className="p-4 space-y-3">
+          <div>
+            <div className="text-xs font-medium text-neutral-700">Invoice prefix</div>
+            <input
+              className={`mt-1 ${inputBase}`}
+              value={s.invoicePrefix}
+              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, invoicePrefix: e.target.value } }))}
+            />
+          </div>
+          <div>
+            <div className="text-xs font-medium text-neutral-700">Next invoice number</div>
+            <input
+              type="number"
+              className={`mt-1 ${inputBase}`}
+              value={s.nextInvoiceNumber}
+              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, nextInvoiceNumber: toNumber(e.target.value) || 1 } }))}
+            />
+          </div>
+          <div>
+            <div className="text-xs font-medium text-neutral-700">Number template</div>
+            <input
+              className={`mt-1 ${inputBase} font-mono`}
+              value={templateText}
+              onChange={(e) => editTemplate(e.target.value)}
+              placeholder={DEFAULT_NUMBER_TEMPLATE}
+            />
+            {templateProblem ? (
+              <div className="text-xs text-red-700 mt-1">
+                {templateProblem} Still using <span className="font-mono">{s.numberTemplate}</span>.
               </div>
+            ) : null}
+            <div className="text-xs text-neutral-600 mt-1">
+              Tokens: <span className="font-mono">{"{PREFIX} {YYYY} {YY} {MM} {DD} {SEQ:5} {CLIENT}"}</span> · Preview:{" "}
+              <span className="font-mono text-neutral-800">{preview}</span>
             </div>
-          ))}
-        </div>
-
-        {/* Filters */}
-        <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
-          <div className={`${card} md:col-span-2`}>
-            <div className={`${cardHead} flex items-center justify-between gap-3`}>
-              <div className="font-semibold text-neutral-800">Search</div>
-              <div className="text-sm text-neutral-600">{filteredInvoices.length} shown</div>
+            <label className="mt-2 flex items-center gap-2 text-sm text-neutral-700">
+              <input
+                type="checkbox"
+                checked={!!s.resetSequenceYearly}
+                disabled={!s.resetSequenceYearly && !!resetProblem}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, resetSequenceYearly: e.target.checked } }))}
+              />
+              Restart sequences at 1 each year
+            </label>
+            {!s.resetSequenceYearly && resetProblem ? (
+              <div className="text-xs text-neutral-600 mt-1">Add {"{YYYY}"} or {"{YY}"} to the template to restart sequences yearly.</div>
+            ) : null}
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Credit note prefix</div>
+              <input
+                className={`mt-1 ${inputBase}`}
+                value={s.creditPrefix}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, creditPrefix: e.target.value } }))}
+              />
+            </div>
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Next credit note number</div>
+              <input
+                type="number"
+                className={`mt-1 ${inputBase}`}
+                value={s.nextCreditNumber}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, nextCreditNumber: toNumber(e.target.value) || 1 } }))}
+              />
+            </div>
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Quote prefix</div>
+              <input
+                className={`mt-1 ${inputBase}`}
+                value={s.quotePrefix}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, quotePrefix: e.target.value } }))}
+              />
+            </div>
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Next quote number</div>
+              <input
+                type="number"
+                className={`mt-1 ${inputBase}`}
+                value={s.nextQuoteNumber}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, nextQuoteNumber: toNumber(e.target.value) || 1 } }))}
+              />
             </div>
-            <div className={`${cardPad} grid grid-cols-1 md:grid-cols-2 gap-3`}>
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Quote valid (days)</div>
               <input
-                className={inputBase}
-                value={q}
-                onChange={(e) => setQ(e.target.value)}
-                placeholder="Search invoices (client, number, items, notes…)"
+                type="number"
+                className={`mt-1 ${inputBase}`}
+                value={s.defaultQuoteValidDays}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, defaultQuoteValidDays: toNumber(e.target.value) || 30 } }))}
               />
+            </div>
+          </div>
+          <div
+            className={`rounded-2xl border p-3 text-sm ${audit.ok ? "border-neutral-200 text-neutral-700" : "border-red-200 bg-red-50 text-red-700"}`}
+          >
+            <div className="font-semibold">Number check</div>
+            {audit.ok ? <div className="text-xs mt-1">No duplicate or missing numbers.</div> : null}
+            {audit.duplicates.map((d) => (
+              <div key={d.number} className="text-xs mt-1">
+                Duplicate: <span className="font-mono">{d.number}</span> used {d.count}×
+              </div>
+            ))}
+            {audit.gaps.map((g) => (
+              <div key={`${g.docType}|${g.year}`} className="text-xs mt-1">
+                Missing in {DOC_FILTER_LABELS[g.docType] || g.docType}
+                {g.year ? ` ${g.year}` : ""}: sequence {g.missing.slice(0, 20).join(", ")}
+                {g.missing.length > 20 ? ` … (+${g.missing.length - 20} more)` : ""}
+              </div>
+            ))}
+            {audit.unnumbered ? <div className="text-xs mt-1">{audit.unnumbered} document(s) without a number</div> : null}
+          </div>
+          <div>
+            <div className="text-xs font-medium text-neutral-700">Default VAT rate (%)</div>
+            <input
+              type="number"
+              className={`mt-1 ${inputBase}`}
+              value={s.defaultVatRate}
+              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, defaultVatRate: toNumber(e.target.value) } }))}
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <div className="text-xs font-medium text-neutral-700">0% VAT lines in e-invoices</div>
               <select
-                className={inputBase}
-                value={statusFilter}
-                onChange={(e) => setStatusFilter(e.target.value)}
+                className={`mt-1 ${inputBase}`}
+                value={s.zeroVatCategory}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, zeroVatCategory: e.target.value } }))}
               >
-                <option value="All">All statuses</option>
-                {STATUS.map((st) => (
-                  <option key={st} value={st}>
-                    {st}
+                {Object.entries(ZERO_VAT_CATEGORIES).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label} ({k})
                   </option>
                 ))}
               </select>
             </div>
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Exemption reason</div>
+              <input
+                className={`mt-1 ${inputBase}`}
+                value={s.vatExemptionReason}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, vatExemptionReason: e.target.value } }))}
+                placeholder="e.g. Kleinunternehmer gem. § 19 UStG"
+                disabled={!EXEMPTION_REASON_REQUIRED.includes(s.zeroVatCategory)}
+              />
+            </div>
           </div>
-
-          <div className={card}>
-            <div className={cardHead}>
-              <div className="font-semibold text-neutral-800">Currency</div>
+          <div>
+            <div className="text-xs font-medium text-neutral-700">Default due days</div>
+            <input
+              type="number"
+              className={`mt-1 ${inputBase}`}
+              value={s.defaultDueDays}
+              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, defaultDueDays: toNumber(e.target.value) || 14 } }))}
+            />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Rounding</div>
+              <select
+                className={`mt-1 ${inputBase}`}
+                value={s.rounding.mode}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, rounding: { ...a.settings.rounding, mode: e.target.value } } }))}
+              >
+                {Object.entries(ROUNDING_MODES).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
             </div>
-            <div className={cardPad}>
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Rounding method</div>
               <select
-                className={inputBase}
-                value={app.settings.currency}
-                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, currency: e.target.value } }))}
+                className={`mt-1 ${inputBase}`}
+                value={s.rounding.method}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, rounding: { ...a.settings.rounding, method: e.target.value } } }))}
               >
-                <option value="EUR">EUR</option>
-                <option value="USD">USD</option>
-                <option value="GBP">GBP</option>
-                <option value="CHF">CHF</option>
+                {Object.entries(ROUNDING_METHODS).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
               </select>
             </div>
           </div>
+          <div>
+            <div className="text-xs font-medium text-neutral-700">Base currency</div>
+            <CurrencySelect className={`mt-1 ${inputBase}`} value={s.currency} onChange={onBaseCurrency} />
+          </div>
         </div>
+      </div>
 
-        {/* Main */}
-        <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
-          {/* Clients */}
-          <div className={card}>
-            <div className={`${cardHead} flex items-center justify-between`}>
-              <div className="font-semibold text-neutral-800">Clients</div>
-              <SmallButton
-                tone="primary"
-                onClick={() => {
-                  setEditingClientId("__new__");
-                  setClientModalOpen(true);
+      <div className="rounded-2xl border border-neutral-200">
+        <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">Business profile</div>
+        <div className="p-4 space-y-3">
+          <Field label="Business name" value={p.businessName} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, businessName: v } }))} />
+          <Field label="Email" value={p.email} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, email: v } }))} />
+          <Field label="Phone" value={p.phone} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, phone: v } }))} />
+          <TextArea label="Address" value={p.address} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, address: v } }))} />
+          <Field
+            label="Country code (ISO, e.g. DE)"
+            value={p.countryCode}
+            onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, countryCode: v.toUpperCase() } }))}
+          />
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Field label="Tax ID" value={p.taxId} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, taxId: v } }))} />
+            <Field label="VAT ID" value={p.vatId} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, vatId: v } }))} />
+          </div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Field label="Bank" value={p.bank} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, bank: v } }))} />
+            <Field label="IBAN" value={p.iban} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, iban: v } }))} />
+          </div>
+          <Field label="BIC" value={p.bic} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, bic: v } }))} />
+          {p.iban && !isValidIban(p.iban) ? (
+            <div className="text-xs text-red-700">This IBAN is not valid — please check it (the check digits do not match).</div>
+          ) : null}
+          <label className="flex items-center gap-2 text-sm text-neutral-700">
+            <input
+              type="checkbox"
+              checked={!!s.paymentQr}
+              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, paymentQr: e.target.checked } }))}
+            />
+            Payment QR code (GiroCode) on invoices — EUR only
+          </label>
+          <TextArea label="Footer notes" value={p.footerNotes} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, footerNotes: v } }))} />
+          <div>
+            <div className="text-xs font-medium text-neutral-700">Logo</div>
+            <div className="mt-1 flex items-center gap-3">
+              {p.logo ? (
+                <img src={p.logo.src} alt="Logo" className="h-12 max-w-[160px] object-contain rounded-lg border border-neutral-200 bg-white" />
+              ) : null}
+              <input
+                type="file"
+                accept="image/png,image/jpeg,image/svg+xml,image/webp"
+                className={inputBase}
+                onChange={(e) => {
+                  uploadLogo(e.target.files?.[0]);
+                  e.target.value = "";
                 }}
-              >
-                + Add
-              </SmallButton>
-            </div>
-            <div className={`${cardPad} space-y-2`}>
-              {app.clients.length === 0 ? (
-                <div className="text-sm text-neutral-600">No clients yet.</div>
-              ) : (
-                app.clients
-                  .slice()
-                  .sort((a, b) => (a.name || "").localeCompare(b.name || ""))
-                  .map((c) => (
-                    <div key={c.id} className="rounded-2xl border border-neutral-200">
-                      <div className="px-3 py-2 border-b border-neutral-100 flex items-center justify-between">
-                        <div className="min-w-0">
-                          <div className="font-semibold text-neutral-800 truncate">{c.name || "(unnamed)"}</div>
-                          <div className="text-xs text-neutral-600 truncate">{c.email || ""}</div>
-                        </div>
-                        <div className="text-xs text-neutral-600">
-                          {app.invoices.filter((i) => i.clientId === c.id).length} inv
-                        </div>
-                      </div>
-                      <div className="p-3 flex items-center gap-2">
-                        <SmallButton
-                          onClick={() => {
-                            setEditingClientId(c.id);
-                            setClientModalOpen(true);
-                          }}
-                        >
-                          Edit
-                        </SmallButton>
-                        <SmallButton tone="danger" onClick={() => deleteClient(c.id)}>
-                          Delete
-                        </SmallButton>
-                      </div>
-                    </div>
-                  ))
-              )}
+              />
+              {p.logo ? <SmallButton onClick={() => setApp((a) => ({ ...a, profile: { ...a.profile, logo: null } }))}>Remove</SmallButton> : null}
             </div>
           </div>
 
-          {/* Invoices list */}
-          <div className="md:col-span-2 rounded-2xl bg-white shadow-sm border border-neutral-200">
-            <div className={`${cardHead} flex items-center justify-between`}>
-              <div className="font-semibold text-neutral-800">Invoices</div>
-              <SmallButton tone="primary" onClick={createInvoice}>
-                + New
-              </SmallButton>
-            </div>
+          <div className="pt-2">
+            <SmallButton tone="primary" onClick={() => notify("Saved")}>Save</SmallButton>
+          </div>
+        </div>
+      </div>
 
-            <div className="p-4 overflow-auto">
-              {filteredInvoices.length === 0 ? (
-                <div className="text-sm text-neutral-600">No invoices match your filters.</div>
-              ) : (
-                <table className="min-w-full text-sm">
-                  <thead className="bg-neutral-50">
-                    <tr>
-                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Invoice</th>
-                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Client</th>
-                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Dates</th>
-                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Status</th>
-                      <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Total</th>
-                      <th className="px-3 py-2" />
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {filteredInvoices.map((inv) => {
-                      const client = clientsById.get(inv.clientId);
-                      const t = calcTotals(inv);
-                      const selected = inv.id === activeInvoiceId;
-                      return (
-                        <tr key={inv.id} className={`border-t border-neutral-200 ${selected ? "bg-lime-50" : ""}`}>
-                          <td className="px-3 py-2">
-                            <button className="text-left" onClick={() => setActiveInvoiceId(inv.id)} title="Select">
-                              <div className="font-semibold text-neutral-800">{inv.invoiceNumber || "(no number)"}</div>
-                              <div className="text-xs text-neutral-600">VAT: {toNumber(inv.vatRate)}%</div>
-                            </button>
-                          </td>
-                          <td className="px-3 py-2">
-                            <div className="font-medium text-neutral-800">{client?.name || "—"}</div>
-                            <div className="text-xs text-neutral-600">{client?.email || ""}</div>
-                          </td>
-                          <td className="px-3 py-2">
-                            <div className="text-xs text-neutral-600">
-                              Issue: <span className="text-neutral-800">{inv.issueDate}</span>
-                            </div>
-                            <div className="text-xs text-neutral-600">
-                              Due: <span className="text-neutral-800">{inv.dueDate}</span>
-                            </div>
-                          </td>
-                          <td className="px-3 py-2">
-                            <select
-                              className={inputBase}
-                              value={inv.status}
-                              onChange={(e) => upsertInvoice({ id: inv.id, status: e.target.value })}
-                            >
-                              {STATUS.map((st) => (
-                                <option key={st} value={st}>
-                                  {st}
-                                </option>
-                              ))}
-                            </select>
-                          </td>
-                          <td className="px-3 py-2">
-                            <div className="font-semibold text-neutral-800">{money(t.gross, currency)}</div>
-                            <div className="text-xs text-neutral-600">Net {money(t.net, currency)}</div>
-                          </td>
-                          <td className="px-3 py-2">
-                            <div className="flex items-center gap-2 justify-end">
-                              <SmallButton onClick={() => { setActiveInvoiceId(inv.id); setInvoiceModalOpen(true); }}>
-                                Edit
-                              </SmallButton>
-                              <SmallButton onClick={() => duplicateInvoice(inv.id)}>Duplicate</SmallButton>
-                              <SmallButton tone="danger" onClick={() => deleteInvoice(inv.id)}>Delete</SmallButton>
-                            </div>
-                          </td>
-                        </tr>
-                      );
-                    })}
-                  </tbody>
-                </table>
-              )}
+      <div className="rounded-2xl border border-neutral-200 md:col-span-2">
+        <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">Invoice layout</div>
+        <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="space-y-3">
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Template</div>
+              <select className={`mt-1 ${inputBase}`} value={L.template} onChange={(e) => setLayout({ template: e.target.value })}>
+                {Object.entries(SHEET_TEMPLATES).map(([k, label]) => (
+                  <option key={k} value={k}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <div className="text-xs font-medium text-neutral-700">Accent colour</div>
+                <input
+                  type="color"
+                  className="mt-1 h-10 w-full rounded-xl border border-neutral-200 bg-white px-1"
+                  value={L.accent}
+                  onChange={(e) => setLayout({ accent: e.target.value })}
+                />
+              </div>
+              <div>
+                <div className="text-xs font-medium text-neutral-700">Font</div>
+                <select className={`mt-1 ${inputBase}`} value={L.font} onChange={(e) => setLayout({ font: e.target.value })}>
+                  {Object.entries(SHEET_FONTS).map(([k, f]) => (
+                    <option key={k} value={k}>
+                      {f.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Default document language</div>
+              <select
+                className={`mt-1 ${inputBase}`}
+                value={s.documentLanguage}
+                onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, documentLanguage: e.target.value } }))}
+              >
+                {Object.entries(DOC_LANGUAGES).map(([k, lang]) => (
+                  <option key={k} value={k}>
+                    {lang.label}
+                  </option>
+                ))}
+              </select>
+              <div className="text-xs text-neutral-600 mt-1">Labels, dates and amounts on the sheet; each client can override it.</div>
+            </div>
+            <TextArea
+              label="Footer line (optional)"
+              value={L.footerText}
+              onChange={(v) => setLayout({ footerText: v })}
+              placeholder="e.g. Managing director · Commercial register · Thank you for your business"
+            />
+          </div>
 
-              <div className="mt-3 flex items-center justify-between gap-3">
-                <div className="text-sm text-neutral-600">
-                  {activeInvoice ? (
-                    <>
-                      Selected: <span className="font-semibold text-neutral-800">{activeInvoice.invoiceNumber}</span>
-                      {" · "}
-                      <span className="text-neutral-800">{clientsById.get(activeInvoice.clientId)?.name || "No client"}</span>
-                    </>
-                  ) : (
-                    "Select an invoice to preview."
-                  )}
-                </div>
-                <div className="flex items-center gap-2">
-                  <SmallButton onClick={() => setPreviewOpen(true)} disabled={!activeInvoice}>
-                    Preview
-                  </SmallButton>
-                  <SmallButton onClick={() => setInvoiceModalOpen(true)} disabled={!activeInvoice}>
-                    Open editor
-                  </SmallButton>
-                </div>
+          <div className="space-y-3">
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Block order</div>
+              <ul className="mt-1 rounded-xl border border-neutral-200 divide-y divide-neutral-100">
+                {L.order.map((key, idx) => (
+                  <li key={key} className="flex items-center justify-between gap-2 px-3 py-2 text-sm text-neutral-700">
+                    <span>{SHEET_BLOCKS[key]}</span>
+                    <span className="flex items-center gap-1">
+                      <SmallButton disabled={idx === 0} onClick={() => moveBlock(idx, -1)} title="Move up">
+                        ↑
+                      </SmallButton>
+                      <SmallButton disabled={idx === L.order.length - 1} onClick={() => moveBlock(idx, 1)} title="Move down">
+                        ↓
+                      </SmallButton>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+              {L.template === "din5008" ? (
+                <div className="text-xs text-neutral-600 mt-1">The letter layout prints the client in the address window and your details in the footer.</div>
+              ) : null}
+            </div>
+            <div>
+              <div className="text-xs font-medium text-neutral-700">Show</div>
+              <div className="mt-1 flex flex-wrap gap-4">
+                {Object.entries(SHEET_TOGGLES).map(([k, label]) => (
+                  <label key={k} className="flex items-center gap-2 text-sm text-neutral-700">
+                    <input type="checkbox" checked={L.show[k]} onChange={(e) => setLayout({ show: { ...L.show, [k]: e.target.checked } })} />
+                    {label}
+                  </label>
+                ))}
               </div>
             </div>
           </div>
         </div>
+      </div>
+    </div>
+  );
+}
+
+function CsvExportModal({ prefs, filteredCount, onClose, onExport }) {
+  const [opts, setOpts] = useState(() => ({ ...prefs, scope: "all", from: "", to: "" }));
+  const set = (patch) => setOpts((o) => ({ ...o, ...patch }));
+  const chosen = opts.columns[opts.level];
+  const toggle = (key) =>
+    set({
+      columns: {
+        ...opts.columns,
+        // keep the catalogue order whatever the click order
+        [opts.level]: CSV_EXPORT_COLUMNS[opts.level].map((c) => c.key).filter((k) => (k === key ? !chosen.includes(k) : chosen.includes(k))),
+      },
+    });
+
+  const select = (label, value, onChange, options) => (
+    <label className="block">
+      <div className="text-xs font-medium text-neutral-700">{label}</div>
+      <select className={`mt-1 ${inputBase}`} value={value} onChange={(e) => onChange(e.target.value)}>
+        {Object.entries(options).map(([v, text]) => (
+          <option key={v} value={v}>
+            {text}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <ModalLight title="Export CSV" onClose={onClose}>
+      <div className="space-y-4 text-sm text-neutral-700">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          {select("Rows", opts.level, (v) => set({ level: v }), { invoices: "One per document", items: "One per line item" })}
+          {select("Delimiter", opts.delimiter, (v) => set({ delimiter: v }), CSV_DELIMITERS)}
+          {select("Decimal separator", opts.decimal, (v) => set({ decimal: v }), { ".": "Point (1234.56)", ",": "Comma (1234,56)" })}
+          {select("Date format", opts.dateFormat, (v) => set({ dateFormat: v }), Object.fromEntries(Object.entries(DATE_FORMATS).map(([k, f]) => [k, f.label])))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          {select("Documents", opts.scope, (v) => set({ scope: v }), {
+            all: "All",
+            filtered: `Currently filtered (${filteredCount})`,
+            range: "Issue date range",
+          })}
+          {opts.scope === "range" ? (
+            <>
+              <label className="block">
+                <div className="text-xs font-medium text-neutral-700">From</div>
+                <input type="date" className={`mt-1 ${inputBase}`} value={opts.from} onChange={(e) => set({ from: e.target.value })} />
+              </label>
+              <label className="block">
+                <div className="text-xs font-medium text-neutral-700">To</div>
+                <input type="date" className={`mt-1 ${inputBase}`} value={opts.to} onChange={(e) => set({ to: e.target.value })} />
+              </label>
+            </>
+          ) : null}
+        </div>
 
-        {toast ? (
-          <div className="fixed bottom-6 right-6 rounded-2xl bg-neutral-800 text-white px-4 py-3 shadow-xl print:hidden">
-            <div className="text-sm">{toast}</div>
+        <div className="flex flex-wrap gap-4">
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={opts.includeQuotes} onChange={(e) => set({ includeQuotes: e.target.checked })} />
+            Include quotes
+          </label>
+          <label className="flex items-center gap-2">
+            <input type="checkbox" checked={opts.bom} onChange={(e) => set({ bom: e.target.checked })} />
+            UTF-8 marker for Excel (umlauts display correctly)
+          </label>
+        </div>
+
+        <div className="rounded-2xl border border-neutral-200">
+          <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between gap-3">
+            <span className="font-semibold text-neutral-800">Columns</span>
+            <span className="text-xs text-neutral-500">
+              {opts.level === "items" ? "Amounts in the document currency" : "Amounts in the base currency"}
+            </span>
           </div>
-        ) : null}
-      </div>
+          <div className="p-4 grid grid-cols-2 md:grid-cols-4 gap-2">
+            {CSV_EXPORT_COLUMNS[opts.level].map((c) => (
+              <label key={c.key} className="flex items-center gap-2">
+                <input type="checkbox" checked={chosen.includes(c.key)} onChange={() => toggle(c.key)} />
+                {c.label}
+              </label>
+            ))}
+          </div>
+        </div>
 
-      {/* Settings modal */}
-      {settingsOpen ? (
-        <ModalLight title="Settings" onClose={() => setSettingsOpen(false)}>
-          <SettingsPanel app={app} setApp={setApp} notify={notify} />
-        </ModalLight>
-      ) : null}
+        <div className="flex items-center justify-end gap-2 pt-2">
+          <SmallButton onClick={onClose}>Cancel</SmallButton>
+          <SmallButton tone="primary" disabled={!chosen.length} onClick={() => onExport(opts)}>
+            Export
+          </SmallButton>
+        </div>
+      </div>
+    </ModalLight>
+  );
+}
 
-      {/* Client modal */}
-      {clientModalOpen ? (
-        <ClientModal
-          open={clientModalOpen}
-          onClose={() => setClientModalOpen(false)}
-          clientId={editingClientId}
-          clients={app.clients}
-          onSave={(c) => {
-            upsertClient(c);
-            setClientModalOpen(false);
-            notify("Saved");
-          }}
-        />
-      ) : null}
+function BaseCurrencyModal({ from, to, count, onClose, onConfirm }) {
+  const [rate, setRate] = useState("");
+  const value = toNumber(rate);
 
-      {/* Invoice modal */}
-      {invoiceModalOpen ? (
-        <InvoiceModal
-          open={invoiceModalOpen}
-          onClose={() => setInvoiceModalOpen(false)}
-          invoice={activeInvoice}
-          clients={app.clients}
-          currency={currency}
-          defaultVat={app.settings.defaultVatRate}
-          onSave={(inv) => {
-            upsertInvoice(inv);
-            setInvoiceModalOpen(false);
-            notify("Saved");
-          }}
-        />
-      ) : null}
-    </div>
+  return (
+    <ModalLight title={`Change base currency to ${to}`} onClose={onClose}>
+      <div className="space-y-3 text-sm text-neutral-700">
+        <p>
+          {count} document(s) are reported in {from}. Enter the exchange rate to {to}: drafts, quotes and the stored
+          rates are converted with it. Issued documents keep the rate they were issued with; the dashboard and
+          exports convert their amounts to {to} with this rate.
+        </p>
+        <Field label={`1 ${from} = ? ${to}`} value={rate} onChange={setRate} placeholder="e.g. 0.94" />
+        <div className="flex items-center justify-end gap-2 pt-2">
+          <SmallButton onClick={onClose}>Cancel</SmallButton>
+          <SmallButton tone="primary" disabled={!(value > 0)} onClick={() => onConfirm(value)}>
+            Change base currency
+          </SmallButton>
+        </div>
+      </div>
+    </ModalLight>
   );
 }
 
-function ModalLight({ title, onClose, children }) {
+function EInvoiceModal({ invoice, syntax: initialSyntax, build, onClose, onExport }) {
+  const [syntax, setSyntax] = useState(initialSyntax);
+  const { errors, warnings, xml } = build(syntax);
+  const problems = [...errors.map((text) => ({ text, error: true })), ...warnings.map((text) => ({ text, error: false }))];
+
   return (
-    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 sm:p-8">
-      <div className="absolute inset-0 bg-black/40" onClick={onClose} />
-      <div className="relative w-full max-w-4xl">
-        <div className="mb-3 rounded-2xl bg-white border border-neutral-200 shadow-sm p-3 flex items-center justify-between gap-3">
-          <div className="text-lg font-semibold text-neutral-800">{title}</div>
-          <button className={btnSecondary} onClick={onClose}>
-            Close
-          </button>
+    <ModalLight title={`E-invoice — ${docLabel(invoice)} ${invoice.invoiceNumber}`} onClose={onClose}>
+      <div className="space-y-3 text-sm text-neutral-700">
+        <label className="block">
+          <div className="text-xs font-medium text-neutral-700">Format</div>
+          <select className={`mt-1 ${inputBase}`} value={syntax} onChange={(e) => setSyntax(e.target.value)}>
+            {Object.entries(EINVOICE_SYNTAXES).map(([k, label]) => (
+              <option key={k} value={k}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="text-xs text-neutral-500">
+          {syntax === "xrechnung"
+            ? "UBL XML for German public-sector clients; upload it to the client's portal or send it by email."
+            : "CII XML (EN 16931 profile), the data part of a ZUGFeRD / Factur-X invoice."}
         </div>
-        <div className="rounded-2xl bg-white border border-neutral-200 shadow-xl overflow-auto max-h-[80vh]">
-          <div className="p-6">{children}</div>
+
+        {problems.length ? (
+          <div className="rounded-2xl border border-neutral-200">
+            <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">
+              {errors.length ? `${errors.length} missing or invalid field(s) — fix these before exporting` : `${warnings.length} warning(s)`}
+            </div>
+            <ul className="max-h-72 overflow-auto p-4 space-y-1">
+              {problems.map((p, i) => (
+                <li key={i} className={p.error ? "text-red-700 font-medium" : ""}>
+                  {p.text}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : (
+          <div>All mandatory fields are present.</div>
+        )}
+
+        <div className="flex items-center justify-end gap-2 pt-2">
+          <SmallButton onClick={onClose}>Cancel</SmallButton>
+          <SmallButton tone="primary" disabled={!xml} onClick={() => onExport(syntax, xml)}>
+            Download XML
+          </SmallButton>
         </div>
       </div>
-    </div>
+    </ModalLight>
   );
 }
 
-function SettingsPanel({ app, setApp, notify }) {
-  const s = app.settings;
-  const p = app.profile;
+const CSV_PREVIEW_ROWS = 8;
+
+function CsvImportModal({ app, onClose, onImport }) {
+  const [kind, setKind] = useState("invoices");
+  const [file, setFile] = useState(null); // { name, text }
+  const [delimiter, setDelimiter] = useState(",");
+  const [dateFormat, setDateFormat] = useState("iso");
+  const [mapping, setMapping] = useState({});
+
+  const rows = useMemo(() => (file ? parseCSV(file.text, delimiter) : []), [file, delimiter]);
+  const header = rows[0] || [];
+  const body = useMemo(() => rows.slice(1), [rows]);
+  const fields = CSV_IMPORT_FIELDS[kind];
+  const missing = fields.filter((f) => f.required && (mapping[f.key] === "" || mapping[f.key] === undefined));
+  const ready = !!file && !missing.length;
+
+  const result = useMemo(
+    () => (ready ? buildCsvImport(kind, body, mapping, { dateFormat }, app) : null),
+    [ready, kind, body, mapping, dateFormat, app]
+  );
+
+  const loadFile = async (f) => {
+    if (!f) return;
+    const text = await f.text();
+    const d = detectDelimiter(text);
+    setFile({ name: f.name, text });
+    setDelimiter(d);
+    setMapping(guessMapping(kind, parseCSV(text, d)[0] || []));
+  };
+
+  const switchKind = (next) => {
+    setKind(next);
+    setMapping(guessMapping(next, header));
+  };
+
+  const columnOptions = header.map((h, i) => ({ value: i, label: h || `Column ${i + 1}` }));
+  const previewCols = fields.filter((f) => mapping[f.key] !== "" && mapping[f.key] !== undefined);
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-      <div className="rounded-2xl border border-neutral-200">
-        <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">Invoice defaults</div>
-        <div className="p-4 space-y-3">
-          <div>
-            <div className="text-xs font-medium text-neutral-700">Invoice prefix</div>
+    <ModalLight title="Import CSV" onClose={onClose}>
+      <div className="space-y-4 text-sm text-neutral-700">
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">Import</div>
+            <select className={`mt-1 ${inputBase}`} value={kind} onChange={(e) => switchKind(e.target.value)}>
+              <option value="invoices">Invoices (one row per line item)</option>
+              <option value="clients">Clients</option>
+            </select>
+          </label>
+          <label className="block md:col-span-3">
+            <div className="text-xs font-medium text-neutral-700">CSV file</div>
             <input
+              type="file"
+              accept=".csv,text/csv,text/plain"
               className={`mt-1 ${inputBase}`}
-              value={s.invoicePrefix}
-              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, invoicePrefix: e.target.value } }))}
+              onChange={(e) => {
+                loadFile(e.target.files?.[0]);
+                e.target.value = "";
+              }}
             />
-          </div>
-          <div>
-            <div className="text-xs font-medium text-neutral-700">Next invoice number</div>
+            {file ? (
+              <div className="mt-1 text-xs text-neutral-500">
+                {file.name} · {body.length} data row(s)
+              </div>
+            ) : null}
+          </label>
+        </div>
+
+        {file ? (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <label className="block">
+                <div className="text-xs font-medium text-neutral-700">Delimiter</div>
+                <select className={`mt-1 ${inputBase}`} value={delimiter} onChange={(e) => setDelimiter(e.target.value)}>
+                  {Object.entries(CSV_DELIMITERS).map(([d, label]) => (
+                    <option key={label} value={d}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {kind === "invoices" ? (
+                <label className="block">
+                  <div className="text-xs font-medium text-neutral-700">Date format</div>
+                  <select className={`mt-1 ${inputBase}`} value={dateFormat} onChange={(e) => setDateFormat(e.target.value)}>
+                    {Object.entries(DATE_FORMATS).map(([k, f]) => (
+                      <option key={k} value={k}>
+                        {f.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              ) : null}
+              <div className="md:col-span-2 self-end text-xs text-neutral-500">
+                Numbers may use a decimal comma (12,5 or 1.234,56). Clients are matched by email, then by name.
+              </div>
+            </div>
+
+            <div className="rounded-2xl border border-neutral-200">
+              <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">Columns</div>
+              <div className="p-4 grid grid-cols-1 md:grid-cols-3 gap-3">
+                {fields.map((f) => (
+                  <label key={f.key} className="block">
+                    <div className="text-xs font-medium text-neutral-700">
+                      {f.label}
+                      {f.required ? " *" : ""}
+                    </div>
+                    <select
+                      className={`mt-1 ${inputBase}`}
+                      value={mapping[f.key] ?? ""}
+                      onChange={(e) => setMapping((m) => ({ ...m, [f.key]: e.target.value === "" ? "" : Number(e.target.value) }))}
+                    >
+                      <option value="">— not imported —</option>
+                      {columnOptions.map((c) => (
+                        <option key={c.value} value={c.value}>
+                          {c.label}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="rounded-2xl border border-neutral-200 overflow-auto">
+              <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">
+                Preview (first {Math.min(CSV_PREVIEW_ROWS, body.length)} rows)
+              </div>
+              <table className="min-w-full text-sm">
+                <thead className="bg-neutral-50">
+                  <tr>
+                    {previewCols.map((f) => (
+                      <th key={f.key} className="px-3 py-2 text-left text-xs font-semibold text-neutral-600 whitespace-nowrap">
+                        {f.label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {body.slice(0, CSV_PREVIEW_ROWS).map((row, i) => (
+                    <tr key={i} className="border-t border-neutral-200">
+                      {previewCols.map((f) => (
+                        <td key={f.key} className="px-3 py-2 whitespace-pre-line">
+                          {row[mapping[f.key]] ?? ""}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {missing.length ? (
+              <div className="rounded-2xl border border-red-200 bg-red-50 p-3 text-red-700">
+                Map a column for: {missing.map((f) => f.label).join(", ")}.
+              </div>
+            ) : result ? (
+              <div className="rounded-2xl border border-neutral-200">
+                <div className="px-4 py-3 border-b border-neutral-100 text-neutral-800">
+                  <span className="font-semibold">
+                    {kind === "invoices" ? `${result.invoices.length} invoice(s), ` : ""}
+                    {result.clients.length} new client(s)
+                  </span>{" "}
+                  will be imported{result.matched ? `; ${result.matched} matched existing client(s)` : ""}.
+                </div>
+                {result.issues.length ? (
+                  <ul className="max-h-60 overflow-auto p-4 space-y-1">
+                    {result.issues.slice(0, IMPORT_PROBLEM_LIMIT).map((text, i) => (
+                      <li key={i}>{text}</li>
+                    ))}
+                    {result.issues.length > IMPORT_PROBLEM_LIMIT ? (
+                      <li className="text-neutral-500">…and {result.issues.length - IMPORT_PROBLEM_LIMIT} more</li>
+                    ) : null}
+                  </ul>
+                ) : (
+                  <div className="p-4">No problems found.</div>
+                )}
+              </div>
+            ) : null}
+          </>
+        ) : null}
+
+        <div className="flex items-center justify-end gap-2 pt-2">
+          <SmallButton onClick={onClose}>Cancel</SmallButton>
+          <SmallButton
+            tone="primary"
+            disabled={!result || !(result.invoices.length || result.clients.length)}
+            onClick={() => onImport(result)}
+          >
+            Import
+          </SmallButton>
+        </div>
+      </div>
+    </ModalLight>
+  );
+}
+
+function PassphraseModal({ mode, fileName, onClose, onSubmit }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [repeat, setRepeat] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const exporting = mode === "export";
+
+  const submit = async () => {
+    if (exporting && passphrase.length < MIN_PASSPHRASE) return setError(`Use at least ${MIN_PASSPHRASE} characters.`);
+    if (exporting && passphrase !== repeat) return setError("The passphrases do not match.");
+    if (!passphrase) return setError("Enter the passphrase.");
+    setBusy(true);
+    setError("");
+    try {
+      await onSubmit(passphrase);
+    } catch (err) {
+      setError(String(err?.message || err));
+      setBusy(false);
+    }
+  };
+
+  return (
+    <ModalLight title={exporting ? "Encrypted backup" : `Encrypted backup — ${fileName}`} onClose={onClose}>
+      <form
+        className="space-y-3 text-sm text-neutral-700"
+        onSubmit={(e) => {
+          e.preventDefault();
+          submit();
+        }}
+      >
+        <p>
+          {exporting
+            ? "The backup is encrypted with this passphrase (AES-256-GCM). Without it the file cannot be restored — there is no recovery."
+            : "This backup is encrypted. Enter the passphrase it was exported with."}
+        </p>
+        <label className="block">
+          <div className="text-xs font-medium text-neutral-700">Passphrase</div>
+          <input
+            type="password"
+            autoFocus
+            autoComplete={exporting ? "new-password" : "current-password"}
+            className={`mt-1 ${inputBase}`}
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+          />
+        </label>
+        {exporting ? (
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">Repeat passphrase</div>
             <input
-              type="number"
+              type="password"
+              autoComplete="new-password"
               className={`mt-1 ${inputBase}`}
-              value={s.nextInvoiceNumber}
-              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, nextInvoiceNumber: toNumber(e.target.value) || 1 } }))}
+              value={repeat}
+              onChange={(e) => setRepeat(e.target.value)}
             />
+          </label>
+        ) : null}
+        {error ? <div className="rounded-xl border border-red-200 bg-red-50 p-3 text-red-700">{error}</div> : null}
+        <div className="flex items-center justify-end gap-2 pt-2">
+          <SmallButton onClick={onClose}>Cancel</SmallButton>
+          <SmallButton tone="primary" type="submit" disabled={busy}>
+            {busy ? "Working…" : exporting ? "Export" : "Decrypt"}
+          </SmallButton>
+        </div>
+      </form>
+    </ModalLight>
+  );
+}
+
+function ImportReviewModal({ fileName, report, plan, onClose, onConfirm }) {
+  const { errors, warnings, counts } = report;
+  const problems = [...errors.map((text) => ({ text, error: true })), ...warnings.map((text) => ({ text, error: false }))];
+  const shown = problems.slice(0, IMPORT_PROBLEM_LIMIT);
+  const [mode, setMode] = useState("replace");
+  const [choices, setChoices] = useState({});
+
+  const pairs = plan ? [...plan.invoices.changed, ...plan.invoices.conflicts, ...plan.clients.changed] : [];
+  const setAll = (side) => setChoices(Object.fromEntries(pairs.map((p) => [p.theirs.id, side])));
+
+  const docName = (inv) => `${docLabel(inv)} ${inv.invoiceNumber || "(no number)"} · ${inv.issueDate}`;
+
+  const choiceRow = (pair, label, note) => {
+    const side = choices[pair.theirs.id] || "mine";
+    const blocked = isLocked(pair.mine) && pair.mine.id !== pair.theirs.id;
+    return (
+      <li key={`${pair.mine.id}-${pair.theirs.id}`} className="flex flex-wrap items-center justify-between gap-2 py-1">
+        <div>
+          <div className="font-medium text-neutral-800">{label}</div>
+          <div className="text-xs text-neutral-500">{note}</div>
+        </div>
+        <div className="flex items-center gap-3">
+          {["mine", "theirs"].map((v) => (
+            <label key={v} className="flex items-center gap-1">
+              <input
+                type="radio"
+                checked={side === v}
+                disabled={v === "theirs" && blocked}
+                onChange={() => setChoices((c) => ({ ...c, [pair.theirs.id]: v }))}
+              />
+              {v === "mine" ? "Keep mine" : "Take theirs"}
+            </label>
+          ))}
+        </div>
+      </li>
+    );
+  };
+
+  const section = (title, items) =>
+    items.length ? (
+      <div className="rounded-2xl border border-neutral-200">
+        <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">{title}</div>
+        <ul className="max-h-60 overflow-auto px-4 py-2 divide-y divide-neutral-100">{items}</ul>
+      </div>
+    ) : null;
+
+  return (
+    <ModalLight title={`Import — ${fileName}`} onClose={onClose}>
+      <div className="space-y-3 text-sm text-neutral-700">
+        {errors.length ? null : (
+          <>
+            <div>
+              Found {counts.invoices} document(s), {counts.clients} client(s) and {counts.recurring} recurring schedule(s).
+            </div>
+            <div className="flex flex-wrap items-center gap-4">
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={mode === "replace"} onChange={() => setMode("replace")} />
+                <span>
+                  <span className="font-semibold">Replace all</span> current data with the file
+                </span>
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={mode === "merge"} onChange={() => setMode("merge")} />
+                <span>
+                  <span className="font-semibold">Merge</span> into current data
+                </span>
+              </label>
+            </div>
+          </>
+        )}
+
+        {problems.length ? (
+          <div className="rounded-2xl border border-neutral-200">
+            <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">
+              {errors.length ? `${errors.length} error(s) — the file cannot be imported` : `${warnings.length} warning(s)`}
+            </div>
+            <ul className="max-h-72 overflow-auto p-4 space-y-1">
+              {shown.map((p, i) => (
+                <li key={i} className={p.error ? "text-red-700 font-medium" : ""}>
+                  {p.text}
+                </li>
+              ))}
+              {problems.length > shown.length ? (
+                <li className="text-neutral-500">…and {problems.length - shown.length} more</li>
+              ) : null}
+            </ul>
           </div>
+        ) : (
+          <div className="rounded-2xl border border-neutral-200 p-4">No problems found.</div>
+        )}
+
+        {mode === "merge" && plan ? (
+          <>
+            <div className="rounded-2xl border border-neutral-200 p-4">
+              <span className="font-semibold">{plan.invoices.added.length}</span> new document(s),{" "}
+              <span className="font-semibold">{plan.clients.added.length}</span> new client(s) and{" "}
+              <span className="font-semibold">{plan.recurring.length}</span> new schedule(s) will be added.{" "}
+              {plan.invoices.unchanged + plan.clients.unchanged} record(s) are identical and skipped. Number counters are moved
+              past the highest number afterwards.
+            </div>
+
+            {pairs.length ? (
+              <div className="flex items-center justify-end gap-2">
+                <SmallButton onClick={() => setAll("mine")}>Keep all mine</SmallButton>
+                <SmallButton onClick={() => setAll("theirs")}>Take all theirs</SmallButton>
+              </div>
+            ) : null}
+
+            {section(
+              `Changed documents (${plan.invoices.changed.length})`,
+              plan.invoices.changed.map((p) =>
+                choiceRow(
+                  p,
+                  docName(p.mine),
+                  `Differs in: ${changedFields(p.mine, p.theirs).join(", ")}${isLocked(p.mine) ? " · locked: only status and payments are taken" : ""}`
+                )
+              )
+            )}
+            {section(
+              `Same number, different document (${plan.invoices.conflicts.length})`,
+              plan.invoices.conflicts.map((p) =>
+                choiceRow(
+                  p,
+                  docName(p.mine),
+                  isLocked(p.mine) ? "Ours is locked and stays; theirs is skipped" : `Theirs: ${docName(p.theirs)} — taking it replaces ours`
+                )
+              )
+            )}
+            {section(
+              `Changed clients (${plan.clients.changed.length})`,
+              plan.clients.changed.map((p) => choiceRow(p, p.mine.name || "(no name)", `Differs in: ${changedFields(p.mine, p.theirs).join(", ")}`))
+            )}
+          </>
+        ) : null}
+
+        {errors.length || mode === "merge" ? null : (
           <div>
-            <div className="text-xs font-medium text-neutral-700">Default VAT rate (%)</div>
-            <input
-              type="number"
-              className={`mt-1 ${inputBase}`}
-              value={s.defaultVatRate}
-              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, defaultVatRate: toNumber(e.target.value) } }))}
-            />
+            Importing <span className="font-semibold">replaces all current data</span> (Undo is available afterwards).
           </div>
-          <div>
-            <div className="text-xs font-medium text-neutral-700">Default due days</div>
-            <input
-              type="number"
+        )}
+
+        <div className="flex items-center justify-end gap-2 pt-2">
+          <SmallButton onClick={onClose}>Cancel</SmallButton>
+          <SmallButton tone="primary" onClick={() => onConfirm(mode, choices)} disabled={errors.length > 0}>
+            {mode === "merge" ? "Merge" : warnings.length ? "Import anyway" : "Import"}
+          </SmallButton>
+        </div>
+      </div>
+    </ModalLight>
+  );
+}
+
+function RecurringPanel({ app, setApp, notify, onGenerate }) {
+  const sources = app.invoices
+    .filter((inv) => (inv.docType || "invoice") === "invoice")
+    .slice()
+    .sort((a, b) => String(b.issueDate || "").localeCompare(String(a.issueDate || "")));
+  const byId = new Map(app.invoices.map((inv) => [inv.id, inv]));
+  const clientName = (inv) => app.clients.find((c) => c.id === inv?.clientId)?.name || "No client";
+
+  const [draft, setDraft] = useState(() => ({
+    sourceInvoiceId: sources[0]?.id || "",
+    frequency: "monthly",
+    startDate: todayISO(),
+    endDate: "",
+    generateAs: "Draft",
+  }));
+
+  const setRecurring = (id, patch) =>
+    setApp((a) => ({ ...a, recurring: (a.recurring || []).map((r) => (r.id === id ? { ...r, ...patch } : r)) }));
+
+  const addSchedule = () => {
+    if (!draft.sourceInvoiceId) return alert("Pick a source invoice");
+    if (draft.endDate && draft.endDate < draft.startDate) return alert("End date is before start date");
+    setApp((a) => ({
+      ...a,
+      recurring: [...(a.recurring || []), { id: uid(), ...draft, count: 0, lastGenerated: "", active: true }],
+    }));
+    notify("Schedule added");
+  };
+
+  const deleteSchedule = (id) => {
+    if (!window.confirm("Delete this schedule? Invoices already generated are kept.")) return;
+    setApp((a) => ({ ...a, recurring: (a.recurring || []).filter((r) => r.id !== id) }));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-neutral-200">
+        <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">New schedule</div>
+        <div className="p-4 grid grid-cols-1 md:grid-cols-2 gap-3">
+          <label className="block md:col-span-2">
+            <div className="text-xs font-medium text-neutral-700">Source invoice</div>
+            <select
               className={`mt-1 ${inputBase}`}
-              value={s.defaultDueDays}
-              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, defaultDueDays: toNumber(e.target.value) || 14 } }))}
-            />
-          </div>
-          <div>
-            <div className="text-xs font-medium text-neutral-700">Currency</div>
+              value={draft.sourceInvoiceId}
+              onChange={(e) => setDraft((d) => ({ ...d, sourceInvoiceId: e.target.value }))}
+            >
+              <option value="">— Select invoice —</option>
+              {sources.map((inv) => (
+                <option key={inv.id} value={inv.id}>
+                  {inv.invoiceNumber} · {clientName(inv)}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">Frequency</div>
             <select
               className={`mt-1 ${inputBase}`}
-              value={s.currency}
-              onChange={(e) => setApp((a) => ({ ...a, settings: { ...a.settings, currency: e.target.value } }))}
+              value={draft.frequency}
+              onChange={(e) => setDraft((d) => ({ ...d, frequency: e.target.value }))}
             >
-              <option value="EUR">EUR</option>
-              <option value="USD">USD</option>
-              <option value="GBP">GBP</option>
-              <option value="CHF">CHF</option>
+              {Object.entries(FREQUENCIES).map(([k, label]) => (
+                <option key={k} value={k}>
+                  {label}
+                </option>
+              ))}
             </select>
+          </label>
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">Generate as</div>
+            <select
+              className={`mt-1 ${inputBase}`}
+              value={draft.generateAs}
+              onChange={(e) => setDraft((d) => ({ ...d, generateAs: e.target.value }))}
+            >
+              <option value="Draft">Draft</option>
+              <option value="Sent">Sent</option>
+            </select>
+          </label>
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">Start date (first issue date)</div>
+            <input
+              type="date"
+              className={`mt-1 ${inputBase}`}
+              value={draft.startDate}
+              onChange={(e) => setDraft((d) => ({ ...d, startDate: e.target.value }))}
+            />
+          </label>
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">End date (optional)</div>
+            <input
+              type="date"
+              className={`mt-1 ${inputBase}`}
+              value={draft.endDate}
+              onChange={(e) => setDraft((d) => ({ ...d, endDate: e.target.value }))}
+            />
+          </label>
+          <div className="md:col-span-2 text-xs text-neutral-600">
+            Placeholders in item descriptions and notes are filled per occurrence: <span className="font-mono">{"{month}"}</span>,{" "}
+            <span className="font-mono">{"{mm}"}</span>, <span className="font-mono">{"{year}"}</span>,{" "}
+            <span className="font-mono">{"{quarter}"}</span>, <span className="font-mono">{"{date}"}</span> — e.g. “Retainer{" "}
+            {"{month} {year}"}”.
           </div>
-        </div>
-      </div>
-
-      <div className="rounded-2xl border border-neutral-200">
-        <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">Business profile</div>
-        <div className="p-4 space-y-3">
-          <Field label="Business name" value={p.businessName} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, businessName: v } }))} />
-          <Field label="Email" value={p.email} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, email: v } }))} />
-          <Field label="Phone" value={p.phone} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, phone: v } }))} />
-          <TextArea label="Address" value={p.address} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, address: v } }))} />
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-            <Field label="Tax ID" value={p.taxId} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, taxId: v } }))} />
-            <Field label="VAT ID" value={p.vatId} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, vatId: v } }))} />
-          </div>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-            <Field label="Bank" value={p.bank} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, bank: v } }))} />
-            <Field label="IBAN" value={p.iban} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, iban: v } }))} />
+          <div className="md:col-span-2 flex items-center justify-end gap-2">
+            <SmallButton tone="primary" onClick={addSchedule}>
+              + Add schedule
+            </SmallButton>
           </div>
-          <Field label="BIC" value={p.bic} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, bic: v } }))} />
-          <TextArea label="Footer notes" value={p.footerNotes} onChange={(v) => setApp((a) => ({ ...a, profile: { ...a.profile, footerNotes: v } }))} />
+        </div>
+      </div>
 
-          <div className="pt-2">
-            <SmallButton tone="primary" onClick={() => notify("Saved")}>Save</SmallButton>
-          </div>
+      <div className="rounded-2xl border border-neutral-200">
+        <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between">
+          <div className="font-semibold text-neutral-800">Schedules</div>
+          <SmallButton onClick={onGenerate} disabled={!(app.recurring || []).length}>
+            Generate due now
+          </SmallButton>
+        </div>
+        <div className="p-4 space-y-2">
+          {(app.recurring || []).length === 0 ? (
+            <div className="text-sm text-neutral-600">No schedules yet.</div>
+          ) : (
+            app.recurring.map((r) => {
+              const src = byId.get(r.sourceInvoiceId);
+              const next = occurrenceISO(r.startDate, r.frequency, r.count);
+              const ended = r.endDate && next > r.endDate;
+              return (
+                <div key={r.id} className="rounded-2xl border border-neutral-200 p-3 flex flex-wrap items-center justify-between gap-3">
+                  <div className="min-w-0 text-sm">
+                    <div className="font-semibold text-neutral-800">
+                      {src ? `${src.invoiceNumber} · ${clientName(src)}` : "Source invoice missing"}
+                    </div>
+                    <div className="text-xs text-neutral-600">
+                      {FREQUENCIES[r.frequency]} from {r.startDate}
+                      {r.endDate ? ` until ${r.endDate}` : ""} · as {r.generateAs} · {r.count} generated
+                    </div>
+                    <div className="text-xs text-neutral-600">
+                      {ended ? "Finished" : r.active ? `Next: ${next}` : "Paused"}
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <SmallButton onClick={() => setRecurring(r.id, { active: !r.active })} disabled={ended}>
+                      {r.active ? "Pause" : "Resume"}
+                    </SmallButton>
+                    <SmallButton tone="danger" onClick={() => deleteSchedule(r.id)}>
+                      Delete
+                    </SmallButton>
+                  </div>
+                </div>
+              );
+            })
+          )}
         </div>
       </div>
     </div>
   );
 }
 
+function CurrencySelect({ value, onChange, className }) {
+  return (
+    <select className={className} value={value} onChange={(e) => onChange?.(e.target.value)}>
+      {CURRENCIES.map((c) => (
+        <option key={c} value={c}>
+          {c}
+        </option>
+      ))}
+    </select>
+  );
+}
+
 function Field({ label, value, onChange, placeholder }) {
   return (
     <label className="block">
@@ -1065,17 +4207,21 @@ function TextArea({ label, value, onChange, placeholder }) {
 }
 
 /** FIXED: Hooks are always called; we only return null after hooks */
-function ClientModal({ open, onClose, clientId, clients, onSave }) {
+function ClientModal({ open, onClose, clientId, clients, defaultLanguage, onSave }) {
   const existing = useMemo(() => clients.find((c) => c.id === clientId) || null, [clients, clientId]);
   const isNew = clientId === "__new__" || !existing;
 
   const makeBlank = () => ({
     id: uid(),
     name: "",
+    code: "",
     address: "",
+    countryCode: "",
     email: "",
     phone: "",
     contact: "",
+    vatId: "",
+    language: "",
     notes: "",
   });
 
@@ -1097,11 +4243,37 @@ function ClientModal({ open, onClose, clientId, clients, onSave }) {
         </div>
         <Field label="Email" value={draft.email} onChange={(v) => setDraft((d) => ({ ...d, email: v }))} />
         <Field label="Phone" value={draft.phone} onChange={(v) => setDraft((d) => ({ ...d, phone: v }))} />
+        <Field
+          label="Client code (for {CLIENT} in numbers)"
+          value={draft.code}
+          onChange={(v) => setDraft((d) => ({ ...d, code: v }))}
+          placeholder={clientCode({ name: draft.name }) || "ACME"}
+        />
+        <Field label="VAT ID (optional)" value={draft.vatId} onChange={(v) => setDraft((d) => ({ ...d, vatId: v }))} />
         <div className="md:col-span-2">
           <TextArea label="Address" value={draft.address} onChange={(v) => setDraft((d) => ({ ...d, address: v }))} />
         </div>
-        <div className="md:col-span-2">
-          <Field label="Contact person (optional)" value={draft.contact} onChange={(v) => setDraft((d) => ({ ...d, contact: v }))} />
+        <Field
+          label="Country code (blank = same as yours)"
+          value={draft.countryCode}
+          onChange={(v) => setDraft((d) => ({ ...d, countryCode: v.toUpperCase() }))}
+          placeholder="DE"
+        />
+        <Field label="Contact person (optional)" value={draft.contact} onChange={(v) => setDraft((d) => ({ ...d, contact: v }))} />
+        <div>
+          <div className="text-xs font-medium text-neutral-700">Document language</div>
+          <select
+            className={`mt-1 ${inputBase}`}
+            value={draft.language || ""}
+            onChange={(e) => setDraft((d) => ({ ...d, language: e.target.value }))}
+          >
+            <option value="">Default ({(DOC_LANGUAGES[defaultLanguage] || DOC_LANGUAGES[DEFAULT_DOC_LANGUAGE]).label})</option>
+            {Object.entries(DOC_LANGUAGES).map(([k, lang]) => (
+              <option key={k} value={k}>
+                {lang.label}
+              </option>
+            ))}
+          </select>
         </div>
         <div className="md:col-span-2">
           <TextArea label="Notes (optional)" value={draft.notes} onChange={(v) => setDraft((d) => ({ ...d, notes: v }))} />
@@ -1124,10 +4296,173 @@ function ClientModal({ open, onClose, clientId, clients, onSave }) {
   );
 }
 
+function PaymentsModal({ invoice, currency, rounding, onClose, onSave }) {
+  const [payments, setPayments] = useState(() => (invoice?.payments || []).map((p) => ({ ...p })));
+
+  if (!invoice) {
+    return (
+      <ModalLight title="Payments" onClose={onClose}>
+        <div className="text-sm text-neutral-600">Invoice not found.</div>
+      </ModalLight>
+    );
+  }
+
+  const t = calcTotals(invoice, rounding);
+  const summary = paymentSummary({ ...invoice, payments }, t);
+
+  const setPayment = (id, patch) => setPayments((list) => list.map((p) => (p.id === id ? { ...p, ...patch } : p)));
+
+  const addPayment = () =>
+    setPayments((list) => [
+      ...list,
+      {
+        id: uid(),
+        date: todayISO(),
+        amount: Math.max(0, Math.abs(summary.balance)).toFixed(currencyDigits(currency)),
+        method: PAYMENT_METHODS[0],
+        reference: invoice.invoiceNumber || "",
+      },
+    ]);
+
+  return (
+    <ModalLight title={`Payments — ${invoice.invoiceNumber}`} onClose={onClose}>
+      <div className="space-y-3">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <div className="rounded-2xl border border-neutral-200 p-3">
+            <div className="text-xs text-neutral-600">Total</div>
+            <div className="text-lg font-semibold text-neutral-800">{money(t.gross, currency)}</div>
+          </div>
+          <div className="rounded-2xl border border-neutral-200 p-3">
+            <div className="text-xs text-neutral-600">{t.sign < 0 ? "Refunded to date" : "Paid to date"}</div>
+            <div className="text-lg font-semibold text-neutral-800">{money(summary.paid, currency)}</div>
+          </div>
+          <div className="rounded-2xl border border-neutral-200 p-3">
+            <div className="text-xs text-neutral-600">Balance due</div>
+            <div className="text-lg font-semibold text-neutral-800">{money(summary.balance, currency)}</div>
+          </div>
+        </div>
+
+        <div className="rounded-2xl border border-neutral-200">
+          <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between">
+            <div className="font-semibold text-neutral-800">Ledger</div>
+            <SmallButton tone="primary" onClick={addPayment}>
+              + Add payment
+            </SmallButton>
+          </div>
+          <div className="p-4 overflow-auto">
+            <table className="min-w-full text-sm">
+              <thead className="bg-neutral-50">
+                <tr>
+                  <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Date</th>
+                  <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Amount</th>
+                  <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Method</th>
+                  <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Reference</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {payments.length === 0 ? (
+                  <tr>
+                    <td className="px-3 py-3 text-sm text-neutral-600" colSpan={5}>
+                      No payments recorded.
+                    </td>
+                  </tr>
+                ) : (
+                  payments.map((p) => (
+                    <tr key={p.id} className="border-t border-neutral-200">
+                      <td className="px-3 py-2">
+                        <input
+                          type="date"
+                          className={inputBase}
+                          value={p.date || ""}
+                          onChange={(e) => setPayment(p.id, { date: e.target.value })}
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          type="number"
+                          className={inputBase}
+                          value={p.amount ?? 0}
+                          onChange={(e) => setPayment(p.id, { amount: e.target.value })}
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <select
+                          className={inputBase}
+                          value={p.method || PAYMENT_METHODS[0]}
+                          onChange={(e) => setPayment(p.id, { method: e.target.value })}
+                        >
+                          {PAYMENT_METHODS.map((m) => (
+                            <option key={m} value={m}>
+                              {m}
+                            </option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-3 py-2">
+                        <input
+                          className={inputBase}
+                          value={p.reference || ""}
+                          onChange={(e) => setPayment(p.id, { reference: e.target.value })}
+                          placeholder="Bank ref / receipt no."
+                        />
+                      </td>
+                      <td className="px-3 py-2">
+                        <SmallButton tone="danger" onClick={() => setPayments((list) => list.filter((x) => x.id !== p.id))}>
+                          Remove
+                        </SmallButton>
+                      </td>
+                    </tr>
+                  ))
+                )}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-end gap-2 pt-2">
+          <SmallButton onClick={onClose}>Cancel</SmallButton>
+          <SmallButton
+            tone="primary"
+            onClick={() => onSave?.(payments.map((p) => ({ ...p, amount: toNumber(p.amount) })))}
+          >
+            Save
+          </SmallButton>
+        </div>
+      </div>
+    </ModalLight>
+  );
+}
+
+function DiscountInput({ type, value, currency, onChange }) {
+  return (
+    <div className="flex items-center gap-1">
+      <input
+        type="number"
+        min="0"
+        className={`${inputBase} w-24`}
+        value={value ?? 0}
+        onChange={(e) => onChange?.({ discount: e.target.value })}
+      />
+      <select
+        className={`${inputBase} w-20`}
+        value={type || "percent"}
+        onChange={(e) => onChange?.({ discountType: e.target.value })}
+      >
+        <option value="percent">%</option>
+        <option value="amount">{currency}</option>
+      </select>
+    </div>
+  );
+}
+
 /** FIXED: Hooks always called; safe fallback when invoice is null */
-function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, onSave }) {
-  const base = useMemo(() => {
-    if (!invoice) {
+function InvoiceModal({ open, onClose, invoice, clients, baseCurrency, exchangeRates, rounding, defaultVat, onSave }) {
+  // The version the draft started from; the stored invoice moving on (another tab, undo) is a conflict, not a reset
+  const [opened, setOpened] = useState(invoice);
+  const changedElsewhere = !!invoice && !!opened && invoice !== opened;
+  const toDraft = (inv) => {
+    if (!inv) {
       return {
         id: "",
         invoiceNumber: "",
@@ -1136,27 +4471,26 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
         clientId: "",
         status: "Draft",
         vatRate: toNumber(defaultVat),
-        items: [{ id: uid(), desc: "", qty: 1, unit: "", unitPrice: 0 }],
+        items: [blankItem(defaultVat)],
+        discountType: "percent",
+        discount: 0,
         notes: "",
       };
     }
+    const vatRate = toNumber(inv.vatRate) || toNumber(defaultVat);
     return {
-      ...invoice,
-      vatRate: toNumber(invoice.vatRate) || toNumber(defaultVat),
-      items: (invoice.items || []).map((it) => ({
+      ...inv,
+      vatRate,
+      items: (inv.items || []).map((it) => ({
         ...it,
         qty: toNumber(it.qty) || 0,
         unitPrice: toNumber(it.unitPrice) || 0,
+        vatRate: itemVatRate(it, { vatRate }),
       })),
     };
-  }, [invoice, defaultVat]);
-
-  const [draft, setDraft] = useState(() => base);
+  };
 
-  useEffect(() => {
-    if (!open) return;
-    setDraft(base);
-  }, [open, base]);
+  const [draft, setDraft] = useState(() => toDraft(invoice));
 
   if (!open) return null;
 
@@ -1168,7 +4502,18 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
     );
   }
 
-  const totals = calcTotals(draft);
+  const currency = docCurrency(draft, baseCurrency);
+  const totals = calcTotals({ ...draft, currency }, rounding);
+  const locked = isLocked(invoice);
+  // an issued document keeps the base its rate was recorded in
+  const rateBase = locked ? draft.rateBase || baseCurrency : baseCurrency;
+
+  const setCurrency = (next) =>
+    setDraft((d) => ({
+      ...d,
+      currency: next,
+      exchangeRate: next === baseCurrency ? 1 : toNumber(exchangeRates?.[next]) || toNumber(d.exchangeRate) || 1,
+    }));
 
   const setItem = (id, patch) => {
     setDraft((d) => ({
@@ -1180,15 +4525,56 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
   const addItem = () =>
     setDraft((d) => ({
       ...d,
-      items: [...(d.items || []), { id: uid(), desc: "", qty: 1, unit: "", unitPrice: 0 }],
+      items: [...(d.items || []), blankItem(d.vatRate)],
     }));
 
+  /** Changing the invoice default moves the lines that were still on the old default along with it */
+  const setDefaultVat = (value) =>
+    setDraft((d) => {
+      const prev = toNumber(d.vatRate);
+      return {
+        ...d,
+        vatRate: value,
+        items: (d.items || []).map((it) => (toNumber(it.vatRate) === prev ? { ...it, vatRate: toNumber(value) } : it)),
+      };
+    });
+
   const delItem = (id) =>
     setDraft((d) => ({ ...d, items: (d.items || []).filter((it) => it.id !== id) }));
 
   return (
-    <ModalLight title={`Edit invoice — ${draft.invoiceNumber}`} onClose={onClose}>
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+    <ModalLight title={`${locked ? "View" : "Edit"} ${docLabel(draft).toLowerCase()} — ${draft.invoiceNumber}`} onClose={onClose}>
+      {changedElsewhere ? (
+        <div className="mb-3 rounded-2xl border border-red-200 bg-red-50 p-3 text-sm text-red-700 flex flex-wrap items-center justify-between gap-2">
+          <span>
+            This {docLabel(invoice).toLowerCase()} was changed somewhere else (another tab or an undo) since you opened it.
+            {locked ? "" : " Saving will overwrite those changes with yours."}
+          </span>
+          <SmallButton
+            onClick={() => {
+              setDraft(toDraft(invoice));
+              setOpened(invoice);
+            }}
+          >
+            Load latest version
+          </SmallButton>
+        </div>
+      ) : null}
+      {locked ? (
+        <div className="mb-3 rounded-2xl border border-neutral-200 bg-neutral-50 p-3 text-sm text-neutral-700">
+          <span className="font-semibold">Locked</span> — finalized {String(invoice.lockedAt).slice(0, 10)}. Items, amounts,
+          dates, client and number can no longer change. Update the status or payments from the list, or use Correct / Create
+          credit note.
+        </div>
+      ) : null}
+      <fieldset disabled={locked} className="grid grid-cols-1 md:grid-cols-2 gap-3 min-w-0">
+        {draft.docType === "credit" ? (
+          <div className="md:col-span-2 rounded-2xl border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+            Credit note for <span className="font-semibold">{draft.refInvoiceNumber || "—"}</span>. Enter amounts as on the
+            original invoice; they are credited (negative) on the document. Remove lines or lower quantities for a partial
+            credit.
+          </div>
+        ) : null}
         <label className="block">
           <div className="text-xs font-medium text-neutral-700">Issue date</div>
           <input
@@ -1199,15 +4585,27 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
           />
         </label>
 
-        <label className="block">
-          <div className="text-xs font-medium text-neutral-700">Due date</div>
-          <input
-            type="date"
-            className={`mt-1 ${inputBase}`}
-            value={draft.dueDate || ""}
-            onChange={(e) => setDraft((d) => ({ ...d, dueDate: e.target.value }))}
-          />
-        </label>
+        {draft.docType === "quote" ? (
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">Valid until</div>
+            <input
+              type="date"
+              className={`mt-1 ${inputBase}`}
+              value={draft.validUntil || ""}
+              onChange={(e) => setDraft((d) => ({ ...d, validUntil: e.target.value }))}
+            />
+          </label>
+        ) : (
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">Due date</div>
+            <input
+              type="date"
+              className={`mt-1 ${inputBase}`}
+              value={draft.dueDate || ""}
+              onChange={(e) => setDraft((d) => ({ ...d, dueDate: e.target.value }))}
+            />
+          </label>
+        )}
 
         <label className="block md:col-span-2">
           <div className="text-xs font-medium text-neutral-700">Client</div>
@@ -1228,6 +4626,29 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
           </select>
         </label>
 
+        <label className="block">
+          <div className="text-xs font-medium text-neutral-700">Currency</div>
+          <CurrencySelect className={`mt-1 ${inputBase}`} value={currency} onChange={setCurrency} />
+        </label>
+
+        {currency !== rateBase ? (
+          <label className="block">
+            <div className="text-xs font-medium text-neutral-700">
+              Exchange rate at issue date (1 {currency} = … {rateBase})
+            </div>
+            <input
+              type="number"
+              step="any"
+              min="0"
+              className={`mt-1 ${inputBase}`}
+              value={draft.exchangeRate ?? 1}
+              onChange={(e) => setDraft((d) => ({ ...d, exchangeRate: e.target.value }))}
+            />
+          </label>
+        ) : (
+          <div className="hidden md:block" />
+        )}
+
         <label className="block">
           <div className="text-xs font-medium text-neutral-700">Status</div>
           <select
@@ -1235,7 +4656,7 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
             value={draft.status || "Draft"}
             onChange={(e) => setDraft((d) => ({ ...d, status: e.target.value }))}
           >
-            {STATUS.map((s) => (
+            {statusesFor(draft).map((s) => (
               <option key={s} value={s}>
                 {s}
               </option>
@@ -1244,15 +4665,27 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
         </label>
 
         <label className="block">
-          <div className="text-xs font-medium text-neutral-700">VAT rate (%)</div>
+          <div className="text-xs font-medium text-neutral-700">Default VAT rate (%)</div>
           <input
             type="number"
             className={`mt-1 ${inputBase}`}
             value={draft.vatRate}
-            onChange={(e) => setDraft((d) => ({ ...d, vatRate: e.target.value }))}
+            onChange={(e) => setDefaultVat(e.target.value)}
           />
         </label>
 
+        {draft.docType === "quote" ? null : (
+          <label className="block md:col-span-2">
+            <div className="text-xs font-medium text-neutral-700">Buyer reference (Leitweg-ID)</div>
+            <input
+              className={`mt-1 ${inputBase}`}
+              value={draft.buyerReference || ""}
+              onChange={(e) => setDraft((d) => ({ ...d, buyerReference: e.target.value }))}
+              placeholder="e.g. 991-12345-67 or the client's order reference"
+            />
+          </label>
+        )}
+
         <div className="md:col-span-2 rounded-2xl border border-neutral-200">
           <div className="px-4 py-3 border-b border-neutral-100 flex items-center justify-between">
             <div className="font-semibold text-neutral-800">Line items</div>
@@ -1269,6 +4702,8 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
                   <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Qty</th>
                   <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Unit</th>
                   <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Unit price</th>
+                  <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Discount</th>
+                  <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">VAT %</th>
                   <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Total</th>
                   <th className="px-3 py-2" />
                 </tr>
@@ -1276,13 +4711,13 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
               <tbody>
                 {(draft.items || []).length === 0 ? (
                   <tr>
-                    <td className="px-3 py-3 text-sm text-neutral-600" colSpan={6}>
+                    <td className="px-3 py-3 text-sm text-neutral-600" colSpan={8}>
                       No items.
                     </td>
                   </tr>
                 ) : (
-                  (draft.items || []).map((it) => {
-                    const line = toNumber(it.qty) * toNumber(it.unitPrice);
+                  (draft.items || []).map((it, idx) => {
+                    const line = totals.lines[idx];
                     return (
                       <tr key={it.id} className="border-t border-neutral-200">
                         <td className="px-3 py-2">
@@ -1317,7 +4752,28 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
                             onChange={(e) => setItem(it.id, { unitPrice: e.target.value })}
                           />
                         </td>
-                        <td className="px-3 py-2 font-semibold text-neutral-800">{money(line, currency)}</td>
+                        <td className="px-3 py-2">
+                          <DiscountInput
+                            type={it.discountType}
+                            value={it.discount}
+                            currency={currency}
+                            onChange={(patch) => setItem(it.id, patch)}
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <input
+                            type="number"
+                            className={`${inputBase} w-20`}
+                            value={it.vatRate ?? 0}
+                            onChange={(e) => setItem(it.id, { vatRate: e.target.value })}
+                          />
+                        </td>
+                        <td className="px-3 py-2">
+                          <div className="font-semibold text-neutral-800">{money(line.net, currency)}</div>
+                          {line.discount ? (
+                            <div className="text-xs text-neutral-500 line-through">{money(line.base, currency)}</div>
+                          ) : null}
+                        </td>
                         <td className="px-3 py-2">
                           <SmallButton tone="danger" onClick={() => delItem(it.id)}>
                             Remove
@@ -1349,182 +4805,425 @@ function InvoiceModal({ open, onClose, invoice, clients, currency, defaultVat, o
             <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">Totals</div>
             <div className="p-4 space-y-2">
               <div className="flex items-center justify-between">
-                <div className="text-sm text-neutral-600">Net</div>
-                <div className="font-semibold text-neutral-800">{money(totals.net, currency)}</div>
+                <div className="text-sm text-neutral-600">Subtotal</div>
+                <div className="font-semibold text-neutral-800">{money(totals.subtotal, currency)}</div>
+              </div>
+              <div>
+                <div className="text-xs font-medium text-neutral-700">Invoice discount</div>
+                <div className="mt-1">
+                  <DiscountInput
+                    type={draft.discountType}
+                    value={draft.discount}
+                    currency={currency}
+                    onChange={(patch) => setDraft((d) => ({ ...d, ...patch }))}
+                  />
+                </div>
               </div>
+              {totals.invoiceDiscount ? (
+                <div className="flex items-center justify-between">
+                  <div className="text-sm text-neutral-600">Discount</div>
+                  <div className="font-semibold text-neutral-800">{money(-totals.invoiceDiscount, currency)}</div>
+                </div>
+              ) : null}
               <div className="flex items-center justify-between">
-                <div className="text-sm text-neutral-600">VAT ({totals.vatRate}%)</div>
-                <div className="font-semibold text-neutral-800">{money(totals.vat, currency)}</div>
+                <div className="text-sm text-neutral-600">Net</div>
+                <div className="font-semibold text-neutral-800">{money(totals.net, currency)}</div>
               </div>
+              {totals.vatBreakdown.map((b) => (
+                <div key={b.rate} className="flex items-center justify-between">
+                  <div className="text-sm text-neutral-600">
+                    VAT {b.rate}% <span className="text-xs">on {money(b.net, currency)}</span>
+                  </div>
+                  <div className="font-semibold text-neutral-800">{money(b.vat, currency)}</div>
+                </div>
+              ))}
               <div className="pt-2 mt-2 border-t border-neutral-200 flex items-center justify-between">
                 <div className="font-semibold text-neutral-800">Total</div>
                 <div className="text-lg font-semibold text-neutral-800">{money(totals.gross, currency)}</div>
               </div>
+              {currency !== baseCurrency ? (
+                <div className="text-xs text-neutral-600 text-right">
+                  ≈ {money(toBase(totals.gross, { ...draft, currency, rateBase }, baseCurrency, rounding?.method, exchangeRates), baseCurrency)}
+                </div>
+              ) : null}
             </div>
           </div>
         </div>
+      </fieldset>
 
-        <div className="md:col-span-2 flex items-center justify-end gap-2 pt-2">
-          <SmallButton onClick={onClose}>Cancel</SmallButton>
+      <div className="flex items-center justify-end gap-2 pt-5">
+        <SmallButton onClick={onClose}>{locked ? "Close" : "Cancel"}</SmallButton>
+        {locked ? null : (
           <SmallButton
             tone="primary"
             onClick={() => {
               onSave?.({
                 ...draft,
+                currency,
+                exchangeRate: currency === baseCurrency ? 1 : toNumber(draft.exchangeRate) || 1,
+                rateBase: baseCurrency,
                 vatRate: toNumber(draft.vatRate),
+                discount: Math.max(0, toNumber(draft.discount)),
                 items: (draft.items || []).map((it) => ({
                   ...it,
                   qty: toNumber(it.qty),
                   unitPrice: toNumber(it.unitPrice),
+                  vatRate: toNumber(it.vatRate),
+                  discount: Math.max(0, toNumber(it.discount)),
                 })),
               });
             }}
           >
             Save
           </SmallButton>
-        </div>
+        )}
       </div>
     </ModalLight>
   );
 }
 
-function InvoiceSheet({ profile, invoice, client, currency }) {
-  const t = calcTotals(invoice);
-  const now = new Date().toLocaleString();
+/** QR code as crisp SVG modules with the standard 4-module quiet zone */
+function QrCode({ text, size = 112, title }) {
+  const path = useMemo(() => {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: "M" });
+    let d = "";
+    for (let r = 0; r < modules.size; r++) {
+      for (let c = 0; c < modules.size; c++) if (modules.get(r, c)) d += `M${c + 4} ${r + 4}h1v1h-1z`;
+    }
+    return { d, size: modules.size + 8 };
+  }, [text]);
 
   return (
-    <div className="mx-auto max-w-3xl">
-      <div className="flex items-start justify-between gap-4">
-        <div>
-          <div className="text-2xl font-bold tracking-tight text-neutral-800">Invoice</div>
-          <div className="text-sm text-neutral-700">Generated: {now}</div>
-          <div className="mt-3 h-[2px] w-64 rounded-full bg-gradient-to-r from-lime-400/0 via-lime-400 to-emerald-400/0" />
-        </div>
-        <div className="rounded-2xl border border-neutral-200 p-4 text-sm">
-          <div className="flex items-center justify-between gap-6">
-            <span className="text-neutral-600">Invoice #</span>
-            <span className="font-semibold text-neutral-800">{invoice.invoiceNumber}</span>
-          </div>
-          <div className="flex items-center justify-between gap-6 mt-1">
-            <span className="text-neutral-600">Issue</span>
-            <span className="font-semibold text-neutral-800">{invoice.issueDate}</span>
-          </div>
-          <div className="flex items-center justify-between gap-6 mt-1">
-            <span className="text-neutral-600">Due</span>
-            <span className="font-semibold text-neutral-800">{invoice.dueDate}</span>
-          </div>
-          <div className="flex items-center justify-between gap-6 mt-1">
-            <span className="text-neutral-600">Status</span>
-            <span className="font-semibold text-neutral-800">{invoice.status}</span>
-          </div>
-        </div>
-      </div>
+    <svg viewBox={`0 0 ${path.size} ${path.size}`} width={size} height={size} shapeRendering="crispEdges" role="img" aria-label={title}>
+      <rect width={path.size} height={path.size} fill="#fff" />
+      <path d={path.d} fill="#000" />
+    </svg>
+  );
+}
 
-      <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
-        <div className="rounded-2xl border border-neutral-200">
-          <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">From</div>
-          <div className="p-4 text-sm text-neutral-700">
+function InvoiceSheet({ profile: liveProfile, invoice, client: liveClient, currency, rounding, paymentQr, layout = DEFAULT_LAYOUT, language = DEFAULT_DOC_LANGUAGE }) {
+  // issued documents print the parties as they were at issue time
+  const profile = invoice.profileSnapshot || liveProfile;
+  const client = invoice.clientSnapshot || liveClient;
+  // the logo is branding rather than issue-time data, so it always comes from the live profile
+  const logo = liveProfile?.logo || null;
+  const t = calcTotals(invoice, rounding);
+  const p = paymentSummary(invoice, t);
+  const hasLineDiscounts = t.lineDiscount !== 0;
+  const qr = paymentQr ? epcPayment({ profile, invoice, currency, amount: p.balance }) : { payload: "" };
+  const lang = docStrings(language);
+  const tr = lang.t;
+  const now = lang.now();
+
+  const { template, accent, show } = layout;
+  const din = template === "din5008";
+  const boxed = template === "classic";
+  const box = boxed ? "rounded-2xl border border-neutral-200" : "";
+  const boxHead = boxed
+    ? "px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800"
+    : "pb-1 mb-1 border-b text-xs font-semibold uppercase tracking-wide";
+  const boxHeadStyle = boxed ? undefined : { color: accent, borderColor: accent };
+  const boxPad = boxed ? "p-4" : "py-1";
+
+  const meta = [
+    [tr(`${DOC_LABELS[invoice.docType] ? invoice.docType : "invoice"}.no`), invoice.invoiceNumber],
+    invoice.docType === "credit" && invoice.refInvoiceNumber ? [tr("originalInvoice"), invoice.refInvoiceNumber] : null,
+    [tr("issue"), lang.date(invoice.issueDate)],
+    invoice.docType === "quote" ? [tr("validUntil"), lang.date(invoice.validUntil)] : [tr("due"), lang.date(invoice.dueDate)],
+    invoice.buyerReference && invoice.docType !== "quote" ? [tr("buyerReference"), invoice.buyerReference] : null,
+    din && client?.vatId ? [tr("yourVatId"), client.vatId] : null,
+    show.status ? [tr("status"), lang.status(effectiveStatus(invoice))] : null,
+    din && show.generated ? [tr("generated"), now] : null,
+  ].filter(Boolean);
+
+  const metaRows = meta.map(([label, value], i) => (
+    <div key={label} className={`flex items-center justify-between gap-6 ${i ? "mt-1" : ""}`}>
+      <span className="text-neutral-600">{label}</span>
+      <span className="font-semibold text-neutral-800">{value}</span>
+    </div>
+  ));
+
+  const logoImg = (style) => (logo ? <img src={logo.src} alt="" className="object-contain" style={style} /> : null);
+
+  const creditFor =
+    invoice.docType === "credit" && invoice.refInvoiceNumber ? (
+      <div className="text-sm font-semibold text-neutral-800">{tr("creditFor", { ref: invoice.refInvoiceNumber })}</div>
+    ) : null;
+
+  const blocks = {
+    // in the letter layout the buyer sits in the address window and the seller in the letterhead and footer
+    parties: din ? null : (
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className={box}>
+          <div className={boxHead} style={boxHeadStyle}>
+            {tr("from")}
+          </div>
+          <div className={`${boxPad} text-sm text-neutral-700`}>
             <div className="font-semibold text-neutral-800">{profile.businessName || "Your Business"}</div>
             <div className="whitespace-pre-line">{profile.address || ""}</div>
             {profile.email ? <div>{profile.email}</div> : null}
             {profile.phone ? <div>{profile.phone}</div> : null}
             {profile.taxId ? (
               <div className="mt-2">
-                <span className="font-semibold">Tax ID:</span> {profile.taxId}
+                <span className="font-semibold">{tr("taxId")}:</span> {profile.taxId}
               </div>
             ) : null}
             {profile.vatId ? (
               <div>
-                <span className="font-semibold">VAT ID:</span> {profile.vatId}
+                <span className="font-semibold">{tr("vatId")}:</span> {profile.vatId}
               </div>
             ) : null}
           </div>
         </div>
 
-        <div className="rounded-2xl border border-neutral-200">
-          <div className="px-4 py-3 border-b border-neutral-100 font-semibold text-neutral-800">Bill To</div>
-          <div className="p-4 text-sm text-neutral-700">
+        <div className={box}>
+          <div className={boxHead} style={boxHeadStyle}>
+            {tr("billTo")}
+          </div>
+          <div className={`${boxPad} text-sm text-neutral-700`}>
             <div className="font-semibold text-neutral-800">{client?.name || "—"}</div>
             <div className="whitespace-pre-line">{client?.address || ""}</div>
             {client?.email ? <div>{client.email}</div> : null}
             {client?.phone ? <div>{client.phone}</div> : null}
+            {client?.vatId ? (
+              <div className="mt-2">
+                <span className="font-semibold">{tr("vatId")}:</span> {client.vatId}
+              </div>
+            ) : null}
           </div>
         </div>
       </div>
+    ),
 
-      <div className="mt-6 overflow-hidden rounded-2xl border border-neutral-200">
+    items: (
+      <div className={boxed ? "overflow-hidden rounded-2xl border border-neutral-200" : ""}>
         <table className="min-w-full text-sm">
-          <thead className="bg-neutral-50">
+          <thead className={boxed ? "bg-neutral-50" : "border-b-2"} style={boxed ? undefined : { borderColor: accent }}>
             <tr>
-              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Description</th>
-              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Qty</th>
-              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Unit</th>
-              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Unit price</th>
-              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">Total</th>
+              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">{tr("description")}</th>
+              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">{tr("qty")}</th>
+              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">{tr("unit")}</th>
+              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">{tr("unitPrice")}</th>
+              {hasLineDiscounts ? (
+                <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">{tr("discount")}</th>
+              ) : null}
+              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">{tr("vat")}</th>
+              <th className="px-3 py-2 text-left text-xs font-semibold text-neutral-600">{tr("lineTotal")}</th>
             </tr>
           </thead>
           <tbody>
-            {(invoice.items || []).map((it) => {
-              const line = toNumber(it.qty) * toNumber(it.unitPrice);
+            {(invoice.items || []).map((it, idx) => {
+              const line = t.lines[idx];
               return (
                 <tr key={it.id} className="border-t border-neutral-200">
                   <td className="px-3 py-2">{it.desc || "—"}</td>
-                  <td className="px-3 py-2">{toNumber(it.qty)}</td>
+                  <td className="px-3 py-2">{lang.number(it.qty)}</td>
                   <td className="px-3 py-2">{it.unit || ""}</td>
-                  <td className="px-3 py-2">{money(toNumber(it.unitPrice), currency)}</td>
-                  <td className="px-3 py-2 font-semibold text-neutral-800">{money(line, currency)}</td>
+                  <td className="px-3 py-2">{lang.money(toNumber(it.unitPrice) * t.sign, currency)}</td>
+                  {hasLineDiscounts ? (
+                    <td className="px-3 py-2">
+                      {line.discount ? (
+                        <>
+                          <div>−{lang.discount(it.discountType, it.discount, currency)}</div>
+                          <div className="text-xs text-neutral-500 line-through">{lang.money(line.base, currency)}</div>
+                        </>
+                      ) : (
+                        ""
+                      )}
+                    </td>
+                  ) : null}
+                  <td className="px-3 py-2">{lang.percent(itemVatRate(it, invoice))}</td>
+                  <td className="px-3 py-2 font-semibold text-neutral-800">{lang.money(line.net, currency)}</td>
                 </tr>
               );
             })}
           </tbody>
         </table>
       </div>
+    ),
 
-      <div className="mt-6 grid grid-cols-1 md:grid-cols-2 gap-4">
-        <div className="rounded-2xl border border-neutral-200 p-4 text-sm text-neutral-700 whitespace-pre-line">
+    totals: (
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className={`${box} ${boxed ? "p-4" : ""} text-sm text-neutral-700 whitespace-pre-line`}>
           {invoice.notes || ""}
           {invoice.notes && profile.footerNotes ? "\n\n" : ""}
           {profile.footerNotes || ""}
         </div>
 
-        <div className="rounded-2xl border border-neutral-200 p-4 text-sm">
-          <div className="flex items-center justify-between">
-            <span className="text-neutral-600">Net</span>
-            <span className="font-semibold text-neutral-800">{money(t.net, currency)}</span>
+        <div className={`${box} ${boxed ? "p-4" : ""} text-sm`}>
+          {t.lineDiscount || t.invoiceDiscount ? (
+            <>
+              <div className="flex items-center justify-between">
+                <span className="text-neutral-600">{tr("subtotalBeforeDiscounts")}</span>
+                <span className="font-semibold text-neutral-800">{lang.money(t.beforeDiscounts, currency)}</span>
+              </div>
+              {t.lineDiscount ? (
+                <div className="flex items-center justify-between mt-1">
+                  <span className="text-neutral-600">{tr("lineDiscounts")}</span>
+                  <span className="font-semibold text-neutral-800">{lang.money(-t.lineDiscount, currency)}</span>
+                </div>
+              ) : null}
+              {t.invoiceDiscount ? (
+                <div className="flex items-center justify-between mt-1">
+                  <span className="text-neutral-600">
+                    {tr("discount")}
+                    {invoice.discountType === "percent" ? ` (${lang.percent(invoice.discount)})` : ""}
+                  </span>
+                  <span className="font-semibold text-neutral-800">{lang.money(-t.invoiceDiscount, currency)}</span>
+                </div>
+              ) : null}
+            </>
+          ) : null}
+          <div className={`flex items-center justify-between ${t.lineDiscount || t.invoiceDiscount ? "mt-1" : ""}`}>
+            <span className="text-neutral-600">{tr("net")}</span>
+            <span className="font-semibold text-neutral-800">{lang.money(t.net, currency)}</span>
           </div>
-          <div className="flex items-center justify-between mt-1">
-            <span className="text-neutral-600">VAT ({t.vatRate}%)</span>
-            <span className="font-semibold text-neutral-800">{money(t.vat, currency)}</span>
+          {t.vatBreakdown.map((b) => (
+            <div key={b.rate} className="flex items-center justify-between mt-1">
+              <span className="text-neutral-600">
+                {tr("vatOn", { rate: lang.percent(b.rate), net: lang.money(b.net, currency) })}
+              </span>
+              <span className="font-semibold text-neutral-800">{lang.money(b.vat, currency)}</span>
+            </div>
+          ))}
+          <div className="pt-3 mt-3 border-t flex items-center justify-between" style={{ borderColor: boxed ? undefined : accent }}>
+            <span className="font-semibold text-neutral-800">{tr("total")}</span>
+            <span className="text-lg font-semibold text-neutral-800">{lang.money(t.gross, currency)}</span>
           </div>
-          <div className="pt-3 mt-3 border-t border-neutral-200 flex items-center justify-between">
-            <span className="font-semibold text-neutral-800">Total</span>
-            <span className="text-lg font-semibold text-neutral-800">{money(t.gross, currency)}</span>
+          {p.paid ? (
+            <>
+              <div className="flex items-center justify-between mt-1">
+                <span className="text-neutral-600">{tr(t.sign < 0 ? "refundedToDate" : "paidToDate")}</span>
+                <span className="font-semibold text-neutral-800">{lang.money(p.paid, currency)}</span>
+              </div>
+              <div className="flex items-center justify-between mt-1">
+                <span className="font-semibold text-neutral-800">{tr("balanceDue")}</span>
+                <span className="font-semibold text-neutral-800">{lang.money(p.balance, currency)}</span>
+              </div>
+            </>
+          ) : null}
+        </div>
+      </div>
+    ),
+
+    payment:
+      show.payment && invoice.docType !== "quote" && (profile.bank || profile.iban || profile.bic) ? (
+        <div className={`${box} ${boxed ? "p-4" : ""} flex items-start justify-between gap-4 text-sm text-neutral-700`}>
+          <div>
+            <div className="text-xs font-semibold uppercase tracking-wide text-neutral-500" style={boxed ? undefined : { color: accent }}>
+              {tr("payment")}
+            </div>
+            {profile.bank ? (
+              <div>
+                <span className="font-semibold">{tr("bank")}:</span> {profile.bank}
+              </div>
+            ) : null}
+            {profile.iban ? (
+              <div>
+                <span className="font-semibold">IBAN:</span> {profile.iban}
+              </div>
+            ) : null}
+            {profile.bic ? (
+              <div>
+                <span className="font-semibold">BIC:</span> {profile.bic}
+              </div>
+            ) : null}
           </div>
+          {qr.payload ? (
+            <div className="text-center">
+              <QrCode text={qr.payload} title={tr("scanToPay")} />
+              <div className="text-[10px] text-neutral-500">{tr("scanToPay")}</div>
+            </div>
+          ) : null}
+        </div>
+      ) : null,
+  };
 
-          {profile.bank || profile.iban || profile.bic ? (
-            <div className="mt-4 text-neutral-700">
-              <div className="text-xs font-semibold uppercase tracking-wide text-neutral-500">Payment</div>
-              {profile.bank ? (
-                <div>
-                  <span className="font-semibold">Bank:</span> {profile.bank}
-                </div>
-              ) : null}
-              {profile.iban ? (
+  const body = layout.order
+    .map((key) => (blocks[key] ? <div key={key} className="mt-6">{blocks[key]}</div> : null))
+    .filter(Boolean);
+
+  const footerText = layout.footerText ? <div className="mt-6 text-xs text-neutral-600 whitespace-pre-line">{layout.footerText}</div> : null;
+
+  if (din) {
+    const sender = [profile.businessName, ...String(profile.address || "").split("\n")].map((s) => String(s || "").trim()).filter(Boolean);
+    return (
+      <div className="relative mx-auto bg-white text-neutral-800" style={{ width: "210mm", minHeight: "297mm", fontFamily: SHEET_FONTS[layout.font].css }}>
+        {/* fold marks (DIN 5008 form B) and the punch mark */}
+        {[105, 148.5, 210].map((mm) => (
+          <div key={mm} className="absolute left-0 border-t border-neutral-400" style={{ top: `${mm}mm`, width: mm === 148.5 ? "7mm" : "5mm" }} />
+        ))}
+        <div className="absolute text-right" style={{ right: "20mm", top: "12mm", width: "90mm" }}>
+          {logoImg({ maxHeight: "22mm", maxWidth: "70mm", marginLeft: "auto" })}
+          {!logo ? <div className="text-lg font-semibold">{profile.businessName || "Your Business"}</div> : null}
+        </div>
+        <div className="absolute" style={{ left: "20mm", top: "45mm", width: "85mm", height: "45mm", paddingLeft: "5mm" }}>
+          <div className="text-[7pt] underline text-neutral-600 truncate">{sender.join(" · ")}</div>
+          <div className="mt-2 text-[10pt] leading-snug">
+            <div>{client?.name || "—"}</div>
+            <div className="whitespace-pre-line">{client?.address || ""}</div>
+          </div>
+        </div>
+        <div className="absolute text-[9pt]" style={{ left: "125mm", top: "50mm", width: "65mm" }}>
+          {metaRows}
+        </div>
+        <div style={{ padding: "98.5mm 20mm 20mm 25mm" }}>
+          <div className="text-xl font-bold" style={{ color: accent }}>
+            {lang.docLabel(invoice)} {invoice.invoiceNumber}
+          </div>
+          {creditFor}
+          {body}
+          <div className="mt-10 pt-2 border-t grid grid-cols-3 gap-4 text-[8pt] text-neutral-600" style={{ borderColor: accent }}>
+            <div className="whitespace-pre-line">
+              <div className="font-semibold">{profile.businessName}</div>
+              {profile.address}
+            </div>
+            <div>
+              {profile.email ? <div>{profile.email}</div> : null}
+              {profile.phone ? <div>{profile.phone}</div> : null}
+              {profile.taxId ? (
                 <div>
-                  <span className="font-semibold">IBAN:</span> {profile.iban}
+                  {tr("taxId")}: {profile.taxId}
                 </div>
               ) : null}
-              {profile.bic ? (
+              {profile.vatId ? (
                 <div>
-                  <span className="font-semibold">BIC:</span> {profile.bic}
+                  {tr("vatId")}: {profile.vatId}
                 </div>
               ) : null}
             </div>
+            <div>
+              {profile.bank ? <div>{profile.bank}</div> : null}
+              {profile.iban ? <div>IBAN: {profile.iban}</div> : null}
+              {profile.bic ? <div>BIC: {profile.bic}</div> : null}
+            </div>
+          </div>
+          {footerText}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mx-auto max-w-3xl" style={{ fontFamily: SHEET_FONTS[layout.font].css }}>
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          {logoImg({ maxHeight: "64px", maxWidth: "220px", marginBottom: "12px" })}
+          <div className="text-2xl font-bold tracking-tight text-neutral-800" style={boxed ? undefined : { color: accent }}>
+            {lang.docLabel(invoice)}
+          </div>
+          {creditFor}
+          {show.generated ? <div className="text-sm text-neutral-700">{tr("generated")}: {now}</div> : null}
+          {boxed ? (
+            <div className="mt-3 h-[2px] w-64 rounded-full" style={{ background: `linear-gradient(to right, transparent, ${accent}, transparent)` }} />
           ) : null}
         </div>
+        <div className={`${box} ${boxed ? "p-4" : ""} text-sm`}>{metaRows}</div>
       </div>
 
-      <div className="mt-4 text-xs text-neutral-600">ToolStack • Invoice-It</div>
+      {body}
+
+      {footerText}
     </div>
   );
 }
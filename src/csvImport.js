@@ -0,0 +1,269 @@
+/** CSV import: parsing spreadsheet text, mapping its columns and turning the rows into clients and invoices */
+
+import { EDITABLE_STATUS } from "./documents.js";
+import { CURRENCIES } from "./money.js";
+import { templateSeq } from "./numbering.js";
+import { addDaysISO, isISODate, todayISO, toNumber, uid } from "./util.js";
+
+/** Date formats for CSV import/export */
+export const DATE_FORMATS = {
+  iso: { label: "YYYY-MM-DD", re: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: "ymd" },
+  de: { label: "DD.MM.YYYY", re: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: "dmy" },
+  eu: { label: "DD/MM/YYYY", re: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: "dmy" },
+  us: { label: "MM/DD/YYYY", re: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: "mdy" },
+};
+
+/** "31.12.2025" as "de" -> "2025-12-31"; "" when the text is not a valid date in that format */
+export function parseDateAs(text, format) {
+  const f = DATE_FORMATS[format] || DATE_FORMATS.iso;
+  const m = String(text || "").trim().match(f.re);
+  if (!m) return "";
+  const parts = Object.fromEntries([...f.order].map((k, i) => [k, m[i + 1]]));
+  const iso = `${parts.y}-${parts.m.padStart(2, "0")}-${parts.d.padStart(2, "0")}`;
+  return isISODate(iso) ? iso : "";
+}
+
+/**
+ * Spreadsheet numbers: "1.234,56", "1,234.56", "12,5", "€ 10" -> number, NaN when there is none.
+ * With both "." and "," present the last one is the decimal mark; a single "," is one too, like toNumber.
+ */
+export function parseAmount(v) {
+  let t = String(v ?? "").replace(/[^\d.,-]/g, "");
+  if (!/\d/.test(t)) return NaN;
+  const dot = t.lastIndexOf(".");
+  const comma = t.lastIndexOf(",");
+  if (dot >= 0 && comma >= 0) {
+    const [dec, thousands] = dot > comma ? [".", ","] : [",", "."];
+    t = t.split(thousands).join("").replace(dec, ".");
+  } else if (comma >= 0) {
+    t = t.split(",").length > 2 ? t.split(",").join("") : t.replace(",", ".");
+  } else if (t.split(".").length > 2) {
+    t = t.split(".").join("");
+  }
+  const n = Number(t);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/** RFC 4180 CSV (quoted fields, doubled quotes, CRLF) -> rows of cells; blank lines are dropped */
+export function parseCSV(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch !== '"') field += ch;
+      else if (src[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else quoted = false;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+export const CSV_DELIMITERS = { ",": "Comma", ";": "Semicolon", "\t": "Tab" };
+
+export const detectDelimiter = (text) => {
+  const header = String(text || "").split(/\r?\n/, 1)[0];
+  return Object.keys(CSV_DELIMITERS).reduce((best, d) => (header.split(d).length > header.split(best).length ? d : best), ",");
+};
+
+/** Import targets per kind; `guess` lists header spellings (lowercase, letters/digits only) mapped automatically */
+export const CSV_IMPORT_FIELDS = {
+  clients: [
+    { key: "name", label: "Name", required: true, guess: ["name", "client", "clientname", "company", "customer", "kunde", "firma"] },
+    { key: "email", label: "Email", guess: ["email", "mail", "emailaddress"] },
+    { key: "address", label: "Address", guess: ["address", "adresse", "anschrift"] },
+    { key: "phone", label: "Phone", guess: ["phone", "telephone", "tel", "telefon"] },
+    { key: "contact", label: "Contact person", guess: ["contact", "contactperson", "ansprechpartner"] },
+    { key: "vatId", label: "VAT ID", guess: ["vatid", "vat", "vatnumber", "ustid", "ustidnr"] },
+    { key: "code", label: "Client code", guess: ["code", "clientcode", "customerno", "customernumber", "kundennr"] },
+    { key: "notes", label: "Notes", guess: ["notes", "note", "notiz", "bemerkung"] },
+  ],
+  invoices: [
+    { key: "invoiceNumber", label: "Invoice number", required: true, guess: ["invoicenumber", "invoiceno", "number", "invoice", "rechnungsnummer", "rechnungsnr"] },
+    { key: "issueDate", label: "Issue date", guess: ["issuedate", "date", "invoicedate", "datum", "rechnungsdatum"] },
+    { key: "dueDate", label: "Due date", guess: ["duedate", "due", "faellig", "faelligkeit"] },
+    { key: "status", label: "Status", guess: ["status"] },
+    { key: "clientName", label: "Client name", guess: ["clientname", "client", "customer", "company", "kunde", "name"] },
+    { key: "clientEmail", label: "Client email", guess: ["clientemail", "email", "mail"] },
+    { key: "clientAddress", label: "Client address", guess: ["clientaddress", "address", "adresse"] },
+    { key: "currency", label: "Currency", guess: ["currency", "waehrung", "curr"] },
+    { key: "notes", label: "Notes", guess: ["notes", "note", "bemerkung"] },
+    { key: "desc", label: "Item description", required: true, guess: ["description", "desc", "item", "itemdescription", "beschreibung", "leistung", "position"] },
+    { key: "qty", label: "Quantity", guess: ["qty", "quantity", "menge", "anzahl"] },
+    { key: "unit", label: "Unit", guess: ["unit", "einheit"] },
+    { key: "unitPrice", label: "Unit price", guess: ["unitprice", "price", "rate", "preis", "einzelpreis"] },
+    { key: "vatRate", label: "VAT %", guess: ["vatrate", "vat", "tax", "taxrate", "mwst", "ust"] },
+    { key: "discount", label: "Line discount %", guess: ["discount", "rabatt"] },
+  ],
+};
+
+/** field key -> column index ("" = not mapped) from the header row */
+export function guessMapping(kind, header) {
+  const names = header.map((h) => String(h).toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const used = new Set();
+  return Object.fromEntries(
+    CSV_IMPORT_FIELDS[kind].map((f) => {
+      const idx = f.guess.map((g) => names.findIndex((n, i) => n === g && !used.has(i))).find((i) => i >= 0);
+      if (idx === undefined) return [f.key, ""];
+      used.add(idx);
+      return [f.key, idx];
+    })
+  );
+}
+
+/** Finds a client by email (case-insensitive), else by name */
+const clientMatcher = (clients) => (name, email) => {
+  const e = String(email || "").trim().toLowerCase();
+  const n = String(name || "").trim().toLowerCase();
+  return (e && clients.find((c) => (c.email || "").trim().toLowerCase() === e)) || (n && clients.find((c) => (c.name || "").trim().toLowerCase() === n)) || null;
+};
+
+/**
+ * Turns mapped CSV rows into new records -> { clients, invoices, issues, matched }.
+ * Invoice rows are line items grouped by invoice number; a group with a bad date or number is skipped whole.
+ */
+export function buildCsvImport(kind, rows, mapping, { dateFormat }, app) {
+  const get = (row, key) => (mapping[key] === "" || mapping[key] === undefined ? "" : String(row[mapping[key]] ?? "").trim());
+  const issues = [];
+  const clients = [];
+  const invoices = [];
+  let matched = 0;
+  const findClient = clientMatcher(app.clients);
+  const findAdded = clientMatcher(clients);
+
+  if (kind === "clients") {
+    rows.forEach((row, i) => {
+      const line = i + 2;
+      const name = get(row, "name");
+      if (!name) return issues.push(`Row ${line}: no name — skipped.`);
+      const match = findClient(name, get(row, "email")) || findAdded(name, get(row, "email"));
+      if (match) {
+        matched += 1;
+        return issues.push(`Row ${line}: “${name}” matches the existing client “${match.name}” — skipped.`);
+      }
+      clients.push({
+        id: uid(),
+        ...Object.fromEntries(CSV_IMPORT_FIELDS.clients.map((f) => [f.key, get(row, f.key)])),
+      });
+    });
+    return { clients, invoices, issues, matched };
+  }
+
+  const s = app.settings;
+  const groups = new Map();
+  rows.forEach((row, i) => {
+    const number = get(row, "invoiceNumber");
+    if (!number) return issues.push(`Row ${i + 2}: no invoice number — skipped.`);
+    if (!groups.has(number)) groups.set(number, []);
+    groups.get(number).push({ row, line: i + 2 });
+  });
+
+  const existing = new Set(app.invoices.filter((inv) => inv.docType === "invoice").map((inv) => inv.invoiceNumber));
+  // overdue is derived from the due date, so it arrives as Sent
+  const statuses = new Map([...EDITABLE_STATUS.map((st) => [st.toLowerCase(), st]), ["overdue", "Sent"]]);
+  const dateLabel = DATE_FORMATS[dateFormat]?.label || DATE_FORMATS.iso.label;
+
+  groups.forEach((lines, number) => {
+    if (existing.has(number)) return issues.push(`Invoice ${number} already exists — skipped.`);
+    const first = lines[0].row;
+    const skip = (text) => issues.push(`Invoice ${number}: ${text} — invoice skipped.`);
+
+    const issueText = get(first, "issueDate");
+    const issueDate = issueText ? parseDateAs(issueText, dateFormat) : todayISO();
+    if (!issueDate) return skip(`issue date “${issueText}” is not ${dateLabel}`);
+    const dueText = get(first, "dueDate");
+    const dueDate = dueText ? parseDateAs(dueText, dateFormat) : addDaysISO(issueDate, s.defaultDueDays);
+    if (!dueDate) return skip(`due date “${dueText}” is not ${dateLabel}`);
+
+    const items = [];
+    for (const { row, line } of lines) {
+      const num = (key, fallback) => {
+        const text = get(row, key);
+        return text ? parseAmount(text) : fallback;
+      };
+      const item = {
+        id: uid(),
+        desc: get(row, "desc"),
+        qty: num("qty", 1),
+        unit: get(row, "unit"),
+        unitPrice: num("unitPrice", 0),
+        vatRate: num("vatRate", toNumber(s.defaultVatRate)),
+        discountType: "percent",
+        discount: num("discount", 0),
+      };
+      const bad = ["qty", "unitPrice", "vatRate", "discount"].find((k) => Number.isNaN(item[k]));
+      if (bad) return skip(`row ${line} has “${get(row, bad)}” where a number is expected`);
+      items.push(item);
+    }
+
+    const statusText = get(first, "status");
+    const status = statuses.get(statusText.toLowerCase()) || "Draft";
+    if (statusText && !statuses.has(statusText.toLowerCase())) issues.push(`Invoice ${number}: unknown status “${statusText}” — imported as Draft.`);
+
+    const currencyText = get(first, "currency").toUpperCase();
+    const currency = CURRENCIES.includes(currencyText) ? currencyText : s.currency;
+    if (currencyText && currency !== currencyText) issues.push(`Invoice ${number}: unsupported currency “${currencyText}” — ${s.currency} used.`);
+    const exchangeRate = currency === s.currency ? 1 : toNumber(s.exchangeRates?.[currency]) || 1;
+    if (currency !== s.currency && !toNumber(s.exchangeRates?.[currency])) {
+      issues.push(`Invoice ${number}: no exchange rate on record for ${currency} — 1 used, correct it in the editor.`);
+    }
+
+    const clientName = get(first, "clientName");
+    const clientEmail = get(first, "clientEmail");
+    let client = findClient(clientName, clientEmail) || findAdded(clientName, clientEmail);
+    if (client && app.clients.includes(client)) matched += 1;
+    if (!client && (clientName || clientEmail)) {
+      client = { id: uid(), name: clientName || clientEmail, code: "", address: get(first, "clientAddress"), email: clientEmail, phone: "", contact: "", vatId: "", notes: "" };
+      clients.push(client);
+    }
+    if (!client) issues.push(`Invoice ${number}: no client given.`);
+
+    invoices.push({
+      id: uid(),
+      docType: "invoice",
+      invoiceNumber: number,
+      numberSeq: templateSeq(number, s),
+      numberDate: issueDate,
+      issueDate,
+      dueDate,
+      clientId: client?.id || "",
+      status,
+      currency,
+      exchangeRate,
+      rateBase: s.currency,
+      vatRate: toNumber(s.defaultVatRate),
+      items,
+      discountType: "percent",
+      discount: 0,
+      payments: [],
+      notes: get(first, "notes"),
+    });
+  });
+
+  return { clients, invoices, issues, matched };
+}
+
+/** "2025-12-31" -> "31.12.2025" etc. */
+export function formatDateAs(iso, format) {
+  if (!isISODate(iso)) return iso || "";
+  const [y, m, d] = iso.split("-");
+  const order = (DATE_FORMATS[format] || DATE_FORMATS.iso).order;
+  if (order === "ymd") return iso;
+  return order === "dmy" ? `${d}${format === "de" ? "." : "/"}${m}${format === "de" ? "." : "/"}${y}` : `${m}/${d}/${y}`;
+}
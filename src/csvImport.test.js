@@ -0,0 +1,137 @@
+import { describe, expect, it } from "vitest";
+import { buildCsvImport, detectDelimiter, guessMapping, parseAmount, parseCSV, parseDateAs } from "./csvImport.js";
+
+describe("parseCSV", () => {
+  it("splits rows and cells, dropping blank lines and a byte order mark", () => {
+    expect(parseCSV("﻿a,b\r\n1,2\n\n3,\n")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+      ["3", ""],
+    ]);
+  });
+
+  it("keeps delimiters, doubled quotes and line breaks inside quoted fields", () => {
+    expect(parseCSV('"Acme, Inc.","say ""hi""","Main St 1\r\nBerlin"\nx,y,z')).toEqual([
+      ["Acme, Inc.", 'say "hi"', "Main St 1\r\nBerlin"],
+      ["x", "y", "z"],
+    ]);
+  });
+
+  it("uses the given delimiter", () => {
+    expect(parseCSV("a;b,c\t1", ";")).toEqual([["a", "b,c\t1"]]);
+    expect(parseCSV("a;b,c\t1", "\t")).toEqual([["a;b,c", "1"]]);
+  });
+
+  it("guesses the delimiter from the header line", () => {
+    expect(detectDelimiter("name;email;notes\n1,2,3,4,5")).toBe(";");
+    expect(detectDelimiter("name\temail")).toBe("\t");
+    expect(detectDelimiter("name")).toBe(",");
+  });
+});
+
+describe("parseDateAs and parseAmount", () => {
+  it("reads dates in the chosen format only", () => {
+    expect(parseDateAs("3.1.2025", "de")).toBe("2025-01-03");
+    expect(parseDateAs("01/03/2025", "us")).toBe("2025-01-03");
+    expect(parseDateAs("31/02/2025", "eu")).toBe("");
+    expect(parseDateAs("2025-01-03", "de")).toBe("");
+  });
+
+  it("reads spreadsheet numbers with either decimal mark", () => {
+    expect(parseAmount("1.234,56")).toBe(1234.56);
+    expect(parseAmount("1,234.56")).toBe(1234.56);
+    expect(parseAmount("€ 12,5")).toBe(12.5);
+    expect(parseAmount("1.000.000")).toBe(1000000);
+    expect(parseAmount("n/a")).toBeNaN();
+  });
+});
+
+const app = (extra = {}) => ({
+  clients: [{ id: "c1", name: "Acme", email: "AP@acme.test" }],
+  invoices: [{ id: "i0", docType: "invoice", invoiceNumber: "INV-2024-0001" }],
+  settings: {
+    currency: "EUR",
+    exchangeRates: { USD: 0.9 },
+    defaultDueDays: 14,
+    defaultVatRate: 19,
+    numberTemplate: "{PREFIX}-{YYYY}-{SEQ:4}",
+    invoicePrefix: "INV",
+  },
+  ...extra,
+});
+const header = ["Number", "Date", "Status", "Customer", "Email", "Currency", "Description", "Qty", "Price", "VAT"];
+const importRows = (rows, dateFormat = "de") => buildCsvImport("invoices", rows, guessMapping("invoices", header), { dateFormat }, app());
+
+describe("guessMapping", () => {
+  it("maps header spellings to fields and uses each column once", () => {
+    const mapping = guessMapping("invoices", header);
+    expect(mapping).toMatchObject({ invoiceNumber: 0, issueDate: 1, status: 2, clientName: 3, clientEmail: 4, desc: 6, qty: 7, unitPrice: 8, vatRate: 9 });
+    expect(mapping.dueDate).toBe("");
+    expect(guessMapping("clients", ["Kunde", "E-Mail"])).toMatchObject({ name: 0, email: 1, address: "" });
+  });
+});
+
+describe("buildCsvImport", () => {
+  it("groups item rows into invoices by number", () => {
+    const { invoices, clients, issues, matched } = importRows([
+      ["INV-2025-0007", "02.01.2025", "paid", "Acme", "ap@acme.test", "", "Design", "2", "100,50", ""],
+      ["INV-2025-0007", "", "", "", "", "", "Hosting", "1", "10", "7"],
+      ["INV-2025-0008", "03.01.2025", "", "Newco", "", "USD", "Support", "", "", ""],
+    ]);
+    expect(issues).toEqual([]);
+    expect(clients.map((c) => c.name)).toEqual(["Newco"]);
+    expect(matched).toBe(1);
+    const [first, second] = invoices;
+    expect(first).toMatchObject({ invoiceNumber: "INV-2025-0007", numberSeq: 7, issueDate: "2025-01-02", dueDate: "2025-01-16", status: "Paid", clientId: "c1" });
+    expect(first.items.map((it) => [it.desc, it.qty, it.unitPrice, it.vatRate])).toEqual([
+      ["Design", 2, 100.5, 19],
+      ["Hosting", 1, 10, 7],
+    ]);
+    expect(second).toMatchObject({ status: "Draft", currency: "USD", exchangeRate: 0.9, rateBase: "EUR", clientId: clients[0].id });
+    expect(second.items[0]).toMatchObject({ qty: 1, unitPrice: 0 });
+  });
+
+  it("skips a whole invoice with a bad date or number, and numbers that already exist", () => {
+    const { invoices, issues } = importRows([
+      ["INV-1", "2025-01-02", "", "Acme", "", "", "A", "1", "1", ""],
+      ["INV-2", "02.01.2025", "", "Acme", "", "", "B", "1", "1", ""],
+      ["INV-2", "", "", "", "", "", "C", "two", "1", ""],
+      ["INV-2024-0001", "02.01.2025", "", "Acme", "", "", "D", "1", "1", ""],
+      ["", "02.01.2025", "", "Acme", "", "", "E", "1", "1", ""],
+    ]);
+    expect(invoices).toEqual([]);
+    expect(issues).toEqual([
+      "Row 6: no invoice number — skipped.",
+      "Invoice INV-1: issue date “2025-01-02” is not DD.MM.YYYY — invoice skipped.",
+      "Invoice INV-2: row 4 has “two” where a number is expected — invoice skipped.",
+      "Invoice INV-2024-0001 already exists — skipped.",
+    ]);
+  });
+
+  it("imports overdue as Sent and unknown statuses as Draft", () => {
+    const { invoices, issues } = importRows([
+      ["A-1", "02.01.2025", "Overdue", "Acme", "", "", "x", "1", "1", ""],
+      ["A-2", "02.01.2025", "open", "Acme", "", "", "x", "1", "1", ""],
+    ]);
+    expect(invoices.map((inv) => inv.status)).toEqual(["Sent", "Draft"]);
+    expect(issues).toEqual(["Invoice A-2: unknown status “open” — imported as Draft."]);
+    expect(invoices[0].numberSeq).toBe(0);
+  });
+
+  it("matches clients by email before name and creates each new one once", () => {
+    const { invoices, clients } = importRows([
+      ["A-1", "02.01.2025", "", "Acme Holding", "ap@ACME.test", "", "x", "1", "1", ""],
+      ["A-2", "02.01.2025", "", "Newco", "", "", "x", "1", "1", ""],
+      ["A-3", "02.01.2025", "", "newco", "", "", "x", "1", "1", ""],
+    ]);
+    expect(clients).toHaveLength(1);
+    expect(invoices.map((inv) => inv.clientId)).toEqual(["c1", clients[0].id, clients[0].id]);
+  });
+
+  it("imports clients that are not on record yet", () => {
+    const { clients, issues, matched } = buildCsvImport("clients", [["Acme", ""], ["Beta", "b@beta.test"], ["", "x@y.test"], ["beta", ""]], { name: 0, email: 1 }, {}, app());
+    expect(clients.map((c) => [c.name, c.email])).toEqual([["Beta", "b@beta.test"]]);
+    expect(matched).toBe(2);
+    expect(issues).toHaveLength(3);
+  });
+});
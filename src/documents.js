@@ -0,0 +1,89 @@
+/** Document types and statuses, finalizing issued documents and the party snapshots they print from */
+
+import { docLanguageOf } from "./language.js";
+
+export const STATUS = ["Draft", "Sent", "Partially paid", "Paid", "Overdue"];
+
+/** "Overdue" is derived from the due date, never stored */
+export const EDITABLE_STATUS = STATUS.filter((s) => s !== "Overdue");
+export const OPEN_STATUS = ["Sent", "Partially paid"];
+
+/** Quotes have their own lifecycle; "Expired" is also derived from the validity date */
+export const QUOTE_STATUS = ["Draft", "Sent", "Accepted", "Declined", "Expired"];
+
+export const statusesFor = (inv) => (inv?.docType === "quote" ? QUOTE_STATUS : EDITABLE_STATUS);
+
+/**
+ * Document types; credit notes (Storno / partial credit) reference an invoice and carry negative totals,
+ * quotes are not receivables and stay out of the dashboard and accounting exports
+ */
+export const DOC_TYPES = ["invoice", "credit", "quote"];
+export const DOC_LABELS = { invoice: "Invoice", credit: "Credit note", quote: "Quote" };
+
+export const docLabel = (inv) => DOC_LABELS[inv?.docType] || DOC_LABELS.invoice;
+
+/**
+ * Invoices and credit notes are finalized the moment they leave Draft: from then on only the status
+ * and the payment ledger may change, corrections go through a credit note. Quotes stay editable.
+ */
+export const LOCKED_EDITABLE = ["status", "payments"];
+
+export const isLocked = (inv) => !!inv?.lockedAt;
+
+/** Bill-to and from/bank details frozen onto a document when it is issued */
+const CLIENT_SNAPSHOT_FIELDS = ["name", "code", "address", "countryCode", "email", "phone", "contact", "vatId", "language"];
+const PROFILE_SNAPSHOT_FIELDS = [
+  "businessName",
+  "address",
+  "countryCode",
+  "email",
+  "phone",
+  "taxId",
+  "vatId",
+  "bank",
+  "iban",
+  "bic",
+  "footerNotes",
+];
+
+const pickFields = (obj, fields) => Object.fromEntries(fields.map((k) => [k, obj?.[k] || ""]));
+
+/** The client's language is recorded as the one the document is issued in, so a later default does not change it */
+export function snapshotParties(inv, { clients = [], profile = {}, settings } = {}) {
+  const client = clients.find((c) => c.id === inv.clientId);
+  return {
+    clientSnapshot: client ? { id: client.id, ...pickFields(client, CLIENT_SNAPSHOT_FIELDS), language: docLanguageOf(client, settings) } : null,
+    profileSnapshot: pickFields(profile, PROFILE_SNAPSHOT_FIELDS),
+  };
+}
+
+/** Client as printed on the document: the issue-time snapshot if there is one, else the live record */
+export const billTo = (inv, clientsById) => inv.clientSnapshot || clientsById.get(inv.clientId) || null;
+
+/**
+ * Which snapshotted bill-to fields no longer match the live client record ([] when unchanged or not issued).
+ * Fields the snapshot predates are not compared; the language is compared as documents would be printed.
+ */
+export function clientChanges(inv, client, settings) {
+  const snap = inv.clientSnapshot;
+  if (!snap) return [];
+  if (!client) return ["deleted"];
+  return CLIENT_SNAPSHOT_FIELDS.filter((k) => {
+    if (!(k in snap)) return false;
+    if (k === "language") return docLanguageOf(client, settings) !== docLanguageOf(snap, settings);
+    return (client[k] || "") !== (snap[k] || "");
+  });
+}
+
+export function finalizeIfIssued(inv, parties) {
+  if (inv.lockedAt || inv.status === "Draft" || inv.docType === "quote") return inv;
+  return { ...inv, ...snapshotParties(inv, parties), lockedAt: new Date().toISOString() };
+}
+
+/** Applies an edit, keeping a finalized document's frozen fields and never returning it to Draft */
+export function applyInvoicePatch(inv, patch, parties) {
+  if (!isLocked(inv)) return finalizeIfIssued({ ...inv, ...patch }, parties);
+  const allowed = Object.fromEntries(Object.entries(patch).filter(([k]) => LOCKED_EDITABLE.includes(k)));
+  if (allowed.status === "Draft") delete allowed.status;
+  return { ...inv, ...allowed };
+}
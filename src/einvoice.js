@@ -0,0 +1,470 @@
+/** E-invoices: XRechnung (UBL) and ZUGFeRD / Factur-X (CII) export */
+
+import { billTo } from "./documents.js";
+import { calcTotals, currencyDigits, docCurrency, paymentSummary, sumMoney, toBase } from "./money.js";
+import { isISODate, toNumber } from "./util.js";
+
+/**
+ * EN 16931 e-invoices: the document is mapped once to a neutral model, which is then written out as
+ * UBL (XRechnung) or CII (ZUGFeRD / Factur-X, EN 16931 profile). Amounts are positive for credit notes too;
+ * the document type code carries the sign.
+ */
+export const EINVOICE_SYNTAXES = { xrechnung: "XRechnung 3.0 (UBL)", zugferd: "ZUGFeRD / Factur-X (CII)" };
+const XRECHNUNG_CUSTOMIZATION = "urn:cen.eu:en16931:2017#compliant#urn:xeinkauf.de:kosit:xrechnung_3.0";
+const PEPPOL_BILLING_PROFILE = "urn:fdc:peppol.eu:2017:poacc:billing:01:1.0";
+const EN16931_GUIDELINE = "urn:cen.eu:en16931:2017";
+
+/** VAT category (UNCL 5305) of 0% lines; lines with a rate are always "S" */
+export const ZERO_VAT_CATEGORIES = {
+  E: "Exempt from VAT",
+  AE: "Reverse charge",
+  K: "Intra-community supply",
+  G: "Export outside the EU",
+  Z: "Zero rated goods",
+};
+/** Categories whose 0% needs a stated reason (BR-E-10, BR-AE-10, BR-IC-10, BR-G-10) */
+export const EXEMPTION_REASON_REQUIRED = ["E", "AE", "K", "G"];
+
+/** Free-text units -> UN/ECE Rec. 20 codes; anything unknown is "one" (C62) */
+const UNIT_CODES = Object.fromEntries(
+  Object.entries({
+    HUR: ["h", "hr", "hrs", "hour", "hours", "std", "stunde", "stunden"],
+    MIN: ["min", "mins", "minute", "minutes", "minuten"],
+    DAY: ["d", "day", "days", "tag", "tage"],
+    WEE: ["wk", "week", "weeks", "woche", "wochen"],
+    MON: ["mo", "month", "months", "monat", "monate"],
+    ANN: ["yr", "year", "years", "jahr", "jahre"],
+    H87: ["pc", "pcs", "piece", "pieces", "stk", "stück"],
+    LS: ["flat", "lump sum", "pauschal", "pauschale"],
+    KGM: ["kg"],
+    KMT: ["km"],
+    MTR: ["m"],
+    LTR: ["l", "liter", "litre"],
+  }).flatMap(([code, names]) => names.map((n) => [n, code]))
+);
+const unitCode = (unit) => UNIT_CODES[String(unit || "").trim().toLowerCase().replace(/\.$/, "")] || "C62";
+
+/** Postcode/city line of a free-text address: "10115 Berlin", "D-10115 Berlin", "1010 Wien" */
+const POSTCODE_CITY = /^(?:[A-Z]{1,2}-)?(\d{3,6})\s+(.+)$/;
+
+/** Free-text address -> { street, extra, postcode, city }; lines after the postcode/city line (a country) are ignored */
+function parseAddress(text) {
+  const lines = String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+  const at = lines.findIndex((l) => POSTCODE_CITY.test(l));
+  const street = at < 0 ? lines : lines.slice(0, at);
+  const [, postcode = "", city = ""] = at < 0 ? [] : POSTCODE_CITY.exec(lines[at]);
+  return { street: street[0] || "", extra: street.slice(1).join(", "), postcode, city: city.trim() };
+}
+
+const xmlAmount = (n) => (Math.round(n * 100) / 100).toFixed(2);
+const xmlDecimal = (n) => String(Math.round(toNumber(n) * 1e6) / 1e6);
+const xmlDate = (iso) => String(iso || "").replace(/-/g, "");
+
+/**
+ * Neutral model of a document. ctx: { profile, clientsById, settings, rounding, baseCurrency }.
+ * Parties come from the issue-time snapshots when there are any, like on the printed sheet.
+ */
+function eInvoiceModel(inv, ctx) {
+  const t = calcTotals(inv, ctx.rounding);
+  const pay = paymentSummary(inv, t);
+  const sign = t.sign;
+  const currency = docCurrency(inv, ctx.baseCurrency);
+  const taxBase = inv.rateBase || ctx.baseCurrency;
+  const sum = (values) => sumMoney(values, t.digits);
+  const category = (rate) => (rate ? "S" : ZERO_VAT_CATEGORIES[ctx.settings.zeroVatCategory] ? ctx.settings.zeroVatCategory : "E");
+  const reason = (cat) => (EXEMPTION_REASON_REQUIRED.includes(cat) ? String(ctx.settings.vatExemptionReason || "").trim() : "");
+
+  const profile = inv.profileSnapshot || ctx.profile;
+  const client = billTo(inv, ctx.clientsById) || {};
+  const sellerCountry = String(profile.countryCode || ctx.profile.countryCode || "").trim().toUpperCase();
+  const party = (p, country) => ({
+    name: String(p.name ?? p.businessName ?? "").trim(),
+    ...parseAddress(p.address),
+    country,
+    vatId: String(p.vatId || "").replace(/\s+/g, ""),
+    taxId: String(p.taxId || "").trim(),
+    email: String(p.email || "").trim(),
+    phone: String(p.phone || "").trim(),
+    contact: String(p.contact || "").trim(),
+  });
+
+  const lines = (inv.items || []).map((it, idx) => {
+    const l = t.lines[idx];
+    // a negative price is written as a negative quantity, as EN 16931 prices must not be negative (BR-27)
+    const flip = toNumber(it.unitPrice) < 0 ? -1 : 1;
+    return {
+      id: String(idx + 1),
+      name: String(it.desc || "").trim(),
+      qty: toNumber(it.qty) * flip,
+      unit: unitCode(it.unit),
+      price: toNumber(it.unitPrice) * flip,
+      allowance: l.discount * sign,
+      net: l.net * sign,
+      rate: l.rate,
+      category: category(l.rate),
+    };
+  });
+
+  // Invoice-level discount per rate: what separates the line nets from the taxable amount of that rate.
+  // A negative difference can only be a rounding remainder ("On the total" rounding) and is written as a charge.
+  const allowances = t.vatBreakdown
+    .map((b) => {
+      const diff = sum([...lines.filter((l) => l.rate === b.rate).map((l) => l.net), -b.net * sign]);
+      return { charge: diff < 0, amount: Math.abs(diff), rate: b.rate, category: category(b.rate) };
+    })
+    .filter((a) => a.amount);
+
+  const taxes = t.vatBreakdown.map((b) => ({
+    rate: b.rate,
+    category: category(b.rate),
+    reason: reason(category(b.rate)),
+    taxable: b.net * sign,
+    tax: b.vat * sign,
+  }));
+
+  const lineTotal = sum(lines.map((l) => l.net));
+  const allowanceTotal = sum(allowances.filter((a) => !a.charge).map((a) => a.amount));
+  const chargeTotal = sum(allowances.filter((a) => a.charge).map((a) => a.amount));
+
+  return {
+    credit: inv.docType === "credit",
+    typeCode: inv.docType === "credit" ? "381" : "380",
+    number: inv.invoiceNumber,
+    issueDate: inv.issueDate,
+    dueDate: inv.dueDate,
+    currency,
+    // VAT is also stated in the base currency the document was recorded in, at its own rate (BT-6, BT-111)
+    taxCurrency: currency !== taxBase ? taxBase : "",
+    taxInTaxCurrency: currency !== taxBase ? toBase(t.vat * sign, inv, taxBase, ctx.rounding?.method) : 0,
+    buyerReference: String(inv.buyerReference || "").trim(),
+    precedingNumber: inv.docType === "credit" ? inv.refInvoiceNumber || "" : "",
+    note: String(inv.notes || "").trim(),
+    seller: party(profile, sellerCountry),
+    buyer: party(client, String(client.countryCode || "").trim().toUpperCase() || sellerCountry),
+    payment: {
+      iban: String(profile.iban || "").replace(/\s+/g, ""),
+      bic: String(profile.bic || "").replace(/\s+/g, ""),
+      accountName: String(profile.businessName || "").trim(),
+    },
+    lines,
+    allowances,
+    taxes,
+    totals: {
+      lineTotal,
+      allowance: allowanceTotal,
+      charge: chargeTotal,
+      taxBasis: t.net * sign,
+      tax: t.vat * sign,
+      grand: t.gross * sign,
+      paid: pay.paid,
+      payable: pay.balance * sign,
+    },
+  };
+}
+
+/** Mandatory-field check before export -> { errors[], warnings[] } (errors block the download) */
+function checkEInvoice(inv, m, syntax) {
+  const errors = [];
+  const warnings = [];
+  const xr = syntax === "xrechnung";
+  // XRechnung makes some optional EN 16931 fields mandatory; for ZUGFeRD they are only recommended
+  const need = (ok, text, strict = true) => {
+    if (!ok) (strict ? errors : warnings).push(text);
+  };
+
+  need(inv.docType !== "quote", "Quotes cannot be sent as e-invoices.");
+  need(inv.status !== "Draft", "This document is still a draft; issue it before sending it as an e-invoice.", false);
+  need(m.number, "The document has no number.");
+  need(isISODate(m.issueDate), "The issue date is missing or invalid.");
+  need(currencyDigits(m.currency) <= 2, `${m.currency} amounts have more than two decimals, which EN 16931 does not allow.`);
+  need(m.lines.length, "The document has no line items.");
+  m.lines.forEach((l) => need(l.name, `Line ${l.id} has no description (item name).`));
+  if (xr) need(m.buyerReference, "Buyer reference (Leitweg-ID) is missing — required by XRechnung.");
+
+  const s = m.seller;
+  need(s.name, "Seller: business name is missing (Settings → Business profile).");
+  need(s.street || s.city, "Seller: address is missing.");
+  need(s.postcode && s.city, "Seller: no postcode/city line found in the address (e.g. “10115 Berlin”).", xr);
+  need(/^[A-Z]{2}$/.test(s.country), "Seller: country code is missing or not a two-letter ISO code.");
+  need(s.vatId || s.taxId, "Seller: VAT ID or tax number is missing.");
+  need(s.email, "Seller: email is missing.", xr);
+  need(s.phone, "Seller: phone is missing.", xr);
+  need(m.payment.iban, "Seller: IBAN is missing — needed for the payment instructions.", xr);
+
+  const b = m.buyer;
+  need(b.name, "Buyer: no client selected or the client has no name.");
+  need(b.postcode && b.city, "Buyer: no postcode/city line found in the client address.", xr);
+  need(/^[A-Z]{2}$/.test(b.country), "Buyer: country code is not a two-letter ISO code.");
+  need(b.email, "Buyer: client email is missing (electronic address).", xr);
+
+  const zero = m.taxes.find((x) => x.category !== "S");
+  if (zero) {
+    const label = ZERO_VAT_CATEGORIES[zero.category];
+    need(!EXEMPTION_REASON_REQUIRED.includes(zero.category) || zero.reason, `0% VAT lines (${label}) need an exemption reason (Settings).`);
+    if (["AE", "K"].includes(zero.category)) {
+      need(s.vatId, `${label} requires the seller's VAT ID.`);
+      need(b.vatId, `${label} requires the client's VAT ID.`);
+    }
+  }
+  return { errors, warnings };
+}
+
+const xmlEscape = (v) => String(v).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/** Elements that the schema requires even when they have no content */
+const XML_KEEP_EMPTY = ["ram:ApplicableHeaderTradeDelivery"];
+
+/**
+ * ["tag", { attr }?, ...children] -> indented XML. Children are text, nodes or lists of nodes;
+ * empty text and elements left without content are dropped, so optional fields can be passed as "".
+ */
+export function renderXml(node, indent = "") {
+  const [tag, ...rest] = node;
+  const attrs = rest[0] && typeof rest[0] === "object" && !Array.isArray(rest[0]) ? rest.shift() : {};
+  const flat = (list) => list.flatMap((c) => (Array.isArray(c) && (!c.length || Array.isArray(c[0])) ? flat(c) : [c]));
+  const kids = flat(rest).filter((c) => c !== null && c !== undefined && c !== false && c !== "");
+  const elements = kids
+    .filter(Array.isArray)
+    .map((c) => renderXml(c, `${indent}  `))
+    .filter(Boolean);
+  const text = kids.filter((c) => !Array.isArray(c)).join("");
+  const attrText = Object.entries(attrs)
+    .filter(([, v]) => v !== "" && v !== null && v !== undefined)
+    .map(([k, v]) => ` ${k}="${xmlEscape(v)}"`)
+    .join("");
+  if (!elements.length && !text) return XML_KEEP_EMPTY.includes(tag) ? `${indent}<${tag}${attrText}/>` : "";
+  if (!elements.length) return `${indent}<${tag}${attrText}>${xmlEscape(text)}</${tag}>`;
+  return `${indent}<${tag}${attrText}>\n${elements.join("\n")}\n${indent}</${tag}>`;
+}
+
+/** UBL 2.1 Invoice / CreditNote following the XRechnung 3.0 CIUS */
+function ubl(m) {
+  const cur = { currencyID: m.currency };
+  const amount = (tag, n, currency = m.currency) => [tag, { currencyID: currency }, xmlAmount(n)];
+  const taxCategory = (tag, cat, rate, reason = "") => [
+    tag,
+    ["cbc:ID", cat],
+    ["cbc:Percent", xmlDecimal(rate)],
+    ["cbc:TaxExemptionReason", reason],
+    ["cac:TaxScheme", ["cbc:ID", "VAT"]],
+  ];
+  const party = (tag, p) => [
+    tag,
+    [
+      "cac:Party",
+      ["cbc:EndpointID", { schemeID: "EM" }, p.email],
+      [
+        "cac:PostalAddress",
+        ["cbc:StreetName", p.street],
+        ["cbc:AdditionalStreetName", p.extra],
+        ["cbc:CityName", p.city],
+        ["cbc:PostalZone", p.postcode],
+        ["cac:Country", ["cbc:IdentificationCode", p.country]],
+      ],
+      p.vatId ? ["cac:PartyTaxScheme", ["cbc:CompanyID", p.vatId], ["cac:TaxScheme", ["cbc:ID", "VAT"]]] : null,
+      p.taxId ? ["cac:PartyTaxScheme", ["cbc:CompanyID", p.taxId], ["cac:TaxScheme", ["cbc:ID", "FC"]]] : null,
+      ["cac:PartyLegalEntity", ["cbc:RegistrationName", p.name]],
+      ["cac:Contact", ["cbc:Name", p.contact || (tag.includes("Supplier") ? p.name : "")], ["cbc:Telephone", p.phone], ["cbc:ElectronicMail", p.email]],
+    ],
+  ];
+  const root = m.credit ? "CreditNote" : "Invoice";
+  const allowanceCharge = (a) => [
+    "cac:AllowanceCharge",
+    ["cbc:ChargeIndicator", a.charge ? "true" : "false"],
+    ["cbc:AllowanceChargeReasonCode", a.charge ? "" : "95"],
+    ["cbc:AllowanceChargeReason", a.charge ? "Rounding difference" : "Discount"],
+    amount("cbc:Amount", a.amount),
+    a.category ? taxCategory("cac:TaxCategory", a.category, a.rate) : null,
+  ];
+
+  const doc = [
+    root,
+    {
+      xmlns: `urn:oasis:names:specification:ubl:schema:xsd:${root}-2`,
+      "xmlns:cac": "urn:oasis:names:specification:ubl:schema:xsd:CommonAggregateComponents-2",
+      "xmlns:cbc": "urn:oasis:names:specification:ubl:schema:xsd:CommonBasicComponents-2",
+    },
+    ["cbc:CustomizationID", XRECHNUNG_CUSTOMIZATION],
+    ["cbc:ProfileID", PEPPOL_BILLING_PROFILE],
+    ["cbc:ID", m.number],
+    ["cbc:IssueDate", m.issueDate],
+    m.credit ? null : ["cbc:DueDate", m.dueDate],
+    [m.credit ? "cbc:CreditNoteTypeCode" : "cbc:InvoiceTypeCode", m.typeCode],
+    ["cbc:Note", m.note],
+    ["cbc:DocumentCurrencyCode", m.currency],
+    ["cbc:TaxCurrencyCode", m.taxCurrency],
+    ["cbc:BuyerReference", m.buyerReference],
+    ["cac:BillingReference", ["cac:InvoiceDocumentReference", ["cbc:ID", m.precedingNumber]]],
+    party("cac:AccountingSupplierParty", m.seller),
+    party("cac:AccountingCustomerParty", m.buyer),
+    [
+      "cac:PaymentMeans",
+      ["cbc:PaymentMeansCode", m.payment.iban ? "58" : "1"],
+      m.credit ? ["cbc:PaymentDueDate", m.dueDate] : null,
+      ["cbc:PaymentID", m.number],
+      [
+        "cac:PayeeFinancialAccount",
+        ["cbc:ID", m.payment.iban],
+        ["cbc:Name", m.payment.iban ? m.payment.accountName : ""],
+        ["cac:FinancialInstitutionBranch", ["cbc:ID", m.payment.iban ? m.payment.bic : ""]],
+      ],
+    ],
+    m.allowances.map(allowanceCharge),
+    [
+      "cac:TaxTotal",
+      amount("cbc:TaxAmount", m.totals.tax),
+      m.taxes.map((x) => [
+        "cac:TaxSubtotal",
+        amount("cbc:TaxableAmount", x.taxable),
+        amount("cbc:TaxAmount", x.tax),
+        taxCategory("cac:TaxCategory", x.category, x.rate, x.reason),
+      ]),
+    ],
+    m.taxCurrency ? ["cac:TaxTotal", amount("cbc:TaxAmount", m.taxInTaxCurrency, m.taxCurrency)] : null,
+    [
+      "cac:LegalMonetaryTotal",
+      amount("cbc:LineExtensionAmount", m.totals.lineTotal),
+      amount("cbc:TaxExclusiveAmount", m.totals.taxBasis),
+      amount("cbc:TaxInclusiveAmount", m.totals.grand),
+      m.totals.allowance ? amount("cbc:AllowanceTotalAmount", m.totals.allowance) : null,
+      m.totals.charge ? amount("cbc:ChargeTotalAmount", m.totals.charge) : null,
+      m.totals.paid ? amount("cbc:PrepaidAmount", m.totals.paid) : null,
+      amount("cbc:PayableAmount", m.totals.payable),
+    ],
+    m.lines.map((l) => [
+      m.credit ? "cac:CreditNoteLine" : "cac:InvoiceLine",
+      ["cbc:ID", l.id],
+      [m.credit ? "cbc:CreditedQuantity" : "cbc:InvoicedQuantity", { unitCode: l.unit }, xmlDecimal(l.qty)],
+      ["cbc:LineExtensionAmount", cur, xmlAmount(l.net)],
+      l.allowance ? allowanceCharge({ charge: l.allowance < 0, amount: Math.abs(l.allowance) }) : null,
+      ["cac:Item", ["cbc:Name", l.name], taxCategory("cac:ClassifiedTaxCategory", l.category, l.rate)],
+      ["cac:Price", ["cbc:PriceAmount", cur, xmlDecimal(l.price)]],
+    ]),
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderXml(doc)}\n`;
+}
+
+/** UN/CEFACT CII D16B CrossIndustryInvoice (ZUGFeRD 2 / Factur-X, EN 16931 profile); element order is fixed by the schema */
+function cii(m) {
+  const amount = (tag, n) => [tag, xmlAmount(n)];
+  const date = (tag, iso) => [tag, ["udt:DateTimeString", { format: "102" }, xmlDate(iso)]];
+  const allowanceCharge = (a, header) => [
+    "ram:SpecifiedTradeAllowanceCharge",
+    ["ram:ChargeIndicator", ["udt:Indicator", a.charge ? "true" : "false"]],
+    amount("ram:ActualAmount", a.amount),
+    ["ram:ReasonCode", a.charge ? "" : "95"],
+    ["ram:Reason", a.charge ? "Rounding difference" : "Discount"],
+    header
+      ? ["ram:CategoryTradeTax", ["ram:TypeCode", "VAT"], ["ram:CategoryCode", a.category], ["ram:RateApplicablePercent", xmlDecimal(a.rate)]]
+      : null,
+  ];
+  const party = (tag, p, seller) => [
+    tag,
+    ["ram:Name", p.name],
+    [
+      "ram:DefinedTradeContact",
+      ["ram:PersonName", p.contact || (seller ? p.name : "")],
+      ["ram:TelephoneUniversalCommunication", ["ram:CompleteNumber", p.phone]],
+      ["ram:EmailURIUniversalCommunication", ["ram:URIID", p.email]],
+    ],
+    [
+      "ram:PostalTradeAddress",
+      ["ram:PostcodeCode", p.postcode],
+      ["ram:LineOne", p.street],
+      ["ram:LineTwo", p.extra],
+      ["ram:CityName", p.city],
+      ["ram:CountryID", p.country],
+    ],
+    ["ram:URIUniversalCommunication", ["ram:URIID", { schemeID: "EM" }, p.email]],
+    ["ram:SpecifiedTaxRegistration", ["ram:ID", { schemeID: "VA" }, p.vatId]],
+    ["ram:SpecifiedTaxRegistration", ["ram:ID", { schemeID: "FC" }, p.taxId]],
+  ];
+
+  const doc = [
+    "rsm:CrossIndustryInvoice",
+    {
+      "xmlns:rsm": "urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100",
+      "xmlns:ram": "urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100",
+      "xmlns:qdt": "urn:un:unece:uncefact:data:standard:QualifiedDataType:100",
+      "xmlns:udt": "urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100",
+    },
+    ["rsm:ExchangedDocumentContext", ["ram:GuidelineSpecifiedDocumentContextParameter", ["ram:ID", EN16931_GUIDELINE]]],
+    [
+      "rsm:ExchangedDocument",
+      ["ram:ID", m.number],
+      ["ram:TypeCode", m.typeCode],
+      date("ram:IssueDateTime", m.issueDate),
+      ["ram:IncludedNote", ["ram:Content", m.note]],
+    ],
+    [
+      "rsm:SupplyChainTradeTransaction",
+      m.lines.map((l) => [
+        "ram:IncludedSupplyChainTradeLineItem",
+        ["ram:AssociatedDocumentLineDocument", ["ram:LineID", l.id]],
+        ["ram:SpecifiedTradeProduct", ["ram:Name", l.name]],
+        ["ram:SpecifiedLineTradeAgreement", ["ram:NetPriceProductTradePrice", ["ram:ChargeAmount", xmlDecimal(l.price)]]],
+        ["ram:SpecifiedLineTradeDelivery", ["ram:BilledQuantity", { unitCode: l.unit }, xmlDecimal(l.qty)]],
+        [
+          "ram:SpecifiedLineTradeSettlement",
+          ["ram:ApplicableTradeTax", ["ram:TypeCode", "VAT"], ["ram:CategoryCode", l.category], ["ram:RateApplicablePercent", xmlDecimal(l.rate)]],
+          l.allowance ? allowanceCharge({ charge: l.allowance < 0, amount: Math.abs(l.allowance) }, false) : null,
+          ["ram:SpecifiedTradeSettlementLineMonetarySummation", amount("ram:LineTotalAmount", l.net)],
+        ],
+      ]),
+      [
+        "ram:ApplicableHeaderTradeAgreement",
+        ["ram:BuyerReference", m.buyerReference],
+        party("ram:SellerTradeParty", m.seller, true),
+        party("ram:BuyerTradeParty", m.buyer, false),
+      ],
+      ["ram:ApplicableHeaderTradeDelivery"],
+      [
+        "ram:ApplicableHeaderTradeSettlement",
+        ["ram:PaymentReference", m.number],
+        ["ram:TaxCurrencyCode", m.taxCurrency],
+        ["ram:InvoiceCurrencyCode", m.currency],
+        [
+          "ram:SpecifiedTradeSettlementPaymentMeans",
+          ["ram:TypeCode", m.payment.iban ? "58" : "1"],
+          ["ram:PayeePartyCreditorFinancialAccount", ["ram:IBANID", m.payment.iban], ["ram:AccountName", m.payment.iban ? m.payment.accountName : ""]],
+          ["ram:PayeeSpecifiedCreditorFinancialInstitution", ["ram:BICID", m.payment.iban ? m.payment.bic : ""]],
+        ],
+        m.taxes.map((x) => [
+          "ram:ApplicableTradeTax",
+          amount("ram:CalculatedAmount", x.tax),
+          ["ram:TypeCode", "VAT"],
+          ["ram:ExemptionReason", x.reason],
+          amount("ram:BasisAmount", x.taxable),
+          ["ram:CategoryCode", x.category],
+          ["ram:RateApplicablePercent", xmlDecimal(x.rate)],
+        ]),
+        m.allowances.map((a) => allowanceCharge(a, true)),
+        ["ram:SpecifiedTradePaymentTerms", date("ram:DueDateDateTime", m.dueDate)],
+        [
+          "ram:SpecifiedTradeSettlementHeaderMonetarySummation",
+          amount("ram:LineTotalAmount", m.totals.lineTotal),
+          m.totals.charge ? amount("ram:ChargeTotalAmount", m.totals.charge) : null,
+          m.totals.allowance ? amount("ram:AllowanceTotalAmount", m.totals.allowance) : null,
+          amount("ram:TaxBasisTotalAmount", m.totals.taxBasis),
+          ["ram:TaxTotalAmount", { currencyID: m.currency }, xmlAmount(m.totals.tax)],
+          m.taxCurrency ? ["ram:TaxTotalAmount", { currencyID: m.taxCurrency }, xmlAmount(m.taxInTaxCurrency)] : null,
+          amount("ram:GrandTotalAmount", m.totals.grand),
+          m.totals.paid ? amount("ram:TotalPrepaidAmount", m.totals.paid) : null,
+          amount("ram:DuePayableAmount", m.totals.payable),
+        ],
+        ["ram:InvoiceReferencedDocument", ["ram:IssuerAssignedID", m.precedingNumber]],
+      ],
+    ],
+  ];
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${renderXml(doc)}\n`;
+}
+
+/** -> { errors, warnings, xml } where xml is null while there are errors */
+export function buildEInvoice(inv, syntax, ctx) {
+  const m = eInvoiceModel(inv, ctx);
+  const report = checkEInvoice(inv, m, syntax);
+  return { ...report, xml: report.errors.length ? null : syntax === "zugferd" ? cii(m) : ubl(m) };
+}
@@ -0,0 +1,111 @@
+import { describe, expect, it } from "vitest";
+import { buildEInvoice, renderXml } from "./einvoice.js";
+
+describe("renderXml", () => {
+  it("indents nested elements and escapes text and attributes", () => {
+    expect(renderXml(["a", { note: 'say "hi"' }, ["b", "Tom & Jerry <Ltd>"], [["c", "1"], ["c", "2"]]])).toBe(
+      ['<a note="say &quot;hi&quot;">', "  <b>Tom &amp; Jerry &lt;Ltd&gt;</b>", "  <c>1</c>", "  <c>2</c>", "</a>"].join("\n")
+    );
+  });
+
+  it("drops empty text, empty attributes and elements left without content", () => {
+    expect(renderXml(["a", ["b", ""], ["c", { id: "" }, null, false], ["d", ["e", ""]], ["f", 0]])).toBe("<a>\n  <f>0</f>\n</a>");
+    expect(renderXml(["a", ["b", ""]])).toBe("");
+  });
+
+  it("keeps the elements the schema requires even when empty", () => {
+    expect(renderXml(["a", ["ram:ApplicableHeaderTradeDelivery"]])).toBe("<a>\n  <ram:ApplicableHeaderTradeDelivery/>\n</a>");
+  });
+});
+
+const profile = {
+  businessName: "Studio Nord",
+  address: "Hafenstraße 1\n20457 Hamburg",
+  countryCode: "DE",
+  vatId: "DE 123456789",
+  email: "billing@studio.test",
+  phone: "+49 40 1234",
+  iban: "DE89 3704 0044 0532 0130 00",
+  bic: "COBADEFFXXX",
+};
+const client = { id: "c1", name: "Acme & Sons", address: "Main St 1\nSuite 4\n10115 Berlin", email: "ap@acme.test", countryCode: "DE" };
+const ctx = {
+  profile,
+  clientsById: new Map([["c1", client]]),
+  settings: { zeroVatCategory: "E", vatExemptionReason: "" },
+  rounding: { mode: "line", method: "halfUp" },
+  baseCurrency: "EUR",
+};
+const invoice = (extra = {}) => ({
+  id: "i1",
+  docType: "invoice",
+  invoiceNumber: "INV-2025-0001",
+  status: "Sent",
+  issueDate: "2025-03-01",
+  dueDate: "2025-03-15",
+  clientId: "c1",
+  currency: "EUR",
+  buyerReference: "04011000-12345-03",
+  items: [{ id: "l1", desc: "Design", qty: 2, unit: "h", unitPrice: 100, vatRate: 19 }],
+  discountType: "percent",
+  discount: 0,
+  payments: [],
+  ...extra,
+});
+
+describe("buildEInvoice", () => {
+  it("writes an XRechnung UBL invoice", () => {
+    const { errors, xml } = buildEInvoice(invoice(), "xrechnung", ctx);
+    expect(errors).toEqual([]);
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<Invoice xmlns="urn:oasis:names:specification:ubl:schema:xsd:Invoice-2"/);
+    for (const part of [
+      "<cbc:ID>INV-2025-0001</cbc:ID>",
+      "<cbc:InvoiceTypeCode>380</cbc:InvoiceTypeCode>",
+      "<cbc:BuyerReference>04011000-12345-03</cbc:BuyerReference>",
+      "<cbc:RegistrationName>Acme &amp; Sons</cbc:RegistrationName>",
+      "<cbc:AdditionalStreetName>Suite 4</cbc:AdditionalStreetName>",
+      "<cbc:PostalZone>10115</cbc:PostalZone>",
+      "<cbc:CompanyID>DE123456789</cbc:CompanyID>",
+      "<cbc:ID>DE89370400440532013000</cbc:ID>",
+      '<cbc:InvoicedQuantity unitCode="HUR">2</cbc:InvoicedQuantity>',
+      '<cbc:TaxAmount currencyID="EUR">38.00</cbc:TaxAmount>',
+      '<cbc:PayableAmount currencyID="EUR">238.00</cbc:PayableAmount>',
+    ]) {
+      expect(xml).toContain(part);
+    }
+    expect(xml).not.toContain("TaxCurrencyCode");
+  });
+
+  it("writes a credit note as positive amounts under its own type code", () => {
+    const { xml } = buildEInvoice(invoice({ docType: "credit", invoiceNumber: "CN-1", refInvoiceNumber: "INV-2025-0001" }), "zugferd", ctx);
+    expect(xml).toContain("<ram:TypeCode>381</ram:TypeCode>");
+    expect(xml).toContain("<ram:IssuerAssignedID>INV-2025-0001</ram:IssuerAssignedID>");
+    expect(xml).toContain("<ram:DuePayableAmount>238.00</ram:DuePayableAmount>");
+    expect(xml).toContain("<ram:ApplicableHeaderTradeDelivery/>");
+  });
+
+  it("states the VAT in the base currency the document was recorded in", () => {
+    const { xml } = buildEInvoice(invoice({ currency: "USD", exchangeRate: 0.5, rateBase: "EUR" }), "xrechnung", { ...ctx, baseCurrency: "GBP" });
+    expect(xml).toContain("<cbc:TaxCurrencyCode>EUR</cbc:TaxCurrencyCode>");
+    expect(xml).toContain('<cbc:TaxAmount currencyID="EUR">19.00</cbc:TaxAmount>');
+  });
+
+  it("blocks the export while mandatory fields are missing", () => {
+    const { errors, warnings, xml } = buildEInvoice(invoice({ invoiceNumber: "", buyerReference: "", status: "Draft", items: [{ qty: 1, unitPrice: 10, vatRate: 0 }] }), "xrechnung", ctx);
+    expect(xml).toBeNull();
+    expect(errors).toEqual([
+      "The document has no number.",
+      "Line 1 has no description (item name).",
+      "Buyer reference (Leitweg-ID) is missing — required by XRechnung.",
+      "0% VAT lines (Exempt from VAT) need an exemption reason (Settings).",
+    ]);
+    expect(warnings).toEqual(["This document is still a draft; issue it before sending it as an e-invoice."]);
+  });
+
+  it("only recommends what XRechnung requires when writing ZUGFeRD", () => {
+    const { errors, warnings, xml } = buildEInvoice(invoice({ buyerReference: "" }), "zugferd", { ...ctx, profile: { ...profile, phone: "" } });
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual(["Seller: phone is missing."]);
+    expect(xml).toContain("<rsm:CrossIndustryInvoice");
+  });
+});
@@ -0,0 +1,47 @@
+/** SEPA payment QR codes (EPC069-12) and IBAN checks */
+
+/**
+ * EPC069-12 SEPA credit transfer QR code ("GiroCode"): fixed lines a banking app reads into a prefilled transfer.
+ * Version 002 makes the BIC optional within the EEA; amounts are EUR only.
+ */
+const EPC_MAX_AMOUNT = 999999999.99;
+
+/** IBAN shape and ISO 7064 mod-97 check digits */
+export function isValidIban(value) {
+  const iban = String(value || "").replace(/\s+/g, "").toUpperCase();
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{11,30}$/.test(iban)) return false;
+  const digits = `${iban.slice(4)}${iban.slice(0, 4)}`.replace(/[A-Z]/g, (ch) => String(ch.charCodeAt(0) - 55));
+  return digits.match(/\d{1,7}/g).reduce((rest, chunk) => Number(`${rest}${chunk}`) % 97, 0) === 1;
+}
+
+/**
+ * QR payload for the open amount of an invoice -> { payload, problem }. Both are "" when nothing is left to pay;
+ * `problem` says why no code can be printed.
+ */
+export function epcPayment({ profile, invoice, currency, amount }) {
+  if (invoice.docType !== "invoice" || !(amount > 0)) return { payload: "", problem: "" };
+  const name = String(profile.businessName || "").trim();
+  const iban = String(profile.iban || "").replace(/\s+/g, "").toUpperCase();
+  const bic = String(profile.bic || "").replace(/\s+/g, "").toUpperCase();
+  let problem = "";
+  if (currency !== "EUR") problem = `Payment QR codes are for EUR transfers only; this invoice is in ${currency}.`;
+  else if (!iban) problem = "Add your IBAN in Settings → Business profile to print a payment QR code.";
+  else if (!isValidIban(iban)) problem = "The IBAN in your business profile is not valid (the check digits do not match), so no payment QR code is printed.";
+  else if (!name) problem = "Add your business name in Settings to print a payment QR code.";
+  else if (amount > EPC_MAX_AMOUNT) problem = "The amount is too large for a payment QR code.";
+  if (problem) return { payload: "", problem };
+  const lines = [
+    "BCD",
+    "002",
+    "1", // UTF-8
+    "SCT",
+    /^[A-Z0-9]{8}([A-Z0-9]{3})?$/.test(bic) ? bic : "",
+    name.slice(0, 70),
+    iban,
+    `EUR${amount.toFixed(2)}`,
+    "", // purpose code
+    "", // structured creditor reference
+    String(invoice.invoiceNumber || "").slice(0, 140),
+  ];
+  return { payload: lines.join("\n"), problem: "" };
+}
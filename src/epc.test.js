@@ -0,0 +1,48 @@
+import { describe, expect, it } from "vitest";
+import { epcPayment, isValidIban } from "./epc.js";
+
+describe("isValidIban", () => {
+  it("accepts IBANs with matching check digits, spaces and lowercase included", () => {
+    expect(isValidIban("DE89370400440532013000")).toBe(true);
+    expect(isValidIban("de89 3704 0044 0532 0130 00")).toBe(true);
+    expect(isValidIban("GB82WEST12345698765432")).toBe(true);
+  });
+
+  it("rejects wrong check digits and malformed input", () => {
+    expect(isValidIban("DE88370400440532013000")).toBe(false);
+    expect(isValidIban("DE8937040044")).toBe(false);
+    expect(isValidIban("1289370400440532013000")).toBe(false);
+    expect(isValidIban("")).toBe(false);
+  });
+});
+
+describe("epcPayment", () => {
+  const profile = { businessName: "Studio Nord", iban: "DE89 3704 0044 0532 0130 00", bic: "cobadeffxxx" };
+  const invoice = { docType: "invoice", invoiceNumber: "INV-2025-0001" };
+
+  it("writes the EPC lines for the open amount", () => {
+    expect(epcPayment({ profile, invoice, currency: "EUR", amount: 238 })).toEqual({
+      payload: ["BCD", "002", "1", "SCT", "COBADEFFXXX", "Studio Nord", "DE89370400440532013000", "EUR238.00", "", "", "INV-2025-0001"].join("\n"),
+      problem: "",
+    });
+  });
+
+  it("leaves out a malformed BIC, which version 002 makes optional", () => {
+    const { payload } = epcPayment({ profile: { ...profile, bic: "COBA" }, invoice, currency: "EUR", amount: 1 });
+    expect(payload.split("\n")[4]).toBe("");
+  });
+
+  it("prints nothing when nothing is left to pay", () => {
+    expect(epcPayment({ profile, invoice, currency: "EUR", amount: 0 })).toEqual({ payload: "", problem: "" });
+    expect(epcPayment({ profile, invoice: { ...invoice, docType: "credit" }, currency: "EUR", amount: 10 })).toEqual({ payload: "", problem: "" });
+  });
+
+  it("says why no code can be printed", () => {
+    const problem = (p, currency = "EUR", amount = 10) => epcPayment({ profile: { ...profile, ...p }, invoice, currency, amount }).problem;
+    expect(problem({}, "USD")).toMatch(/EUR transfers only; this invoice is in USD/);
+    expect(problem({ iban: "" })).toMatch(/Add your IBAN/);
+    expect(problem({ iban: "DE88370400440532013000" })).toMatch(/not valid/);
+    expect(problem({ businessName: " " })).toMatch(/business name/);
+    expect(problem({}, "EUR", 1e9)).toMatch(/too large/);
+  });
+});
@@ -0,0 +1,144 @@
+/** Document languages: labels, dates and amounts of the printed sheet per language */
+
+import { DOC_LABELS } from "./documents.js";
+import { money } from "./money.js";
+import { isISODate, toNumber } from "./util.js";
+
+/**
+ * Document languages for the printed sheet and the PDF: labels, plus the locale used for dates, numbers
+ * and money. To add a language, add an entry with the same keys; missing keys fall back to English.
+ */
+export const DOC_LANGUAGES = {
+  en: {
+    label: "English",
+    locale: "en-GB",
+    strings: {
+      invoice: "Invoice",
+      credit: "Credit note",
+      quote: "Quote",
+      "invoice.no": "Invoice #",
+      "credit.no": "Credit note #",
+      "quote.no": "Quote #",
+      creditFor: "Credit note for {ref}",
+      originalInvoice: "Original invoice",
+      issue: "Issue",
+      due: "Due",
+      validUntil: "Valid until",
+      buyerReference: "Buyer reference",
+      yourVatId: "Your VAT ID",
+      status: "Status",
+      generated: "Generated",
+      from: "From",
+      billTo: "Bill To",
+      taxId: "Tax ID",
+      vatId: "VAT ID",
+      description: "Description",
+      qty: "Qty",
+      unit: "Unit",
+      unitPrice: "Unit price",
+      discount: "Discount",
+      vat: "VAT",
+      lineTotal: "Total",
+      subtotalBeforeDiscounts: "Subtotal before discounts",
+      lineDiscounts: "Line discounts",
+      net: "Net",
+      vatOn: "VAT {rate} on {net}",
+      total: "Total",
+      paidToDate: "Paid to date",
+      refundedToDate: "Refunded to date",
+      balanceDue: "Balance due",
+      payment: "Payment",
+      bank: "Bank",
+      scanToPay: "Scan to pay",
+    },
+    statuses: {},
+  },
+  de: {
+    label: "Deutsch",
+    locale: "de-DE",
+    strings: {
+      invoice: "Rechnung",
+      credit: "Gutschrift",
+      quote: "Angebot",
+      "invoice.no": "Rechnungsnummer",
+      "credit.no": "Gutschriftsnummer",
+      "quote.no": "Angebotsnummer",
+      creditFor: "Gutschrift zur Rechnung {ref}",
+      originalInvoice: "Ursprüngliche Rechnung",
+      issue: "Datum",
+      due: "Fällig am",
+      validUntil: "Gültig bis",
+      buyerReference: "Käuferreferenz",
+      yourVatId: "Ihre USt-IdNr.",
+      status: "Status",
+      generated: "Erstellt",
+      from: "Von",
+      billTo: "Rechnungsempfänger",
+      taxId: "Steuernummer",
+      vatId: "USt-IdNr.",
+      description: "Beschreibung",
+      qty: "Menge",
+      unit: "Einheit",
+      unitPrice: "Einzelpreis",
+      discount: "Rabatt",
+      vat: "USt.",
+      lineTotal: "Betrag",
+      subtotalBeforeDiscounts: "Zwischensumme vor Rabatten",
+      lineDiscounts: "Positionsrabatte",
+      net: "Netto",
+      vatOn: "USt. {rate} auf {net}",
+      total: "Gesamtbetrag",
+      paidToDate: "Bereits bezahlt",
+      refundedToDate: "Bereits erstattet",
+      balanceDue: "Offener Betrag",
+      payment: "Zahlung",
+      bank: "Bank",
+      scanToPay: "Zum Bezahlen scannen",
+    },
+    statuses: {
+      Draft: "Entwurf",
+      Sent: "Versendet",
+      "Partially paid": "Teilweise bezahlt",
+      Paid: "Bezahlt",
+      Overdue: "Überfällig",
+      Accepted: "Angenommen",
+      Declined: "Abgelehnt",
+      Expired: "Abgelaufen",
+    },
+  },
+};
+export const DEFAULT_DOC_LANGUAGE = "en";
+
+/** Language of a client's documents: their own choice, else the default from settings */
+export const docLanguageOf = (client, settings) =>
+  DOC_LANGUAGES[client?.language] ? client.language : DOC_LANGUAGES[settings?.documentLanguage] ? settings.documentLanguage : DEFAULT_DOC_LANGUAGE;
+
+/**
+ * Formatters of one document language: t("due"), t("creditFor", { ref }), date("2025-03-01"),
+ * money(v, currency), percent(19), number(1.5), status("Paid"), docLabel(inv) and now()
+ */
+export function docStrings(language) {
+  const lang = DOC_LANGUAGES[language] || DOC_LANGUAGES[DEFAULT_DOC_LANGUAGE];
+  const { locale } = lang;
+  const t = (key, vars = {}) =>
+    String(lang.strings[key] ?? DOC_LANGUAGES.en.strings[key] ?? key).replace(/\{(\w+)\}/g, (m, k) => (k in vars ? vars[k] : m));
+  const number = (v) => new Intl.NumberFormat(locale, { maximumFractionDigits: 4 }).format(toNumber(v));
+  const percent = (v) => new Intl.NumberFormat(locale, { style: "percent", maximumFractionDigits: 2 }).format(toNumber(v) / 100);
+  return {
+    locale,
+    t,
+    number,
+    money: (v, currency) => money(v, currency, locale),
+    percent,
+    // ISO dates are calendar days, so they are built in local time to avoid shifting across time zones
+    date: (iso) => {
+      if (!isISODate(iso)) return iso || "—";
+      const [y, m, d] = iso.split("-").map(Number);
+      return new Intl.DateTimeFormat(locale, { dateStyle: "medium" }).format(new Date(y, m - 1, d));
+    },
+    now: () => new Date().toLocaleString(locale),
+    status: (s) => lang.statuses[s] || s,
+    docLabel: (inv) => t(DOC_LABELS[inv?.docType] ? inv.docType : "invoice"),
+    discount: (type, value, currency) => (type === "amount" ? money(toNumber(value), currency, locale) : percent(value)),
+  };
+}
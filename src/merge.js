@@ -0,0 +1,95 @@
+/** Merge import: pairing incoming records with ours, applying the chosen side and keeping number counters ahead */
+
+import { applyInvoicePatch, isLocked } from "./documents.js";
+import { NUMBER_SERIES } from "./numbering.js";
+import { stableJSON, toNumber } from "./util.js";
+
+const numberKey = (inv) => `${inv.docType || "invoice"}|${String(inv.invoiceNumber || "").trim()}`;
+
+/**
+ * Merge-import preview: incoming records are matched to ours by ID, documents also by type and number.
+ * -> { clients: { added, changed, unchanged }, invoices: { added, changed, conflicts, unchanged }, recurring }
+ * changed/conflicts hold { mine, theirs } pairs; a conflict is a different document under one of our numbers.
+ */
+export function planMerge(mine, theirs) {
+  const clientsById = new Map(mine.clients.map((c) => [c.id, c]));
+  const clients = { added: [], changed: [], unchanged: 0 };
+  theirs.clients.forEach((c) => {
+    const m = clientsById.get(c.id);
+    if (!m) clients.added.push(c);
+    else if (stableJSON(m) === stableJSON(c)) clients.unchanged += 1;
+    else clients.changed.push({ mine: m, theirs: c });
+  });
+
+  const invoicesById = new Map(mine.invoices.map((inv) => [inv.id, inv]));
+  const byNumber = new Map(mine.invoices.filter((inv) => inv.invoiceNumber).map((inv) => [numberKey(inv), inv]));
+  const invoices = { added: [], changed: [], conflicts: [], unchanged: 0 };
+  theirs.invoices.forEach((inv) => {
+    const m = invoicesById.get(inv.id);
+    if (m) {
+      if (stableJSON(m) === stableJSON(inv)) invoices.unchanged += 1;
+      else invoices.changed.push({ mine: m, theirs: inv });
+      return;
+    }
+    const clash = inv.invoiceNumber ? byNumber.get(numberKey(inv)) : null;
+    if (clash) invoices.conflicts.push({ mine: clash, theirs: inv });
+    else invoices.added.push(inv);
+  });
+
+  const recurringIds = new Set(mine.recurring.map((r) => r.id));
+  const recurring = theirs.recurring.filter((r) => !recurringIds.has(r.id));
+
+  return { clients, invoices, recurring };
+}
+
+/** Moves each series' counter past the highest number in use, so merged numbers are never issued again */
+export function reconcileCounters(settings, invoices) {
+  return Object.entries(NUMBER_SERIES).reduce((s, [docType, series]) => {
+    const docs = invoices.filter((inv) => (inv.docType || "invoice") === docType && toNumber(inv.numberSeq) > 0);
+    if (!docs.length) return s;
+    const years = docs.map((inv) => toNumber(String(inv.numberDate || inv.issueDate).slice(0, 4)));
+    const recordedYear = toNumber(s.sequenceYears?.[docType]);
+    const lastYear = Math.max(recordedYear, ...years);
+    const counted = s.resetSequenceYearly ? docs.filter((_, i) => years[i] === lastYear) : docs;
+    const maxSeq = Math.max(0, ...counted.map((inv) => toNumber(inv.numberSeq)));
+    // a newer year than the counter knows about means the counter still belongs to an older year
+    const counter = s.resetSequenceYearly && lastYear > recordedYear ? 1 : toNumber(s[series.counterKey]);
+    return {
+      ...s,
+      [series.counterKey]: Math.max(counter, maxSeq + 1),
+      sequenceYears: { ...(s.sequenceYears || {}), [docType]: lastYear },
+    };
+  }, settings);
+}
+
+/** Fields of a document that hold the id of another document */
+const INVOICE_LINKS = ["refInvoiceId", "quoteId", "convertedInvoiceId", "correctsInvoiceId"];
+
+/** choices: { [theirs.id]: "mine" | "theirs" } for changed and conflicting records (default "mine") */
+export function applyMerge(mine, plan, choices) {
+  const take = (pair) => choices[pair.theirs.id] === "theirs";
+
+  const clientSwap = new Map(plan.clients.changed.filter(take).map((p) => [p.mine.id, p.theirs]));
+  const clients = [...mine.clients.map((c) => clientSwap.get(c.id) || c), ...plan.clients.added];
+  const parties = { clients, profile: mine.profile, settings: mine.settings };
+
+  // locked documents only ever take status and payments, whatever is chosen
+  const invoiceSwap = new Map(
+    [...plan.invoices.changed, ...plan.invoices.conflicts]
+      .filter((p) => take(p) && !(isLocked(p.mine) && p.mine.id !== p.theirs.id))
+      .map((p) => [p.mine.id, p.mine.id === p.theirs.id ? applyInvoicePatch(p.mine, p.theirs, parties) : p.theirs])
+  );
+  // a conflict taken from theirs replaces our document under another id; links to ours follow it
+  const moved = new Map([...invoiceSwap].filter(([id, inv]) => id !== inv.id).map(([id, inv]) => [id, inv.id]));
+  const relink = (id) => moved.get(id) || id;
+  const invoices = [...plan.invoices.added, ...mine.invoices.map((inv) => invoiceSwap.get(inv.id) || inv)].map((inv) =>
+    INVOICE_LINKS.some((k) => moved.has(inv[k])) ? { ...inv, ...Object.fromEntries(INVOICE_LINKS.map((k) => [k, relink(inv[k])])) } : inv
+  );
+
+  const invoiceIds = new Set(invoices.map((inv) => inv.id));
+  const recurring = [...mine.recurring, ...plan.recurring.filter((r) => invoiceIds.has(r.sourceInvoiceId))].map((r) =>
+    moved.has(r.sourceInvoiceId) ? { ...r, sourceInvoiceId: relink(r.sourceInvoiceId) } : r
+  );
+
+  return { ...mine, clients, invoices, recurring, settings: reconcileCounters(mine.settings, invoices) };
+}
@@ -0,0 +1,117 @@
+import { describe, expect, it } from "vitest";
+import { applyMerge, planMerge, reconcileCounters } from "./merge.js";
+
+const data = (extra = {}) => ({
+  profile: { businessName: "Studio" },
+  settings: { nextInvoiceNumber: 3, nextCreditNumber: 1, nextQuoteNumber: 1, resetSequenceYearly: false, sequenceYears: { invoice: 2025 } },
+  clients: [],
+  invoices: [],
+  recurring: [],
+  ...extra,
+});
+const doc = (id, invoiceNumber, extra = {}) => ({
+  id,
+  invoiceNumber,
+  numberSeq: Number(invoiceNumber.split("-").pop()) || 0,
+  numberDate: "2025-03-01",
+  docType: "invoice",
+  status: "Draft",
+  clientId: "c1",
+  items: [],
+  payments: [],
+  ...extra,
+});
+
+describe("planMerge", () => {
+  it("sorts incoming records into added, changed, unchanged and conflicts", () => {
+    const mine = data({
+      clients: [{ id: "c1", name: "Acme" }, { id: "c2", name: "Beta" }],
+      invoices: [doc("i1", "INV-1"), doc("i2", "INV-2")],
+      recurring: [{ id: "r1", sourceInvoiceId: "i1" }],
+    });
+    const theirs = data({
+      clients: [{ name: "Acme", id: "c1" }, { id: "c2", name: "Beta AG" }, { id: "c3", name: "Gamma" }],
+      invoices: [doc("i1", "INV-1"), doc("i2", "INV-2", { notes: "changed" }), doc("x9", "INV-2"), doc("x9c", "INV-2", { docType: "credit" }), doc("i3", "INV-3")],
+      recurring: [{ id: "r1", sourceInvoiceId: "i1" }, { id: "r2", sourceInvoiceId: "i3" }],
+    });
+    const plan = planMerge(mine, theirs);
+    expect(plan.clients.unchanged).toBe(1);
+    expect(plan.clients.changed.map((p) => p.theirs.name)).toEqual(["Beta AG"]);
+    expect(plan.clients.added.map((c) => c.id)).toEqual(["c3"]);
+    expect(plan.invoices.unchanged).toBe(1);
+    expect(plan.invoices.changed.map((p) => p.mine.id)).toEqual(["i2"]);
+    expect(plan.invoices.conflicts).toEqual([{ mine: mine.invoices[1], theirs: theirs.invoices[2] }]);
+    expect(plan.invoices.added.map((inv) => inv.id)).toEqual(["x9c", "i3"]);
+    expect(plan.recurring.map((r) => r.id)).toEqual(["r2"]);
+  });
+});
+
+describe("applyMerge", () => {
+  it("keeps ours unless theirs is chosen and adds what is new", () => {
+    const mine = data({ clients: [{ id: "c1", name: "Acme" }], invoices: [doc("i1", "INV-1"), doc("i2", "INV-2")] });
+    const theirs = data({
+      clients: [{ id: "c1", name: "Acme Ltd" }],
+      invoices: [doc("i1", "INV-1", { notes: "theirs" }), doc("i2", "INV-2", { notes: "theirs" }), doc("i5", "INV-5")],
+    });
+    const plan = planMerge(mine, theirs);
+    const merged = applyMerge(mine, plan, { c1: "theirs", i1: "theirs", i2: "mine" });
+    expect(merged.clients).toEqual([{ id: "c1", name: "Acme Ltd" }]);
+    expect(merged.invoices.map((inv) => [inv.id, inv.notes])).toEqual([
+      ["i5", undefined],
+      ["i1", "theirs"],
+      ["i2", undefined],
+    ]);
+    expect(merged.settings.nextInvoiceNumber).toBe(6);
+  });
+
+  it("only takes status and payments for a locked document", () => {
+    const locked = doc("i1", "INV-1", { status: "Sent", lockedAt: "2025-03-01T00:00:00.000Z", notes: "as issued" });
+    const mine = data({ invoices: [locked] });
+    const theirs = data({ invoices: [{ ...locked, status: "Paid", payments: [{ id: "p1", amount: 10 }], notes: "edited", items: [{ qty: 1 }] }] });
+    const [inv] = applyMerge(mine, planMerge(mine, theirs), { i1: "theirs" }).invoices;
+    expect(inv).toEqual({ ...locked, status: "Paid", payments: [{ id: "p1", amount: 10 }] });
+  });
+
+  it("keeps a locked document when a conflicting one is chosen", () => {
+    const locked = doc("i1", "INV-1", { status: "Sent", lockedAt: "2025-03-01T00:00:00.000Z" });
+    const mine = data({ invoices: [locked] });
+    const theirs = data({ invoices: [doc("x1", "INV-1")] });
+    expect(applyMerge(mine, planMerge(mine, theirs), { x1: "theirs" }).invoices).toEqual([locked]);
+  });
+
+  it("relinks references to a document replaced by a conflict from theirs", () => {
+    const mine = data({
+      invoices: [doc("i1", "INV-1"), doc("cn1", "CN-1", { docType: "credit", refInvoiceId: "i1" })],
+      recurring: [{ id: "r1", sourceInvoiceId: "i1" }],
+    });
+    const theirs = data({ invoices: [doc("x1", "INV-1", { notes: "theirs" })] });
+    const merged = applyMerge(mine, planMerge(mine, theirs), { x1: "theirs" });
+    expect(merged.invoices.map((inv) => inv.id)).toEqual(["x1", "cn1"]);
+    expect(merged.invoices[1].refInvoiceId).toBe("x1");
+    expect(merged.recurring[0].sourceInvoiceId).toBe("x1");
+  });
+
+  it("drops incoming recurring schedules whose source did not come along", () => {
+    const mine = data({ invoices: [doc("i1", "INV-1")] });
+    const theirs = data({ invoices: [doc("i1", "INV-1")], recurring: [{ id: "r1", sourceInvoiceId: "i1" }, { id: "r2", sourceInvoiceId: "gone" }] });
+    expect(applyMerge(mine, planMerge(mine, theirs), {}).recurring.map((r) => r.id)).toEqual(["r1"]);
+  });
+});
+
+describe("reconcileCounters", () => {
+  it("moves each counter past the highest sequence of its series", () => {
+    const settings = data().settings;
+    const next = reconcileCounters(settings, [doc("i1", "INV-7"), doc("c1", "CN-2", { docType: "credit" }), doc("q1", "QUO-0", { docType: "quote" })]);
+    expect(next).toMatchObject({ nextInvoiceNumber: 8, nextCreditNumber: 3, nextQuoteNumber: 1 });
+    expect(reconcileCounters({ ...settings, nextInvoiceNumber: 20 }, [doc("i1", "INV-7")]).nextInvoiceNumber).toBe(20);
+  });
+
+  it("only counts the latest year with yearly reset", () => {
+    const settings = { ...data().settings, resetSequenceYearly: true, nextInvoiceNumber: 40, sequenceYears: { invoice: 2024 } };
+    const invoices = [doc("a", "INV-39", { numberDate: "2024-12-20" }), doc("b", "INV-2", { numberDate: "2025-01-10" })];
+    const next = reconcileCounters(settings, invoices);
+    expect(next.nextInvoiceNumber).toBe(3);
+    expect(next.sequenceYears.invoice).toBe(2025);
+    expect(reconcileCounters(next, [doc("c", "INV-45", { numberDate: "2024-12-30" })]).nextInvoiceNumber).toBe(3);
+  });
+});
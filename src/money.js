@@ -0,0 +1,269 @@
+/** Currencies, document totals, payments and exchange rates */
+
+import { toNumber } from "./util.js";
+
+export const CURRENCIES = [
+  "EUR",
+  "USD",
+  "GBP",
+  "CHF",
+  "SEK",
+  "NOK",
+  "DKK",
+  "PLN",
+  "CZK",
+  "HUF",
+  "RON",
+  "TRY",
+  "CAD",
+  "AUD",
+  "NZD",
+  "CNY",
+  "HKD",
+  "SGD",
+  "INR",
+  "ZAR",
+  "BRL",
+  "MXN",
+  "JPY",
+  "KRW",
+  "ISK",
+];
+
+/** Minor-unit digits of a currency (0 for JPY/KRW/ISK…) */
+export const currencyDigits = (currency) => {
+  try {
+    return new Intl.NumberFormat("en", { style: "currency", currency }).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+};
+
+/** locale: e.g. "de-DE" for a document's language; the browser's own by default */
+export const money = (value, currency = "EUR", locale) => {
+  const v = Number(value) || 0;
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency }).format(v);
+  } catch {
+    const sign = v < 0 ? "-" : "";
+    const abs = Math.abs(v);
+    return `${sign}${currency} ${abs.toFixed(currencyDigits(currency))}`;
+  }
+};
+
+/** Document currency; invoices without one were always shown in the base currency */
+export const docCurrency = (inv, baseCurrency) => inv?.currency || baseCurrency || "EUR";
+
+/**
+ * Money engine: exact decimal arithmetic on BigInt fractions { n, d }, rounded to the currency's
+ * minor units only where the rounding rule says so. Every total in the app goes through here.
+ */
+const FRAC_ZERO = { n: 0n, d: 1n };
+
+const gcd = (a, b) => {
+  a = a < 0n ? -a : a;
+  b = b < 0n ? -b : b;
+  while (b) [a, b] = [b, a % b];
+  return a || 1n;
+};
+
+const fReduce = ({ n, d }) => {
+  const g = gcd(n, d);
+  return { n: n / g, d: d / g };
+};
+
+/** Number or decimal string ("12,5", "1e-3") -> exact fraction of its decimal representation */
+export const frac = (v) => {
+  const str = typeof v === "number" ? (Number.isFinite(v) ? String(v) : "0") : String(v ?? "").trim().replace(",", ".");
+  const m = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(str);
+  if (!m || (!m[2] && !m[3])) return FRAC_ZERO;
+  const digits = BigInt(`${m[2] || "0"}${m[3] || ""}`);
+  const exp = (m[4] ? Number(m[4]) : 0) - (m[3] || "").length;
+  const n = m[1] === "-" ? -digits : digits;
+  return exp >= 0 ? { n: n * 10n ** BigInt(exp), d: 1n } : fReduce({ n, d: 10n ** BigInt(-exp) });
+};
+
+const fAdd = (a, b) => fReduce({ n: a.n * b.d + b.n * a.d, d: a.d * b.d });
+const fSub = (a, b) => fReduce({ n: a.n * b.d - b.n * a.d, d: a.d * b.d });
+export const fMul = (a, b) => fReduce({ n: a.n * b.n, d: a.d * b.d });
+export const fDiv = (a, b) => (b.n === 0n ? FRAC_ZERO : fReduce({ n: a.n * b.d * (b.n < 0n ? -1n : 1n), d: a.d * (b.n < 0n ? -b.n : b.n) }));
+const fCmp = (a, b) => {
+  const x = a.n * b.d - b.n * a.d;
+  return x > 0n ? 1 : x < 0n ? -1 : 0;
+};
+
+export const ROUNDING_MODES = { line: "Per line", total: "On the total" };
+export const ROUNDING_METHODS = { halfUp: "Half up (commercial)", halfEven: "Half to even (banker's)" };
+export const DEFAULT_ROUNDING = { mode: "line", method: "halfUp" };
+
+/** Fraction -> BigInt minor units; halfUp rounds ties away from zero, halfEven to the even neighbour */
+export const roundFrac = (f, digits, method = "halfUp") => {
+  const n = f.n * 10n ** BigInt(digits);
+  let q = n / f.d;
+  const r = n % f.d;
+  const twice = 2n * (r < 0n ? -r : r);
+  if (twice > f.d || (twice === f.d && (method !== "halfEven" || q % 2n !== 0n))) q += n < 0n ? -1n : 1n;
+  return q;
+};
+
+const minorFrac = (m, digits) => ({ n: m, d: 10n ** BigInt(digits) });
+export const minorToNumber = (m, digits) => Number(m) / 10 ** digits;
+const toMinor = (v, digits, method) => roundFrac(frac(v), digits, method);
+
+/**
+ * Base-currency units per 1 unit of the document currency. The document's rate refers to the base it was
+ * recorded in (rateBase); after a base-currency switch the stored rate from that base to today's is applied
+ * on top, so issued documents keep their rate and are only converted for reporting.
+ */
+const fxFrac = (inv, baseCurrency, rates = {}) => {
+  const c = docCurrency(inv, baseCurrency);
+  if (c === baseCurrency) return { n: 1n, d: 1n };
+  const from = inv?.rateBase || baseCurrency;
+  const recorded = c === from ? { n: 1n, d: 1n } : frac(toNumber(inv?.exchangeRate) || 1);
+  return from === baseCurrency ? recorded : fMul(recorded, frac(toNumber(rates[from]) || 1));
+};
+
+export const fxRate = (inv, baseCurrency, rates) => {
+  const f = fxFrac(inv, baseCurrency, rates);
+  return Number(f.n) / Number(f.d);
+};
+
+/** Converts an amount of the document currency to the base currency, rounded to base minor units */
+export const toBase = (amount, inv, baseCurrency, method = "halfUp", rates) => {
+  const digits = currencyDigits(baseCurrency);
+  return minorToNumber(roundFrac(fMul(frac(amount), fxFrac(inv, baseCurrency, rates)), digits, method), digits);
+};
+
+/** Sum of already-rounded amounts without float drift */
+export const sumMoney = (values, digits) => minorToNumber(values.reduce((sum, v) => sum + toMinor(v, digits), 0n), digits);
+
+const docSign = (inv) => (inv?.docType === "credit" ? -1 : 1);
+
+export const DISCOUNT_TYPES = ["percent", "amount"];
+
+/** Exact amount taken off `base`: a percentage of it, or a fixed amount capped at it */
+const discountFrac = (base, type, value) => {
+  const v = frac(Math.max(0, toNumber(value)));
+  if (!v.n || base.n <= 0n) return FRAC_ZERO;
+  if (type === "amount") return fCmp(v, base) < 0 ? v : base;
+  const pct = fCmp(v, frac(100)) < 0 ? v : frac(100);
+  return fDiv(fMul(base, pct), frac(100));
+};
+
+/** Exact line amounts before/after the line's own discount */
+const lineAmounts = (it) => {
+  const base = fMul(frac(toNumber(it.qty)), frac(toNumber(it.unitPrice)));
+  const discount = discountFrac(base, it.discountType, it.discount);
+  return { base, discount, net: fSub(base, discount) };
+};
+
+/** Line VAT rate; items without their own rate inherit the invoice-level one */
+export const itemVatRate = (it, inv) =>
+  it?.vatRate === undefined || it?.vatRate === null || it?.vatRate === "" ? toNumber(inv?.vatRate) : toNumber(it.vatRate);
+
+/**
+ * Invoice totals in exact minor units.
+ * rounding.mode "line": every line net and its VAT are rounded, rate subtotals are sums of rounded lines.
+ * rounding.mode "total": lines stay exact, net and VAT are rounded once per VAT rate.
+ */
+export function calcTotals(inv, rounding = DEFAULT_ROUNDING) {
+  const items = Array.isArray(inv.items) ? inv.items : [];
+  const sign = docSign(inv);
+  const digits = currencyDigits(inv.currency || "EUR");
+  const method = rounding?.method === "halfEven" ? "halfEven" : "halfUp";
+  const perLine = rounding?.mode !== "total";
+  const round = (f) => roundFrac(f, digits, method);
+  const hundred = frac(100);
+
+  const exact = items.map((it) => ({ id: it.id, rate: itemVatRate(it, inv), ...lineAmounts(it) }));
+  const lines = exact.map((l) => {
+    const base = round(l.base);
+    const net = round(l.net);
+    return { id: l.id, rate: l.rate, base, discount: base - net, net };
+  });
+
+  const byRate = new Map();
+  const addToRate = (rate, net, vat) => {
+    const row = byRate.get(rate) || { net: 0n, vat: 0n };
+    byRate.set(rate, { net: row.net + net, vat: row.vat + vat });
+  };
+
+  let before;
+  let subtotal;
+  let lineDiscount;
+  let invoiceDiscount;
+
+  if (perLine) {
+    before = lines.reduce((sum, l) => sum + l.base, 0n);
+    subtotal = lines.reduce((sum, l) => sum + l.net, 0n);
+    lineDiscount = lines.reduce((sum, l) => sum + l.discount, 0n);
+    invoiceDiscount = round(discountFrac(minorFrac(subtotal, digits), inv.discountType, inv.discount));
+
+    // Invoice-level discount is allocated to the lines pro rata; the largest line absorbs the rounding remainder
+    const shares = lines.map((l) =>
+      subtotal > 0n ? round(fDiv(fMul(minorFrac(invoiceDiscount, digits), minorFrac(l.net, digits)), minorFrac(subtotal, digits))) : 0n
+    );
+    if (lines.length) {
+      const largest = lines.reduce((best, l, idx) => (l.net > lines[best].net ? idx : best), 0);
+      shares[largest] += invoiceDiscount - shares.reduce((sum, x) => sum + x, 0n);
+    }
+    lines.forEach((l, idx) => {
+      const net = l.net - shares[idx];
+      addToRate(l.rate, net, round(fDiv(fMul(minorFrac(net, digits), frac(l.rate)), hundred)));
+    });
+  } else {
+    const exactSubtotal = exact.reduce((sum, l) => fAdd(sum, l.net), FRAC_ZERO);
+    const exactDiscount = discountFrac(exactSubtotal, inv.discountType, inv.discount);
+    const factor = exactSubtotal.n > 0n ? fDiv(fSub(exactSubtotal, exactDiscount), exactSubtotal) : frac(1);
+    before = round(exact.reduce((sum, l) => fAdd(sum, l.base), FRAC_ZERO));
+    subtotal = round(exactSubtotal);
+
+    const exactByRate = new Map();
+    for (const l of exact) exactByRate.set(l.rate, fAdd(exactByRate.get(l.rate) || FRAC_ZERO, fMul(l.net, factor)));
+    for (const [rate, f] of exactByRate) {
+      const net = round(f);
+      addToRate(rate, net, round(fDiv(fMul(minorFrac(net, digits), frac(rate)), hundred)));
+    }
+    // The discounts are the differences of the once-rounded figures, so before − discounts = net to the cent
+    lineDiscount = before - subtotal;
+    invoiceDiscount = subtotal - [...byRate.values()].reduce((sum, r) => sum + r.net, 0n);
+  }
+
+  // Items are entered as positive amounts; the sign of the document applies to every figure
+  const sgn = BigInt(sign);
+  const num = (m) => minorToNumber(m * sgn, digits);
+
+  // One net/VAT subtotal per rate, highest rate first
+  const rows = [...byRate.entries()].sort((a, b) => b[0] - a[0]);
+  const netM = rows.reduce((sum, [, r]) => sum + r.net, 0n);
+  const vatM = rows.reduce((sum, [, r]) => sum + r.vat, 0n);
+
+  return {
+    sign,
+    digits,
+    lines: lines.map((l) => ({ id: l.id, rate: l.rate, base: num(l.base), discount: num(l.discount), net: num(l.net) })),
+    beforeDiscounts: num(before),
+    lineDiscount: num(lineDiscount),
+    subtotal: num(subtotal),
+    invoiceDiscount: num(invoiceDiscount),
+    discount: num(lineDiscount + invoiceDiscount),
+    net: num(netM),
+    vatRate: toNumber(inv.vatRate),
+    vat: num(vatM),
+    gross: num(netM + vatM),
+    vatBreakdown: rows.map(([rate, r]) => ({ rate, net: num(r.net), vat: num(r.vat) })),
+  };
+}
+
+/** Paid-to-date and open balance; for credit notes the payments are refunds against the (negative) total */
+export function paymentSummary(inv, totals = calcTotals(inv)) {
+  const { digits } = totals;
+  const paid = (inv.payments || []).reduce((sum, p) => sum + toMinor(toNumber(p.amount), digits), 0n);
+  const due = toMinor(Math.abs(totals.gross), digits);
+  const open = due - paid;
+  return {
+    paid: minorToNumber(paid, digits),
+    balance: minorToNumber(open * BigInt(totals.sign), digits),
+    settled: open <= 0n,
+  };
+}
@@ -0,0 +1,116 @@
+import { describe, expect, it } from "vitest";
+import { calcTotals, frac, paymentSummary, roundFrac, toBase } from "./money.js";
+
+const item = (qty, unitPrice, vatRate, extra = {}) => ({ id: `${qty}x${unitPrice}@${vatRate}`, qty, unitPrice, vatRate, ...extra });
+const doc = (items, extra = {}) => ({ docType: "invoice", currency: "EUR", items, discountType: "percent", discount: 0, ...extra });
+
+describe("frac", () => {
+  it("reads decimal strings exactly, with a decimal comma and exponents", () => {
+    expect(frac("12,5")).toEqual({ n: 25n, d: 2n });
+    expect(frac("1e-3")).toEqual({ n: 1n, d: 1000n });
+    expect(frac(-0.25)).toEqual({ n: -1n, d: 4n });
+  });
+
+  it("treats anything else as zero", () => {
+    expect(frac("abc")).toEqual({ n: 0n, d: 1n });
+    expect(frac(NaN)).toEqual({ n: 0n, d: 1n });
+  });
+});
+
+describe("roundFrac", () => {
+  it("rounds ties away from zero half up", () => {
+    expect(roundFrac(frac("2.345"), 2)).toBe(235n);
+    expect(roundFrac(frac("-2.345"), 2)).toBe(-235n);
+  });
+
+  it("rounds ties to the even neighbour half even", () => {
+    expect(roundFrac(frac("2.345"), 2, "halfEven")).toBe(234n);
+    expect(roundFrac(frac("2.355"), 2, "halfEven")).toBe(236n);
+    expect(roundFrac(frac("2.3451"), 2, "halfEven")).toBe(235n);
+  });
+});
+
+describe("calcTotals", () => {
+  it("has no floating-point drift", () => {
+    const t = calcTotals(doc([item(3, 0.1, 19)]));
+    expect(t.net).toBe(0.3);
+    expect(t.vat).toBe(0.06);
+    expect(t.gross).toBe(0.36);
+  });
+
+  it("rounds per line or once on the total", () => {
+    const items = [item(1, 0.333, 19), item(1, 0.333, 19), item(1, 0.333, 19)];
+    expect(calcTotals(doc(items), { mode: "line", method: "halfUp" })).toMatchObject({ net: 0.99, vat: 0.18, gross: 1.17 });
+    expect(calcTotals(doc(items), { mode: "total", method: "halfUp" })).toMatchObject({ net: 1, vat: 0.19, gross: 1.19 });
+  });
+
+  it("applies the rounding method to VAT", () => {
+    const d = doc([item(1, 0.5, 5)]);
+    expect(calcTotals(d, { mode: "line", method: "halfUp" }).vat).toBe(0.03);
+    expect(calcTotals(d, { mode: "line", method: "halfEven" }).vat).toBe(0.02);
+  });
+
+  it("allocates the invoice discount to the VAT rates pro rata", () => {
+    const t = calcTotals(doc([item(1, 10, 19), item(1, 5, 7)], { discount: 10 }));
+    expect(t.invoiceDiscount).toBe(1.5);
+    expect(t.vatBreakdown).toEqual([
+      { rate: 19, net: 9, vat: 1.71 },
+      { rate: 7, net: 4.5, vat: 0.32 },
+    ]);
+    expect(t.net).toBe(13.5);
+    expect(t.gross).toBe(15.53);
+  });
+
+  it("keeps subtotal before discounts minus discounts equal to net in both modes", () => {
+    const items = [item(3, 0.333, 19, { discount: 10 }), item(7, 1.115, 7, { discountType: "amount", discount: 0.5 })];
+    for (const mode of ["line", "total"]) {
+      for (const method of ["halfUp", "halfEven"]) {
+        const t = calcTotals(doc(items, { discount: 3 }), { mode, method });
+        expect(Math.round((t.beforeDiscounts - t.discount) * 100)).toBe(Math.round(t.net * 100));
+        expect(Math.round((t.net + t.vat) * 100)).toBe(Math.round(t.gross * 100));
+      }
+    }
+  });
+
+  it("caps discounts at the amount they apply to", () => {
+    expect(calcTotals(doc([item(1, 10, 0, { discountType: "amount", discount: 25 })])).net).toBe(0);
+    expect(calcTotals(doc([item(1, 10, 0)], { discount: 150 })).net).toBe(0);
+  });
+
+  it("uses the currency's minor units", () => {
+    expect(calcTotals(doc([item(1, 101, 10)], { currency: "JPY" }))).toMatchObject({ digits: 0, vat: 10, gross: 111 });
+  });
+
+  it("signs every figure of a credit note", () => {
+    const t = calcTotals(doc([item(2, 50, 19)], { docType: "credit" }));
+    expect(t).toMatchObject({ sign: -1, net: -100, vat: -19, gross: -119 });
+    expect(t.vatBreakdown).toEqual([{ rate: 19, net: -100, vat: -19 }]);
+  });
+});
+
+describe("paymentSummary", () => {
+  it("tracks the open balance in minor units", () => {
+    const inv = doc([item(1, 100, 19)], { payments: [{ amount: 50.1 }, { amount: "30,2" }] });
+    expect(paymentSummary(inv)).toEqual({ paid: 80.3, balance: 38.7, settled: false });
+  });
+
+  it("treats refunds on a credit note as settling the negative total", () => {
+    const note = doc([item(1, 100, 0)], { docType: "credit", payments: [{ amount: 40 }] });
+    expect(paymentSummary(note)).toEqual({ paid: 40, balance: -60, settled: false });
+    expect(paymentSummary({ ...note, payments: [{ amount: 100 }] }).settled).toBe(true);
+  });
+});
+
+describe("toBase", () => {
+  const usd = { currency: "USD", exchangeRate: 0.9, rateBase: "EUR" };
+
+  it("converts with the rate recorded on the document", () => {
+    expect(toBase(100, usd, "EUR")).toBe(90);
+    expect(toBase(100, { currency: "EUR" }, "EUR")).toBe(100);
+  });
+
+  it("converts a rate recorded in an earlier base currency with the stored rate to today's", () => {
+    expect(toBase(100, usd, "GBP", "halfUp", { EUR: 0.85 })).toBe(76.5);
+    expect(toBase(100, { currency: "EUR", exchangeRate: 1, rateBase: "EUR" }, "GBP", "halfUp", { EUR: 0.85 })).toBe(85);
+  });
+});
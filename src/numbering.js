@@ -0,0 +1,139 @@
+/** Document numbering: series, number templates, the numbering service and the number audit */
+
+import { todayISO, toNumber } from "./util.js";
+
+/** Each document type has its own number series in settings */
+export const NUMBER_SERIES = {
+  invoice: { prefixKey: "invoicePrefix", counterKey: "nextInvoiceNumber", fallback: "INV" },
+  credit: { prefixKey: "creditPrefix", counterKey: "nextCreditNumber", fallback: "CN" },
+  quote: { prefixKey: "quotePrefix", counterKey: "nextQuoteNumber", fallback: "QUO" },
+};
+
+/** Number template tokens: {PREFIX} {YYYY} {YY} {MM} {DD} {SEQ} / {SEQ:5} {CLIENT} */
+export const DEFAULT_NUMBER_TEMPLATE = "{PREFIX}-{SEQ:4}";
+
+export const seriesPrefix = (settings, docType) => {
+  const series = NUMBER_SERIES[docType] || NUMBER_SERIES.invoice;
+  return String(settings[series.prefixKey] || series.fallback).trim() || series.fallback;
+};
+
+/** Short client code for {CLIENT}: the client's own code, else the first letters of the name */
+export const clientCode = (client) =>
+  String(client?.code || client?.name || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, client?.code ? 12 : 4);
+
+export function formatNumber(template, { prefix, seq, date, client }) {
+  const [yyyy = "", mm = "", dd = ""] = String(date || todayISO()).split("-");
+  return String(template || DEFAULT_NUMBER_TEMPLATE).replace(
+    /\{(PREFIX|YYYY|YY|MM|DD|CLIENT|SEQ)(?::(\d+))?\}/g,
+    (m, token, width) => {
+      if (token === "PREFIX") return prefix;
+      if (token === "YYYY") return yyyy;
+      if (token === "YY") return yyyy.slice(2);
+      if (token === "MM") return mm;
+      if (token === "DD") return dd;
+      if (token === "CLIENT") return clientCode(client);
+      return String(seq).padStart(Math.min(12, toNumber(width)), "0");
+    }
+  );
+}
+
+/**
+ * Why a template would repeat numbers, or "" when it is usable: every document needs its sequence,
+ * the series (which count separately) need their prefix, and a yearly reset needs the year
+ */
+export function numberTemplateProblem(template, { resetSequenceYearly = false } = {}) {
+  const t = String(template || "");
+  if (!/\{SEQ(:\d+)?\}/.test(t)) return "The template needs {SEQ}, otherwise every document gets the same number.";
+  if (!t.includes("{PREFIX}")) return "The template needs {PREFIX}, otherwise invoices, credit notes and quotes share numbers.";
+  if (resetSequenceYearly && !/\{YYYY\}|\{YY\}/.test(t)) {
+    return "With a yearly restart the template needs {YYYY} or {YY}, otherwise numbers repeat every year.";
+  }
+  return "";
+}
+
+/** Sequence number of a legacy document that predates stored sequences ("INV-0042" -> 42) */
+export const parseSeq = (number) => toNumber(/(\d+)\D*$/.exec(String(number || ""))?.[1]);
+
+/**
+ * Sequence of a number the current template and series prefix could have produced
+ * ("INV-2024-0017" -> 17), else 0: other numbers say nothing about this series' counter
+ */
+export function templateSeq(number, settings, docType = "invoice") {
+  const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const parts = String(settings.numberTemplate || DEFAULT_NUMBER_TEMPLATE).split(/(\{(?:PREFIX|YYYY|YY|MM|DD|CLIENT|SEQ)(?::\d+)?\})/);
+  const source = parts
+    .map((part, i) => {
+      if (i % 2 === 0) return escape(part);
+      const token = part.slice(1, -1).split(":")[0];
+      if (token === "PREFIX") return escape(seriesPrefix(settings, docType));
+      if (token === "YYYY") return "\\d{4}";
+      if (token === "CLIENT") return "[A-Z0-9]*";
+      if (token === "SEQ") return "(\\d+)";
+      return "\\d{2}";
+    })
+    .join("");
+  return toNumber(new RegExp(`^${source}$`).exec(String(number || "").trim())?.[1]);
+}
+
+/**
+ * Numbering service: takes the next number of a series -> { number, seq, date, settings } with the
+ * counter advanced. With yearly reset the counter restarts at 1 for the first document of a new year.
+ */
+export function takeNumber(settings, docType = "invoice", { date = todayISO(), client = null } = {}) {
+  const series = NUMBER_SERIES[docType] || NUMBER_SERIES.invoice;
+  const year = toNumber(String(date).slice(0, 4));
+  const years = settings.sequenceYears || {};
+  const lastYear = toNumber(years[docType]);
+  const reset = settings.resetSequenceYearly && lastYear && year > lastYear;
+  const seq = reset ? 1 : Math.max(1, toNumber(settings[series.counterKey]));
+  return {
+    number: formatNumber(settings.numberTemplate, { prefix: seriesPrefix(settings, docType), seq, date, client }),
+    seq,
+    date,
+    settings: {
+      ...settings,
+      [series.counterKey]: seq + 1,
+      sequenceYears: { ...years, [docType]: Math.max(year, lastYear) },
+    },
+  };
+}
+
+/** Duplicate numbers and gaps in each series (per year when sequences reset yearly) */
+export function auditNumbers(invoices, settings) {
+  const byNumber = new Map();
+  const groups = new Map();
+  let unnumbered = 0;
+
+  for (const inv of invoices) {
+    const number = String(inv.invoiceNumber || "").trim();
+    if (!number) {
+      unnumbered += 1;
+      continue;
+    }
+    byNumber.set(number, (byNumber.get(number) || 0) + 1);
+
+    const docType = inv.docType || "invoice";
+    const year = settings.resetSequenceYearly ? String(inv.numberDate || inv.issueDate || "").slice(0, 4) : "";
+    const key = `${docType}|${year}`;
+    if (!groups.has(key)) groups.set(key, { docType, year, seqs: new Set() });
+    const seq = toNumber(inv.numberSeq) || parseSeq(number);
+    if (seq) groups.get(key).seqs.add(seq);
+  }
+
+  const duplicates = [...byNumber.entries()].filter(([, n]) => n > 1).map(([number, count]) => ({ number, count }));
+  const gaps = [...groups.values()]
+    .map((g) => {
+      const seqs = [...g.seqs].sort((a, b) => a - b);
+      const missing = [];
+      for (let i = 1; i < seqs.length; i++) {
+        for (let n = seqs[i - 1] + 1; n < seqs[i]; n++) missing.push(n);
+      }
+      return { docType: g.docType, year: g.year, missing };
+    })
+    .filter((g) => g.missing.length);
+
+  return { duplicates, gaps, unnumbered, ok: !duplicates.length && !gaps.length && !unnumbered };
+}
@@ -0,0 +1,122 @@
+import { describe, expect, it } from "vitest";
+import { auditNumbers, formatNumber, numberTemplateProblem, takeNumber, templateSeq } from "./numbering.js";
+
+const settings = (extra = {}) => ({
+  numberTemplate: "{PREFIX}-{YYYY}-{SEQ:4}",
+  invoicePrefix: "INV",
+  creditPrefix: "CN",
+  quotePrefix: "QUO",
+  nextInvoiceNumber: 17,
+  nextCreditNumber: 1,
+  nextQuoteNumber: 1,
+  resetSequenceYearly: false,
+  sequenceYears: {},
+  ...extra,
+});
+
+describe("formatNumber", () => {
+  it("fills every token", () => {
+    const number = formatNumber("{PREFIX}/{YY}{MM}{DD}/{CLIENT}/{SEQ:3}", {
+      prefix: "INV",
+      seq: 7,
+      date: "2025-03-09",
+      client: { name: "Acme GmbH" },
+    });
+    expect(number).toBe("INV/250309/ACME/007");
+  });
+
+  it("prefers the client's own code", () => {
+    expect(formatNumber("{CLIENT}-{SEQ}", { prefix: "", seq: 1, date: "2025-01-01", client: { code: "k-42", name: "Acme" } })).toBe("K42-1");
+  });
+});
+
+describe("numberTemplateProblem", () => {
+  it("accepts a template with sequence and prefix", () => {
+    expect(numberTemplateProblem("{PREFIX}-{SEQ:4}")).toBe("");
+  });
+
+  it("rejects templates that would repeat numbers", () => {
+    expect(numberTemplateProblem("{PREFIX}-{YYYY}")).toMatch(/\{SEQ\}/);
+    expect(numberTemplateProblem("{YYYY}-{SEQ}")).toMatch(/\{PREFIX\}/);
+    expect(numberTemplateProblem("{PREFIX}-{SEQ}", { resetSequenceYearly: true })).toMatch(/yearly/);
+    expect(numberTemplateProblem("{PREFIX}-{YY}-{SEQ}", { resetSequenceYearly: true })).toBe("");
+  });
+});
+
+describe("takeNumber", () => {
+  it("formats the next number of the series and advances its counter", () => {
+    const { number, seq, settings: next } = takeNumber(settings(), "invoice", { date: "2025-05-02" });
+    expect(number).toBe("INV-2025-0017");
+    expect(seq).toBe(17);
+    expect(next.nextInvoiceNumber).toBe(18);
+    expect(next.sequenceYears.invoice).toBe(2025);
+  });
+
+  it("keeps a separate counter per document type", () => {
+    const { number, settings: next } = takeNumber(settings(), "credit", { date: "2025-05-02" });
+    expect(number).toBe("CN-2025-0001");
+    expect(next.nextCreditNumber).toBe(2);
+    expect(next.nextInvoiceNumber).toBe(17);
+  });
+
+  it("restarts at 1 in a new year with yearly reset", () => {
+    const s = settings({ resetSequenceYearly: true, sequenceYears: { invoice: 2024 } });
+    const first = takeNumber(s, "invoice", { date: "2025-01-02" });
+    expect(first.number).toBe("INV-2025-0001");
+    expect(first.settings.nextInvoiceNumber).toBe(2);
+    const second = takeNumber(first.settings, "invoice", { date: "2025-01-03" });
+    expect(second.number).toBe("INV-2025-0002");
+  });
+
+  it("does not restart for a document dated in an earlier year", () => {
+    const s = settings({ resetSequenceYearly: true, sequenceYears: { invoice: 2025 } });
+    const { seq, settings: next } = takeNumber(s, "invoice", { date: "2024-12-30" });
+    expect(seq).toBe(17);
+    expect(next.sequenceYears.invoice).toBe(2025);
+  });
+});
+
+describe("templateSeq", () => {
+  it("reads the sequence of a number the template produced", () => {
+    expect(templateSeq("INV-2024-0017", settings())).toBe(17);
+    expect(templateSeq("CN-2024-0003", settings(), "credit")).toBe(3);
+  });
+
+  it("is 0 for numbers of another shape or series", () => {
+    expect(templateSeq("17/2024", settings())).toBe(0);
+    expect(templateSeq("20230017", settings())).toBe(0);
+    expect(templateSeq("INV-0017", settings())).toBe(0);
+    expect(templateSeq("CN-2024-0003", settings())).toBe(0);
+  });
+
+  it("finds the sequence wherever the template puts it", () => {
+    expect(templateSeq("INV-ACME-42", settings({ numberTemplate: "{PREFIX}-{CLIENT}-{SEQ}" }))).toBe(42);
+    expect(templateSeq("INV0042-25", settings({ numberTemplate: "{PREFIX}{SEQ:4}-{YY}" }))).toBe(42);
+  });
+});
+
+describe("auditNumbers", () => {
+  const doc = (invoiceNumber, numberSeq, numberDate, docType = "invoice") => ({ invoiceNumber, numberSeq, numberDate, docType });
+
+  it("reports duplicates, gaps and documents without a number", () => {
+    const audit = auditNumbers([doc("INV-1", 1, "2025-01-01"), doc("INV-1", 1, "2025-01-02"), doc("INV-4", 4, "2025-01-03"), doc("", 0, "2025-01-04")], settings());
+    expect(audit.duplicates).toEqual([{ number: "INV-1", count: 2 }]);
+    expect(audit.gaps).toEqual([{ docType: "invoice", year: "", missing: [2, 3] }]);
+    expect(audit.unnumbered).toBe(1);
+    expect(audit.ok).toBe(false);
+  });
+
+  it("checks each series separately", () => {
+    const audit = auditNumbers([doc("INV-1", 1, "2025-01-01"), doc("CN-1", 1, "2025-01-01", "credit"), doc("INV-2", 2, "2025-01-02")], settings());
+    expect(audit).toMatchObject({ duplicates: [], gaps: [], ok: true });
+  });
+
+  it("checks each year separately with yearly reset", () => {
+    const docs = [doc("INV-2024-0001", 1, "2024-03-01"), doc("INV-2024-0002", 2, "2024-04-01"), doc("INV-2025-0001", 1, "2025-01-02"), doc("INV-2025-0003", 3, "2025-02-01")];
+    expect(auditNumbers(docs, settings({ resetSequenceYearly: true })).gaps).toEqual([{ docType: "invoice", year: "2025", missing: [2] }]);
+  });
+
+  it("falls back to the number itself for documents without a stored sequence", () => {
+    expect(auditNumbers([doc("INV-0001", 0, "2025-01-01"), doc("INV-0003", 0, "2025-01-02")], settings()).gaps[0].missing).toEqual([2]);
+  });
+});
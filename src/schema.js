@@ -0,0 +1,132 @@
+/** Data schema: versioned migrations and the validation of imported backups */
+
+import { DOC_TYPES, QUOTE_STATUS, snapshotParties, STATUS } from "./documents.js";
+import { DOC_LANGUAGES, docLanguageOf } from "./language.js";
+import { CURRENCIES } from "./money.js";
+import { numberTemplateProblem } from "./numbering.js";
+import { isISODate, todayISO, toNumber } from "./util.js";
+
+/**
+ * Stored and exported data carries a schemaVersion. Data without one is version 1 (before document
+ * locking). Migrations run in order on the raw data before normalizeData coerces the fields.
+ */
+export const SCHEMA_VERSION = 3;
+
+const MIGRATIONS = [
+  {
+    version: 2,
+    // issued documents are finalized with the parties as currently recorded, the best record of issue we have
+    up: (d) => ({
+      ...d,
+      invoices: (Array.isArray(d.invoices) ? d.invoices : []).map((inv) => {
+        if (!inv || typeof inv !== "object" || inv.docType === "quote") return inv;
+        if (!inv.lockedAt && (inv.status === "Draft" || !STATUS.includes(inv.status))) return inv;
+        return {
+          ...inv,
+          ...(inv.profileSnapshot ? {} : snapshotParties(inv, { clients: Array.isArray(d.clients) ? d.clients : [], profile: d.profile, settings: d.settings })),
+          lockedAt: inv.lockedAt || `${inv.issueDate || todayISO()}T00:00:00.000Z`,
+        };
+      }),
+    }),
+  },
+  {
+    version: 3,
+    // client snapshots record the document language; older ones were issued in the default of the time
+    up: (d) => ({
+      ...d,
+      invoices: (Array.isArray(d.invoices) ? d.invoices : []).map((inv) => {
+        const snap = inv?.clientSnapshot;
+        if (!snap || typeof snap !== "object" || DOC_LANGUAGES[snap.language]) return inv;
+        return { ...inv, clientSnapshot: { ...snap, language: docLanguageOf(snap, d.settings) } };
+      }),
+    }),
+  },
+];
+
+const schemaVersionOf = (raw) => Math.max(1, Math.floor(toNumber(raw?.schemaVersion)) || 1);
+
+export function migrateData(raw) {
+  const from = schemaVersionOf(raw);
+  return MIGRATIONS.filter((m) => m.version > from).reduce((d, m) => ({ ...m.up(d), schemaVersion: m.version }), raw);
+}
+
+export const IMPORT_PROBLEM_LIMIT = 200;
+
+/** Checks a parsed backup before it replaces anything -> { errors[], warnings[], counts } (errors block the import) */
+export function validateImport(raw) {
+  const errors = [];
+  const warnings = [];
+  const counts = { clients: 0, invoices: 0, recurring: 0 };
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    errors.push("The file is not an Invoice-It backup (expected a JSON object).");
+    return { errors, warnings, counts };
+  }
+  if (!raw.clients && !raw.invoices && !raw.settings) errors.push("No clients, invoices or settings found in the file.");
+  const version = schemaVersionOf(raw);
+  if (version > SCHEMA_VERSION) {
+    errors.push(`The file was written by a newer version of Invoice-It (schema ${version}, this app reads up to ${SCHEMA_VERSION}).`);
+  }
+  ["clients", "invoices", "recurring"].forEach((k) => {
+    if (raw[k] !== undefined && !Array.isArray(raw[k])) errors.push(`“${k}” is not a list.`);
+  });
+  if (errors.length) return { errors, warnings, counts };
+
+  const clients = raw.clients || [];
+  const invoices = raw.invoices || [];
+  counts.clients = clients.length;
+  counts.invoices = invoices.length;
+  counts.recurring = (raw.recurring || []).length;
+
+  const clientIds = new Set();
+  clients.forEach((c, i) => {
+    const label = `Client ${i + 1}${c?.name ? ` (${c.name})` : ""}`;
+    if (!c || typeof c !== "object") return errors.push(`${label} is not a record.`);
+    if (!c.id) warnings.push(`${label} has no ID — a new one will be assigned.`);
+    else if (clientIds.has(c.id)) warnings.push(`${label} repeats the ID ${c.id}.`);
+    else clientIds.add(c.id);
+    if (!String(c.name || "").trim()) warnings.push(`${label} has no name.`);
+  });
+
+  const invoiceIds = new Set();
+  invoices.forEach((inv, i) => {
+    const label = `Document ${i + 1}${inv?.invoiceNumber ? ` (${inv.invoiceNumber})` : ""}`;
+    if (!inv || typeof inv !== "object") return errors.push(`${label} is not a record.`);
+    if (!inv.id) warnings.push(`${label} has no ID — a new one will be assigned.`);
+    else if (invoiceIds.has(inv.id)) warnings.push(`${label} repeats the ID ${inv.id}.`);
+    else invoiceIds.add(inv.id);
+    if (inv.docType !== undefined && !DOC_TYPES.includes(inv.docType)) warnings.push(`${label} has an unknown document type “${inv.docType}” — treated as an invoice.`);
+    if (!inv.invoiceNumber) warnings.push(`${label} has no number.`);
+    ["issueDate", "dueDate", "validUntil"].forEach((k) => {
+      if (inv[k] && !isISODate(inv[k])) warnings.push(`${label}: invalid ${k} “${inv[k]}”.`);
+    });
+    if (!inv.issueDate) warnings.push(`${label} has no issue date — today will be used.`);
+    const known = inv.docType === "quote" ? QUOTE_STATUS : STATUS;
+    if (inv.status !== undefined && !known.includes(inv.status)) warnings.push(`${label} has an unknown status “${inv.status}” — it will become Draft.`);
+    if (inv.clientId && !clientIds.has(inv.clientId)) warnings.push(`${label} refers to a client that is not in the file (${inv.clientId}).`);
+    if (inv.currency && !CURRENCIES.includes(inv.currency)) warnings.push(`${label} uses an unsupported currency “${inv.currency}”.`);
+    if (inv.items !== undefined && !Array.isArray(inv.items)) warnings.push(`${label}: items are not a list — they will be replaced by one empty line.`);
+    (Array.isArray(inv.items) ? inv.items : []).forEach((it, j) => {
+      ["qty", "unitPrice"].forEach((k) => {
+        if (it?.[k] !== undefined && it[k] !== "" && !Number.isFinite(Number(String(it[k]).replace(",", ".")))) {
+          warnings.push(`${label}, line ${j + 1}: ${k} “${it[k]}” is not a number — 0 will be used.`);
+        }
+      });
+    });
+    (Array.isArray(inv.payments) ? inv.payments : []).forEach((pay, j) => {
+      if (pay?.date && !isISODate(pay.date)) warnings.push(`${label}, payment ${j + 1}: invalid date “${pay.date}”.`);
+    });
+  });
+
+  (raw.recurring || []).forEach((r, i) => {
+    if (r?.sourceInvoiceId && !invoiceIds.has(r.sourceInvoiceId)) warnings.push(`Recurring schedule ${i + 1} refers to a missing invoice.`);
+  });
+  if (raw.settings?.currency && !CURRENCIES.includes(raw.settings.currency)) {
+    warnings.push(`Unsupported base currency “${raw.settings.currency}” — EUR will be used.`);
+  }
+  if (raw.settings?.numberTemplate && numberTemplateProblem(raw.settings.numberTemplate)) {
+    warnings.push(`Number template “${raw.settings.numberTemplate}”: ${numberTemplateProblem(raw.settings.numberTemplate)} The default will be used.`);
+  }
+
+  return { errors, warnings, counts };
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { migrateData, SCHEMA_VERSION, validateImport } from "./schema.js";
+
+const client = { id: "c1", name: "Acme", address: "Main St 1", email: "ap@acme.test", language: "" };
+const profile = { businessName: "Studio", iban: "DE89370400440532013000" };
+
+describe("migrateData", () => {
+  it("brings data without a version up to the current schema", () => {
+    expect(migrateData({ clients: [], invoices: [] }).schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  it("finalizes issued documents of version 1 as of their issue date, with the parties on record", () => {
+    const raw = {
+      profile,
+      clients: [client],
+      invoices: [
+        { id: "i1", docType: "invoice", status: "Sent", issueDate: "2024-02-01", clientId: "c1" },
+        { id: "i2", docType: "invoice", status: "Draft", issueDate: "2024-02-02", clientId: "c1" },
+        { id: "q1", docType: "quote", status: "Sent", issueDate: "2024-02-03", clientId: "c1" },
+      ],
+    };
+    const [sent, draft, quote] = migrateData(raw).invoices;
+    expect(sent.lockedAt).toBe("2024-02-01T00:00:00.000Z");
+    expect(sent.clientSnapshot).toMatchObject({ id: "c1", name: "Acme", address: "Main St 1" });
+    expect(sent.profileSnapshot).toMatchObject({ businessName: "Studio", iban: "DE89370400440532013000" });
+    expect(draft.lockedAt).toBeUndefined();
+    expect(quote.lockedAt).toBeUndefined();
+  });
+
+  it("records the language older snapshots were issued in", () => {
+    const snap = { id: "c1", name: "Acme" };
+    const v1 = migrateData({ clients: [client], invoices: [{ id: "i1", status: "Paid", issueDate: "2024-01-01", clientId: "c1" }] });
+    expect(v1.invoices[0].clientSnapshot.language).toBe("en");
+    const v2 = migrateData({ schemaVersion: 2, settings: { documentLanguage: "de" }, clients: [], invoices: [{ id: "i1", lockedAt: "x", clientSnapshot: snap }] });
+    expect(v2.invoices[0].clientSnapshot).toEqual({ ...snap, language: "de" });
+  });
+
+  it("leaves current data and the input alone", () => {
+    const raw = { schemaVersion: SCHEMA_VERSION, invoices: [{ id: "i1", status: "Sent" }] };
+    expect(migrateData(raw)).toBe(raw);
+    const old = { invoices: [{ id: "i1", status: "Sent", issueDate: "2024-01-01" }] };
+    migrateData(old);
+    expect(old.invoices[0].lockedAt).toBeUndefined();
+  });
+});
+
+describe("validateImport", () => {
+  it("rejects what is not a backup", () => {
+    expect(validateImport([]).errors).toHaveLength(1);
+    expect(validateImport({ foo: 1 }).errors[0]).toMatch(/No clients, invoices or settings/);
+    expect(validateImport({ invoices: {} }).errors[0]).toMatch(/“invoices” is not a list/);
+  });
+
+  it("rejects files from a newer schema", () => {
+    expect(validateImport({ schemaVersion: SCHEMA_VERSION + 1, invoices: [] }).errors[0]).toMatch(/newer version/);
+  });
+
+  it("counts the records and warns about the ones that will be repaired", () => {
+    const report = validateImport({
+      settings: { currency: "XXX", numberTemplate: "{YYYY}" },
+      clients: [client, { id: "c1", name: "" }],
+      invoices: [
+        {
+          id: "i1",
+          invoiceNumber: "INV-1",
+          docType: "bill",
+          status: "Open",
+          issueDate: "2024-13-01",
+          clientId: "c9",
+          items: [{ qty: "two", unitPrice: "1,5" }],
+          payments: [{ date: "yesterday" }],
+        },
+      ],
+      recurring: [{ sourceInvoiceId: "i9" }],
+    });
+    expect(report.errors).toEqual([]);
+    expect(report.counts).toEqual({ clients: 2, invoices: 1, recurring: 1 });
+    const text = report.warnings.join("\n");
+    for (const part of [
+      "repeats the ID c1",
+      "has no name",
+      "unknown document type “bill”",
+      "unknown status “Open”",
+      "invalid issueDate “2024-13-01”",
+      "client that is not in the file (c9)",
+      "qty “two” is not a number",
+      "payment 1: invalid date “yesterday”",
+      "refers to a missing invoice",
+      "Unsupported base currency “XXX”",
+      "Number template “{YYYY}”",
+    ]) {
+      expect(text).toContain(part);
+    }
+    expect(text).not.toContain("unitPrice");
+  });
+});
@@ -0,0 +1,49 @@
+/** Small helpers shared by the app and its logic modules: ids, numbers and local calendar dates */
+
+export const uid = () => {
+  try {
+    if (typeof crypto !== "undefined" && crypto.randomUUID) return crypto.randomUUID();
+  } catch {}
+  return `id_${Math.random().toString(16).slice(2)}_${Date.now()}`;
+};
+
+export const safeParse = (s, fallback) => {
+  try {
+    const v = JSON.parse(s);
+    return v ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+export const toNumber = (v) => {
+  const n = Number(String(v ?? "").replace(",", "."));
+  return Number.isFinite(n) ? n : 0;
+};
+
+export const localISO = (d) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+/** Today's calendar date where the user is (toISOString would give the UTC date) */
+export const todayISO = () => localISO(new Date());
+
+export const daysBetweenISO = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / 86400000) || 0;
+
+export const addDaysISO = (iso, days) => {
+  try {
+    const d = new Date(`${iso}T00:00:00`);
+    d.setDate(d.getDate() + Number(days || 0));
+    return Number.isNaN(d.getTime()) ? iso : localISO(d);
+  } catch {
+    return iso;
+  }
+};
+
+export const isISODate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || "")) && localISO(new Date(`${v}T00:00:00`)) === v;
+
+/** Key-order independent JSON, for telling whether two records really differ */
+export const stableJSON = (v) =>
+  JSON.stringify(v, (_k, x) =>
+    x && typeof x === "object" && !Array.isArray(x) ? Object.fromEntries(Object.keys(x).sort().map((k) => [k, x[k]])) : x
+  );